@@ -1,54 +1,222 @@
 /* Timeline Trace (Local)
  * - Plain JS (ES Modules) to keep file count small (GitHub Pages friendly).
- * - Designed so the parsing / map layer can be swapped later (Leaflet -> MapLibre etc).
+ * - The map is drawn through map-adapter.js (Leaflet or MapLibre GL, picked in the map settings).
+ * - Parsing lives in parsers.js and runs inside import-worker.js so big exports don't block the UI.
+ * - Loaded datasets are kept in IndexedDB (store.js) and reopened on the next visit.
+ * - UI texts and date / distance formats come from i18n.js (English / Japanese).
+ * - The selected day(s), map view and filter are kept in the URL hash (route.js) for links and Back.
+ * - Privacy zones (privacy.js) mask places before anything is drawn, listed or exported.
  *
  * Privacy: This app does not upload your JSON anywhere. It parses locally.
- * (It does fetch map tiles from a public tile server for background rendering.)
+ * (It does fetch map tiles from the configured tile server, unless a local tile file is used.)
  */
 
+import { listDatasets, saveDataset, loadDataset, renameDataset, deleteDataset, getMeta, setMeta } from "./store.js";
+import { EXPORT_FORMATS } from "./exporters.js";
+import { importerById, isImportableName } from "./importers.js";
+import { computeStats, periodBounds, modeRows, topPlaces, busiestDays, dailySeries, dayTotals, modeLabel as typeLabel, statsCsv } from "./stats.js";
+import { barChartSvg, stackBarSvg, columnChartSvg } from "./charts.js";
+import { buildPlaces } from "./places.js";
+import { computeHeatPoints, UNTYPED } from "./heatmap.js";
+import { createMapAdapter, boundsOfItems, padBounds, MAP_RENDERERS } from "./map-adapter.js";
+import { buildTrack, sampleTrack } from "./playback.js";
+import { buildSearchIndex, searchItems, queryTerms, matchRanges } from "./search.js";
+import { openTileFile } from "./tile-files.js";
+import { emptyEdits, itemId, applyEdits, patchItemEdit, setDayNote, editCount, editsToJson, parseEdits, mergeEdits } from "./edits.js";
+import { activityTitle, distanceSubtitle } from "./parsers.js";
+import { parseRoute, formatRoute, emptyFilter } from "./route.js";
+import { maskItems, labeledPlaces, newZone } from "./privacy.js";
+import { tripsOfDays, matchTrips } from "./compare.js";
+import { findIssues, skippedTotal, ISSUE_GAP_MS, ISSUE_MAX_SPEED } from "./import-report.js";
+import {
+  LOCALES, t, lookup, setLocale, getLocale, setUnits, detectLocale, defaultUnits, defaultWeekStart, applyTranslations, localizeText,
+  formatDate, formatTime, formatMonth, formatYear, formatMonthShort, formatMonthDay, weekdayName, formatDistance, formatDuration, formatSpeed, shortUnit,
+} from "./i18n.js";
+
 const $ = (id) => /** @type {HTMLElement} */ (document.getElementById(id));
 
-/** @typedef {{lat:number,lng:number}} LatLng */
-/** @typedef {"activity"|"visit"|"rawpoint"} ItemKind */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").DetectedFormat} DetectedFormat */
+/** @typedef {import("./parsers.js").FormatMix} FormatMix */
+/** @typedef {import("./store.js").DatasetMeta} DatasetMeta */
+/** @typedef {import("./import-worker.js").ImportSource} ImportSource */
+/** @typedef {import("./stats.js").StatsPeriod} StatsPeriod */
+/** @typedef {import("./stats.js").PeriodStats} PeriodStats */
+/** @typedef {import("./stats.js").DayStats} DayStats */
+/** @typedef {import("./places.js").Place} Place */
+/** @typedef {import("./heatmap.js").HeatFilter} HeatFilter */
+/** @typedef {import("./playback.js").Track} Track */
+/** @typedef {import("./search.js").SearchIndex} SearchIndex */
+/** @typedef {import("./edits.js").Edits} Edits */
+/** @typedef {import("./tile-files.js").TileSource} TileSource */
+/** @typedef {import("./map-adapter.js").MapAdapter} MapAdapter */
+/** @typedef {import("./map-adapter.js").MapRenderer} MapRenderer */
+/** @typedef {import("./map-adapter.js").BaseLayerSpec} BaseLayerSpec */
+/** @typedef {import("./map-adapter.js").Bounds} Bounds */
+/** @typedef {import("./map-adapter.js").MapView} MapView */
+/** @typedef {import("./route.js").Route} Route */
+/** @typedef {import("./route.js").ItemFilter} ItemFilter */
+/** @typedef {import("./privacy.js").PrivacyZone} PrivacyZone */
+/** @typedef {import("./compare.js").Trip} Trip */
+/** @typedef {import("./import-report.js").ImportReport} ImportReport */
+/** @typedef {import("./import-report.js").Issue} Issue */
+/** @typedef {import("./import-report.js").IssueKind} IssueKind */
+/** @typedef {import("./i18n.js").LocaleId} LocaleId */
+/** @typedef {import("./i18n.js").DistanceUnit} DistanceUnit */
+
+/**
+ * @typedef {Object} TileSettings
+ * @property {MapRenderer} renderer map library drawing everything
+ * @property {"url"|"file"|"style"} source tile server, the local tile file kept in IndexedDB, or a vector style (MapLibre only)
+ * @property {string} preset TILE_PRESETS id, or "custom"
+ * @property {string} url Leaflet URL template
+ * @property {string} attribution HTML
+ * @property {number} maxZoom highest zoom the server has tiles for
+ * @property {string} styleUrl MapLibre style.json URL
+ * @property {boolean} cache keep viewed tiles for offline use (sw.js)
+ */
 
 /**
- * @typedef {Object} Item
- * @property {ItemKind} kind
- * @property {Date} start
- * @property {Date|null} end
- * @property {string} title
- * @property {string} subtitle
- * @property {string} emoji
- * @property {LatLng|null} point
- * @property {LatLng[]} path
- * @property {number|null} distanceMeters
- * @property {string|null} activityType
+ * @typedef {Object} PrivacySettings
+ * @property {boolean} on mask the zones
+ * @property {boolean} show outline the zones on the map (off by default, for screenshots)
+ * @property {PrivacyZone[]} zones
  */
 
-/** @typedef {Object} ParsedData
- * @property {Item[]} items
- * @property {"timelineObjects"|"semanticSegments"|"recordsLocations"|"unknown"} detectedFormat
+/**
+ * Language and formats; "auto" follows the browser (i18n.js).
+ * @typedef {Object} Prefs
+ * @property {"auto"|LocaleId} locale
+ * @property {"auto"|number} weekStart 0 = Sunday, 1 = Monday, 6 = Saturday
+ * @property {"auto"|DistanceUnit} units
  */
 
+/** Places listed at first (and added per "more" click) in the places panel */
+const PLACES_PAGE = 30;
+
+const TILE_PRESETS = [
+  { id: "osm", label: "OpenStreetMap", url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", attribution: "&copy; OpenStreetMap contributors", maxZoom: 19 },
+  { id: "gsi", label: "地理院タイル (標準地図)", url: "https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png", attribution: "&copy; 国土地理院 (地理院タイル)", maxZoom: 18 },
+  { id: "gsi-photo", label: "地理院タイル (写真)", url: "https://cyberjapandata.gsi.go.jp/xyz/seamlessphoto/{z}/{x}/{y}.jpg", attribution: "&copy; 国土地理院 (地理院タイル)", maxZoom: 18 },
+];
+
 const state = {
-  /** @type {Item[]} */
+  /** @type {Item[]} baseItems with state.edits and the privacy zones applied; what everything shows */
   items: [],
+  /** @type {Item[]} items as imported (also what the library stores) */
+  baseItems: [],
+  /** @type {Edits} user corrections; one set for all datasets, matched by item id */
+  edits: emptyEdits(),
+  /** @type {Item|null} item open in the edit dialog */
+  editing: null,
+  /** @type {PrivacySettings} */
+  privacy: { on: true, show: false, zones: [], ...loadSetting("privacy", {}) },
+  /** @type {number} items the privacy zones dropped or changed */
+  maskedCount: 0,
+  /** @type {PrivacySettings|null} being edited in the privacy dialog (kept while a zone is placed on the map) */
+  privacyDraft: null,
+  /** the next map click places a privacy zone */
+  placingZone: false,
   /** @type {Date[]} sortedDays */
   sortedDays: [],
   /** @type {Set<number>} */
   dayKeySet: new Set(),
-  /** @type {Date|null} */
+  /** @type {Date|null} first (or only) selected day */
   selectedDay: null,
-  /** @type {"timelineObjects"|"semanticSegments"|"recordsLocations"|"unknown"} */
-  detectedFormat: "unknown",
-  /** @type {any} */
+  /** @type {Date|null} last day of a multi-day selection; null = just selectedDay */
+  rangeEnd: null,
+  /** compare mode: days picked one by one (dayKeys, sorted) overlaid on the map and lined up in the list */
+  compare: { on: false, /** @type {number[]} */ days: [] },
+  /** @type {FormatMix} number of loaded files per format */
+  formats: {},
+  /** @type {ImportReport|null} what the import of the shown dataset read and dropped (null: saved by an older version) */
+  importReport: null,
+  /** @type {Issue[]|null} data-quality findings on state.items; worked out when the report opens */
+  issues: null,
+  /** @type {IssueKind|""} findings shown in the report ("" = all) */
+  issueKind: "",
+  /** @type {MapAdapter|null} */
   map: null,
-  /** @type {any[]} */
-  mapLayers: [],
-  /** @type {Date|null} */
+  /** @type {Promise<void>|null} map being created (Leaflet/MapLibre load asynchronously) */
+  mapLoading: null,
+  /** @type {MapView} where a new map starts; Tokyo station as a neutral initial view */
+  mapView: { center: { lat: 35.681236, lng: 139.767125 }, zoom: 11 },
+  /** @type {TileSettings} map renderer and background */
+  tiles: {
+    renderer: "leaflet",
+    source: "url",
+    preset: TILE_PRESETS[0].id,
+    url: TILE_PRESETS[0].url,
+    attribution: TILE_PRESETS[0].attribution,
+    maxZoom: TILE_PRESETS[0].maxZoom,
+    cache: false,
+    styleUrl: "",
+    ...loadSetting("tiles", {}),
+  },
+  /** @type {TileSource|null} the local tile file, once opened */
+  tileSource: null,
+  /** @type {Date|null} a day in the month (month view) or year (year view) the calendar shows */
   monthAnchor: null,
+  /** @type {{view:"month"|"year", metric:"distance"|"count"}} calendar layout; the year view is shaded by metric */
+  calendar: { view: "month", metric: "distance", ...loadSetting("calendar", {}) },
+  /** @type {Map<number, DayStats>|null} distance / count of shown items per day, built on first use */
+  dayTotals: null,
+  /** @type {{worker:Worker, reject:(e:Error)=>void}|null} running import, if any */
+  importJob: null,
+  /** @type {string|null} id of the dataset in the library that is currently shown */
+  datasetId: null,
+  /** @type {DatasetMeta[]} */
+  library: [],
+  /** @type {Prefs} */
+  prefs: { locale: "auto", weekStart: "auto", units: "auto", ...loadSetting("prefs", {}) },
+  /** @type {"local"|"home"} show days/times where each event happened, or in the browser's timezone */
+  timeMode: loadSetting("timeMode", "local"),
+  /** @type {Int32Array} day key of state.items[i] under the current timeMode */
+  itemDays: new Int32Array(0),
+  /** @type {ItemFilter} what the list, map, calendar and prev/next show */
+  filter: { ...emptyFilter(), ...loadSetting("filter", {}) },
+  /** @type {Route|null} route from the opened URL, waiting for a dataset to show it in */
+  pendingRoute: parseRoute(location.hash),
+  /** @type {MapView|null} view for the next renderMap instead of fitting the selection */
+  routeView: null,
+  /** @type {string} location.hash as last written or applied; anything else came from Back/Forward or the user */
+  routeHash: location.hash,
+  /** @type {Uint8Array} 1 = state.items[i] passes state.filter */
+  itemVisible: new Uint8Array(0),
+  /** @type {{period:StatsPeriod, list:PeriodStats[], index:number}} statistics dialog */
+  stats: { period: loadSetting("statsPeriod", "month"), list: [], index: 0 },
+  /** @type {Place[]|null} places index of the current items, built on first render */
+  places: null,
+  /** @type {{filter:string, limit:number, openId:string|null}} places panel */
+  placesView: { filter: "", limit: PLACES_PAGE, openId: null },
+  /** @type {{on:boolean, radius:number, intensity:number, filter:HeatFilter, stale:boolean}} all-time heatmap */
+  heat: {
+    ...loadSetting("heatmap", { on: false, radius: 18, intensity: 1 }),
+    filter: { fromDay: 0, toDay: 0, type: "" },
+    stale: true,
+  },
+  /** @type {SearchIndex} over state.items, rebuilt whenever a dataset is applied */
+  searchIndex: { keys: [], hits: [] },
+  /** @type {Map<Item, HTMLElement>} list row of each shown item */
+  listRows: new Map(),
+  /** @type {{track:Track|null, t:number, playing:boolean, speed:number, frame:number, last:number, current:Item|null}} */
+  playback: { track: null, t: 0, playing: false, speed: loadSetting("playbackSpeed", 600), frame: 0, last: 0, current: null },
 };
 
+/** Small UI preferences live in localStorage; datasets go to IndexedDB (store.js) */
+function loadSetting(key, fallback){
+  try{
+    const v = localStorage.getItem(`timeline-trace:${key}`);
+    return v==null ? fallback : JSON.parse(v);
+  } catch {
+    return fallback;
+  }
+}
+function saveSetting(key, value){
+  try{ localStorage.setItem(`timeline-trace:${key}`, JSON.stringify(value)); }catch{}
+}
+
 function dayKey(d){
   // YYYYMMDD in local time
   const y = d.getFullYear();
@@ -56,361 +224,144 @@ function dayKey(d){
   const dd = d.getDate();
   return y*10000 + m*100 + dd;
 }
-function startOfDay(d){
-  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+/**
+ * Wall-clock time at a UTC offset, as a Date whose UTC fields hold that wall clock
+ * (format it with timeZone "UTC"). null when we should just use the browser timezone.
+ * @param {Date} d
+ * @param {number|null|undefined} offsetMinutes
+ */
+function shiftToOffset(d, offsetMinutes){
+  if(state.timeMode!=="local" || offsetMinutes==null) return null;
+  return new Date(d.getTime() + offsetMinutes*60000);
+}
+/** YYYYMMDD of the day the item started, in the timezone it happened in (see timeMode) */
+function itemDayKey(it){
+  const w = shiftToOffset(it.start, it.tzOffsetMinutes);
+  if(!w) return dayKey(it.start);
+  return w.getUTCFullYear()*10000 + (w.getUTCMonth()+1)*100 + w.getUTCDate();
 }
-function formatDayJP(d){
+/** Clock time of an item's start or end, in the timezone it happened in (see timeMode) */
+function formatItemTime(d, offsetMinutes){
+  const w = shiftToOffset(d, offsetMinutes);
+  if(!w) return formatTime(d);
   try{
-    return new Intl.DateTimeFormat("ja-JP", { dateStyle: "medium" }).format(d);
+    return formatTime(w, "UTC");
   } catch {
-    return d.toLocaleDateString("ja-JP");
+    return `${String(w.getUTCHours()).padStart(2,"0")}:${String(w.getUTCMinutes()).padStart(2,"0")}`;
   }
 }
-function formatTimeJP(d){
-  try{
-    return new Intl.DateTimeFormat("ja-JP", { timeStyle: "short" }).format(d);
-  } catch {
-    return d.toLocaleTimeString("ja-JP",{hour:"2-digit",minute:"2-digit"});
-  }
+/** "UTC+9" / "UTC-3:30" when an item's offset differs from the browser's at that moment, else "" */
+function offsetLabel(d, offsetMinutes){
+  if(state.timeMode!=="local" || offsetMinutes==null) return "";
+  if(offsetMinutes === -d.getTimezoneOffset()) return "";
+  const sign = offsetMinutes<0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  return `UTC${sign}${Math.floor(abs/60)}${abs%60 ? `:${String(abs%60).padStart(2,"0")}` : ""}`;
+}
+/** First day of the week in effect: 0 = Sunday, 1 = Monday, 6 = Saturday */
+function weekStart(){
+  const w = state.prefs.weekStart;
+  return w==="auto" ? defaultWeekStart() : w;
+}
+/** "YYYY-MM-DD" in local time (the value format of <input type=date>) */
+function isoDay(d){
+  const k = dayKey(d);
+  return `${Math.floor(k/10000)}-${String(Math.floor(k/100)%100).padStart(2,"0")}-${String(k%100).padStart(2,"0")}`;
 }
 function clamp(n, lo, hi){ return Math.max(lo, Math.min(hi, n)); }
 
-/** Parse "35.1234567°, 139.1234567°" or "35.123,139.123" etc. */
-function parseLatLngString(s){
-  if(!s || typeof s !== "string") return null;
-  // remove degree sign and spaces
-  const cleaned = s.replace(/[°\s]/g, "");
-  // allow comma separated
-  const parts = cleaned.split(",");
-  if(parts.length >= 2){
-    const lat = Number(parts[0]);
-    const lng = Number(parts[1]);
-    if(Number.isFinite(lat) && Number.isFinite(lng)) return {lat, lng};
-  }
-  // fallback: find two floats via regex
-  const m = cleaned.match(/(-?\d+(?:\.\d+)?).*(-?\d+(?:\.\d+)?)/);
-  if(m){
-    const lat = Number(m[1]);
-    const lng = Number(m[2]);
-    if(Number.isFinite(lat) && Number.isFinite(lng)) return {lat, lng};
-  }
-  return null;
-}
-
-function latE7ToNum(v){
-  const n = Number(v);
-  if(!Number.isFinite(n)) return null;
-  return n * 1e-7;
-}
-
-/** New/old timelineObjects date parser: ISO8601 string OR epoch(ms) string */
-function parseDateDual(isoString, msString){
-  if(typeof isoString === "string"){
-    const d = new Date(isoString);
-    if(!isNaN(d.getTime())) return d;
-  }
-  if(typeof msString === "string" || typeof msString === "number"){
-    const ms = Number(msString);
-    if(Number.isFinite(ms)){
-      const d = new Date(ms);
-      if(!isNaN(d.getTime())) return d;
-    }
-  }
-  return null;
+/** @param {Item} it */
+function passesFilter(it){
+  const f = state.filter;
+  if(f.hiddenKinds.includes(it.kind)) return false;
+  if(it.kind==="activity" && f.hiddenTypes.includes(it.activityType || "")) return false;
+  if(f.minMinutes>0 && it.end && it.kind!=="rawpoint" && it.end.getTime()-it.start.getTime() < f.minMinutes*60000) return false;
+  if(f.minMeters>0 && it.kind==="activity" && (it.distanceMeters ?? 0) < f.minMeters) return false;
+  return true;
 }
 
-/** @returns {ParsedData} */
-function parseAnyGoogleTimeline(json){
-  // 1) timelineObjects (Google Takeout "Semantic Location History" style)
-  if(json && Array.isArray(json.timelineObjects)){
-    const items = parseTimelineObjects(json.timelineObjects);
-    return {items, detectedFormat:"timelineObjects"};
-  }
-
-  // 2) semanticSegments (new on-device export format)
-  if(json && Array.isArray(json.semanticSegments)){
-    const items = parseSemanticSegments(json.semanticSegments);
-    return {items, detectedFormat:"semanticSegments"};
-  }
-
-  // 3) Records.json raw location history (locations[])
-  if(json && Array.isArray(json.locations)){
-    const items = parseRecordsLocations(json.locations);
-    return {items, detectedFormat:"recordsLocations"};
-  }
-
-  return {items:[], detectedFormat:"unknown"};
+function filterActive(){
+  const f = state.filter;
+  return f.hiddenKinds.length>0 || f.hiddenTypes.length>0 || f.minMinutes>0 || f.minMeters>0;
 }
 
-/** @param {any[]} timelineObjects @returns {Item[]} */
-function parseTimelineObjects(timelineObjects){
-  /** @type {Item[]} */
-  const items = [];
-
-  for(const obj of timelineObjects){
-    if(obj && obj.activitySegment){
-      const seg = obj.activitySegment;
-
-      const dur = seg.duration || {};
-      const start = parseDateDual(dur.startTimestamp, dur.startTimestampMs);
-      const end = parseDateDual(dur.endTimestamp, dur.endTimestampMs);
-
-      // activityType / distance
-      const activityType = (seg.activityType && String(seg.activityType)) || null;
-      const distanceMeters = (seg.distance != null ? Number(seg.distance) : null);
-      const title = activityType ? activityType.replaceAll("_"," ").toLowerCase().replace(/\b\w/g, c=>c.toUpperCase()) : "移動";
-      const subtitle = Number.isFinite(distanceMeters)
-        ? (distanceMeters >= 1000 ? `${(distanceMeters/1000).toFixed(1)} km の移動` : `${Math.round(distanceMeters)} m の移動`)
-        : "移動";
-
-      // path (waypoints)
-      /** @type {LatLng[]} */
-      let path = [];
-      const wps = seg.waypointPath?.waypoints;
-      if(Array.isArray(wps)){
-        for(const p of wps){
-          const lat = latE7ToNum(p?.latE7);
-          const lng = latE7ToNum(p?.lngE7);
-          if(lat != null && lng != null) path.push({lat,lng});
-        }
-      }
-
-      // start/end points fallback
-      const sLoc = seg.startLocation;
-      const eLoc = seg.endLocation;
-      const sLat = latE7ToNum(sLoc?.latitudeE7);
-      const sLng = latE7ToNum(sLoc?.longitudeE7);
-      const eLat = latE7ToNum(eLoc?.latitudeE7);
-      const eLng = latE7ToNum(eLoc?.longitudeE7);
-      if(path.length === 0){
-        if(sLat!=null && sLng!=null) path.push({lat:sLat,lng:sLng});
-        if(eLat!=null && eLng!=null) path.push({lat:eLat,lng:eLng});
-      }
-
-      const emoji = activityEmoji(activityType);
-
-      if(start){
-        items.push({
-          kind: "activity",
-          start,
-          end: end || null,
-          title,
-          subtitle,
-          emoji,
-          point: null,
-          path,
-          distanceMeters: Number.isFinite(distanceMeters) ? distanceMeters : null,
-          activityType,
-        });
-      }
-    }
-
-    if(obj && obj.placeVisit){
-      const v = obj.placeVisit;
-      const dur = v.duration || {};
-      const start = parseDateDual(dur.startTimestamp, dur.startTimestampMs);
-      const end = parseDateDual(dur.endTimestamp, dur.endTimestampMs);
-
-      const loc = v.location || {};
-      const name = (loc.name && String(loc.name)) || "不明な場所";
-      const address = (loc.address && String(loc.address)) || "住所不明";
-
-      const lat = latE7ToNum(loc.latitudeE7);
-      const lng = latE7ToNum(loc.longitudeE7);
-
-      if(start){
-        items.push({
-          kind: "visit",
-          start,
-          end: end || null,
-          title: name,
-          subtitle: address,
-          emoji: "📍",
-          point: (lat!=null && lng!=null) ? {lat,lng} : null,
-          path: [],
-          distanceMeters: null,
-          activityType: null,
-        });
+/**
+ * Build availability set and sorted days (only days with items that pass the filter)
+ * @param {boolean} [keepSelection] keep the selection (timeMode toggle, filter change); a single
+ *   day that lost its data moves to the nearest day that has some
+ */
+function rebuildDays(keepSelection=false){
+  state.dayKeySet.clear();
+  state.itemDays = new Int32Array(state.items.length);
+  state.itemVisible = new Uint8Array(state.items.length);
+  for(let i=0;i<state.items.length;i++){
+    const k = itemDayKey(state.items[i]);
+    state.itemDays[i] = k;
+    if(!passesFilter(state.items[i])) continue;
+    state.itemVisible[i] = 1;
+    state.dayKeySet.add(k);
+  }
+  const keys = Array.from(state.dayKeySet.values()).sort((a,b)=>a-b);
+  state.sortedDays = keys.map(dateFromKey);
+  state.dayTotals = null;
+  state.compare.days = state.compare.days.filter(k=>state.dayKeySet.has(k));
+
+  // a range is kept as is (it may start on a day without data); a single day only if it still has data
+  const kept = keepSelection && state.selectedDay && (state.rangeEnd || state.dayKeySet.has(dayKey(state.selectedDay)));
+  if(!kept){
+    const want = keepSelection && state.selectedDay ? state.selectedDay.getTime() : null;
+    /** @type {Date|null} */
+    let day = state.sortedDays.length ? state.sortedDays[0] : null;
+    if(want!=null){
+      for(const d of state.sortedDays){
+        if(Math.abs(d.getTime()-want) < Math.abs(/** @type {Date} */ (day).getTime()-want)) day = d;
       }
     }
+    state.monthAnchor = day;
+    state.selectedDay = day;
+    state.rangeEnd = null;
   }
 
-  return items;
-}
-
-/** @param {any[]} semanticSegments @returns {Item[]} */
-function parseSemanticSegments(semanticSegments){
-  /** @type {Item[]} */
-  const items = [];
-  for(const seg of semanticSegments){
-    const start = (typeof seg?.startTime === "string") ? new Date(seg.startTime) : null;
-    const end = (typeof seg?.endTime === "string") ? new Date(seg.endTime) : null;
-    const startOK = start && !isNaN(start.getTime());
-
-    if(!startOK) continue;
-
-    // visit
-    if(seg.visit){
-      // Qiita references visit.topCandidate.placeLocation.latLng etc. citeturn1view0
-      const top = seg.visit?.topCandidate || {};
-      const placeLoc = top.placeLocation || top.placeLocationLatLng || top.placeLocation?.latLng;
-      const latLngStr = typeof top.placeLocation?.latLng === "string" ? top.placeLocation.latLng
-                      : typeof top.placeLocation === "string" ? top.placeLocation
-                      : typeof placeLoc === "string" ? placeLoc
-                      : null;
-      const point = parseLatLngString(latLngStr);
-
-      const name = pickFirstString(
-        top.placeName,
-        top.name,
-        top.placeId,
-        top.semanticType,
-        seg.visit?.topCandidate?.semanticType,
-        "Visit"
-      );
-      const addr = pickFirstString(
-        top.placeAddress,
-        top.address,
-        seg.visit?.address,
-        seg.visit?.hierarchyLevel != null ? `hierarchyLevel=${seg.visit.hierarchyLevel}` : null,
-        ""
-      );
-
-      items.push({
-        kind:"visit",
-        start,
-        end: (end && !isNaN(end.getTime())) ? end : null,
-        title: name,
-        subtitle: addr || "訪問",
-        emoji:"📍",
-        point,
-        path: [],
-        distanceMeters: null,
-        activityType: null,
-      });
-      continue;
-    }
-
-    // activity
-    if(seg.activity){
-      const top = seg.activity?.topCandidate || {};
-      const type = pickFirstString(top.type, seg.activity?.type, "ACTIVITY");
-      const title = type ? type.replaceAll("_"," ").toLowerCase().replace(/\b\w/g, c=>c.toUpperCase()) : "移動";
-      const dist = seg.activity?.distanceMeters != null ? Number(seg.activity.distanceMeters) : null;
-      const subtitle = Number.isFinite(dist)
-        ? (dist >= 1000 ? `${(dist/1000).toFixed(1)} km の移動` : `${Math.round(dist)} m の移動`)
-        : "移動";
-
-      const startPt = parseLatLngString(seg.activity?.start?.latLng);
-      const endPt = parseLatLngString(seg.activity?.end?.latLng);
-
-      /** @type {LatLng[]} */
-      const path = [];
-      if(Array.isArray(seg.timelinePath)){
-        for(const p of seg.timelinePath){
-          const pt = parseLatLngString(p?.point);
-          if(pt) path.push(pt);
-        }
-      }
-
-      // fallback points if path missing
-      if(path.length === 0){
-        if(startPt) path.push(startPt);
-        if(endPt) path.push(endPt);
-      }
-
-      items.push({
-        kind:"activity",
-        start,
-        end: (end && !isNaN(end.getTime())) ? end : null,
-        title,
-        subtitle,
-        emoji: activityEmoji(type),
-        point: null,
-        path,
-        distanceMeters: Number.isFinite(dist) ? dist : null,
-        activityType: type || null,
-      });
-      continue;
-    }
+  $("countItems").textContent = String(state.items.length);
+  $("countDays").textContent = String(state.sortedDays.length);
+  $("selectedDayLabel").textContent = selectionLabel();
 
-    // if neither visit nor activity, ignore (timelineMemory etc)
-  }
-  return items;
+  updateNavButtons();
 }
 
-/** @param {any[]} locations @returns {Item[]} */
-function parseRecordsLocations(locations){
-  /** @type {Item[]} */
-  const items = [];
-  // Records.json can be huge; we keep one item per point and filter by day later.
-  for(const loc of locations){
-    const ms = loc?.timestampMs ?? loc?.timestampMS ?? loc?.timestamp ?? null;
-    const t = parseDateDual(null, ms);
-    if(!t) continue;
-
-    const lat = latE7ToNum(loc?.latitudeE7);
-    const lng = latE7ToNum(loc?.longitudeE7);
-    if(lat==null || lng==null) continue;
-
-    items.push({
-      kind:"rawpoint",
-      start:t,
-      end:null,
-      title:"Location point",
-      subtitle:`accuracy=${loc?.accuracy ?? "?"}m`,
-      emoji:"•",
-      point:{lat,lng},
-      path:[],
-      distanceMeters:null,
-      activityType:null,
-    });
-  }
-  return items;
+/** Local-midnight Date for a dayKey */
+function dateFromKey(k){
+  return new Date(Math.floor(k/10000), Math.floor((k%10000)/100) - 1, k%100);
 }
 
-function pickFirstString(...candidates){
-  for(const c of candidates){
-    if(typeof c === "string" && c.trim().length) return c.trim();
-  }
-  return "";
+/** Select one day, or the days from a to b (either order, inclusive) */
+function selectDays(a, b=a){
+  const [from,to] = dayKey(a)<=dayKey(b) ? [a,b] : [b,a];
+  state.selectedDay = from;
+  state.rangeEnd = dayKey(from)===dayKey(to) ? null : to;
 }
 
-function activityEmoji(activityType){
-  const t = (activityType || "").toUpperCase();
-  if(t.includes("WALK")) return "🚶";
-  if(t.includes("BIC") || t.includes("CYCLE")) return "🚴";
-  if(t.includes("TRAIN") || t.includes("SUBWAY") || t.includes("TRAM")) return "🚆";
-  if(t.includes("BUS")) return "🚌";
-  if(t.includes("FLY")) return "✈️";
-  if(t.includes("PASSENGER") || t.includes("CAR") || t.includes("VEHICLE")) return "🚗";
-  if(t.includes("STILL")) return "🧍";
-  return "➡️";
+/** [fromKey, toKey] of the selection (equal for a single day), or null */
+function selectionKeys(){
+  if(!state.selectedDay) return null;
+  const from = dayKey(state.selectedDay);
+  return [from, state.rangeEnd ? dayKey(state.rangeEnd) : from];
 }
 
-/** Build availability set and sorted days */
-function rebuildDays(){
-  state.dayKeySet.clear();
-  for(const it of state.items){
-    const k = dayKey(it.start);
-    state.dayKeySet.add(k);
-  }
-  const keys = Array.from(state.dayKeySet.values()).sort((a,b)=>a-b);
-  state.sortedDays = keys.map(k=>{
-    const y = Math.floor(k/10000);
-    const m = Math.floor((k%10000)/100) - 1;
-    const d = k%100;
-    return new Date(y,m,d);
+/** Days with data inside the selection, in order */
+function selectedDataDays(){
+  const keys = selectionKeys();
+  if(!keys) return [];
+  return state.sortedDays.filter(d=>{
+    const k = dayKey(d);
+    return k>=keys[0] && k<=keys[1];
   });
+}
 
-  state.monthAnchor = state.sortedDays.length ? state.sortedDays[0] : null;
-  state.selectedDay = state.sortedDays.length ? state.sortedDays[0] : null;
-
-  $("countItems").textContent = String(state.items.length);
-  $("countDays").textContent = String(state.sortedDays.length);
-  $("selectedDayLabel").textContent = state.selectedDay ? formatDayJP(state.selectedDay) : "-";
-
-  updateNavButtons();
+function selectionLabel(){
+  if(!state.selectedDay) return "-";
+  if(!state.rangeEnd) return formatDate(state.selectedDay);
+  return `${formatDate(state.selectedDay)} – ${formatDate(state.rangeEnd)}`;
 }
 
 /** Find nearest available day index for selected day */
@@ -420,85 +371,170 @@ function currentDayIndex(){
   return state.sortedDays.findIndex(d=>dayKey(d)===k);
 }
 
+/** Nearest day with data before (dir<0) or after (dir>0) the whole selection */
+function adjacentDay(dir){
+  const keys = selectionKeys();
+  if(!keys) return null;
+  if(dir<0){
+    for(let i=state.sortedDays.length-1;i>=0;i--){
+      if(dayKey(state.sortedDays[i])<keys[0]) return state.sortedDays[i];
+    }
+    return null;
+  }
+  return state.sortedDays.find(d=>dayKey(d)>keys[1]) || null;
+}
+
 function updateNavButtons(){
-  const idx = currentDayIndex();
-  const has = state.sortedDays.length>0;
-  $("prevBtn").disabled = !has || idx<=0;
-  $("nextBtn").disabled = !has || idx<0 || idx>=state.sortedDays.length-1;
+  $("prevBtn").disabled = state.compare.on || !adjacentDay(-1);
+  $("nextBtn").disabled = state.compare.on || !adjacentDay(1);
 }
 
+// stepping out of a range collapses it to the neighbouring day
 function goPrev(){
-  const idx = currentDayIndex();
-  if(idx>0){
-    state.selectedDay = state.sortedDays[idx-1];
-    renderAll();
+  const d = state.compare.on ? null : adjacentDay(-1);
+  if(d){
+    selectDays(d);
+    renderAll(true);
   }
 }
 function goNext(){
-  const idx = currentDayIndex();
-  if(idx>=0 && idx<state.sortedDays.length-1){
-    state.selectedDay = state.sortedDays[idx+1];
-    renderAll();
+  const d = state.compare.on ? null : adjacentDay(1);
+  if(d){
+    selectDays(d);
+    renderAll(true);
   }
 }
 
-/** Filter items by selected day */
+/** Items of the selected day, or of every day in the selected range */
 function itemsForSelectedDay(){
-  if(!state.selectedDay) return [];
-  const s = startOfDay(state.selectedDay);
-  const e = new Date(s.getFullYear(), s.getMonth(), s.getDate()+1);
-  return state.items.filter(it=>it.start>=s && it.start<e)
-    .sort((a,b)=>a.start.getTime()-b.start.getTime());
+  const keys = selectionKeys();
+  if(!keys) return [];
+  return itemsForDayRange(keys[0], keys[1]);
+}
+
+/** Items whose day lies in [fromKey, toKey] (dayKey values, inclusive), sorted by start */
+function itemsForDayRange(fromKey, toKey){
+  /** @type {Item[]} */
+  const out = [];
+  for(let i=0;i<state.items.length;i++){
+    const k = state.itemDays[i];
+    if(k>=fromKey && k<=toKey && state.itemVisible[i]) out.push(state.items[i]);
+  }
+  return out;
+}
+
+function setTimeMode(mode){
+  state.timeMode = mode;
+  saveSetting("timeMode", mode);
+  rebuildDays(true);
+  updateTimeModeButton();
+  renderAll();
+  renderPlaces();
+  renderSearch();
+  refreshHeatmap();
+}
+
+function updateTimeModeButton(){
+  const btn = $("timeModeBtn");
+  const local = state.timeMode==="local";
+  btn.textContent = t(local ? "time.local" : "time.home");
+  btn.title = t(local ? "time.localTitle" : "time.homeTitle");
 }
 
 function renderHeader(){
   if(!state.selectedDay){
-    $("dayTitle").textContent = "データなし";
-    $("daySub").textContent = "JSONを選んでください";
+    $("dayTitle").textContent = t("header.noData");
+    $("daySub").textContent = t("header.pickFile");
     $("dayPill").textContent = "-";
     return;
   }
-  $("dayTitle").textContent = formatDayJP(state.selectedDay);
-  $("daySub").textContent = `${state.sortedDays.length} days`;
+  $("selectedDayLabel").textContent = selectionLabel();
+  if(state.compare.on){
+    $("dayTitle").textContent = t("compare.heading", { n: state.compare.days.length });
+    $("daySub").textContent = t("header.compare");
+    $("dayPill").textContent = t("common.days", { n: state.compare.days.length });
+    return;
+  }
+  if(state.rangeEnd){
+    const [from,to] = /** @type {number[]} */ (selectionKeys());
+    const span = Math.round((dateFromKey(to) - dateFromKey(from))/86400000) + 1;
+    $("dayTitle").textContent = selectionLabel();
+    $("daySub").textContent = t("header.range", { span: t("common.days", { n: span }), n: t("common.days", { n: selectedDataDays().length }) });
+    $("dayPill").textContent = t("common.days", { n: span });
+    return;
+  }
+  $("dayTitle").textContent = formatDate(state.selectedDay);
+  $("daySub").textContent = t("common.days", { n: state.sortedDays.length });
   $("dayPill").textContent = `${currentDayIndex()+1}/${state.sortedDays.length}`;
-  $("selectedDayLabel").textContent = formatDayJP(state.selectedDay);
 }
 
+// Calendar: a month of days, or a year of small months shaded by distance / item count
+
 function renderCalendar(){
   const root = $("calendar");
   root.innerHTML = "";
   if(!state.monthAnchor || !state.sortedDays.length){
-    root.innerHTML = `<div style="padding:12px;color:var(--muted);font-size:12px;">JSONを読み込むとカレンダーが表示されます。</div>`;
+    root.innerHTML = `<div style="padding:12px;color:var(--muted);font-size:12px;">${escapeHtml(t("calendar.empty"))}</div>`;
     return;
   }
 
+  const year = state.calendar.view==="year";
   const anchor = state.monthAnchor;
-  const y = anchor.getFullYear();
-  const m = anchor.getMonth();
-
-  const monthStart = new Date(y,m,1);
-  const monthEnd = new Date(y,m+1,0);
-  const daysInMonth = monthEnd.getDate();
-
-  const dows = ["日","月","火","水","木","金","土"]; // ja-JP default
-  const leadEmpty = monthStart.getDay(); // 0..6, Sunday=0
-  const total = leadEmpty + daysInMonth;
-
-  const monthLabel = `${y}年${m+1}月`;
+  const step = (/** @type {number} */ months, /** @type {string} */ label, /** @type {string} */ title)=>
+    `<button type="button" class="btn icon" data-step="${months}" title="${escapeAttr(title)}">${label}</button>`;
+  const view = (/** @type {string} */ v)=>
+    `<button type="button" class="chip${state.calendar.view===v ? " on" : ""}" data-view="${v}">${escapeHtml(t(`calendar.${v}`))}</button>`;
 
   const top = document.createElement("div");
   top.className = "cal-top";
-  top.innerHTML = `<div class="month">${monthLabel}</div><div class="hint">濃い日 = データあり</div>`;
+  top.innerHTML = `
+    <div class="cal-nav">
+      ${year ? step(-12, "‹", t("calendar.prevYearOnly")) : `${step(-12, "«", t("calendar.prevYear"))}${step(-1, "‹", t("calendar.prevMonth"))}`}
+      <button type="button" class="month" data-today title="${escapeAttr(t("calendar.toSelection"))}">${escapeHtml(year ? formatYear(anchor) : formatMonth(anchor))}</button>
+      ${year ? step(12, "›", t("calendar.nextYearOnly")) : `${step(1, "›", t("calendar.nextMonth"))}${step(12, "»", t("calendar.nextYear"))}`}
+    </div>
+    <div class="chips">${view("month")}${view("year")}</div>
+  `;
   root.appendChild(top);
 
+  const grid = year ? yearGrid(anchor.getFullYear()) : monthGrid(anchor.getFullYear(), anchor.getMonth());
+  markCalendarSelection(grid);
+  setupCalendarSelection(grid);
+  root.appendChild(grid);
+
+  const hint = document.createElement("div");
+  hint.className = "cal-hint";
+  if(year){
+    const metric = (/** @type {"distance"|"count"} */ m)=>
+      `<button type="button" class="chip${state.calendar.metric===m ? " on" : ""}" data-metric="${m}">${escapeHtml(t(`calendar.${m}`))}</button>`;
+    hint.innerHTML = `
+      <div class="chips">${metric("distance")}${metric("count")}</div>
+      <span class="heat-legend">${escapeHtml(t("calendar.less"))}${[0,1,2,3,4].map(l=>`<i class="lv${l}"></i>`).join("")}${escapeHtml(t("calendar.more"))}</span>
+      <div>${escapeHtml(t("calendar.yearHint", { metric: t(`calendar.${state.calendar.metric}`).toLowerCase() }))}</div>
+    `;
+  } else {
+    hint.textContent = t("calendar.hint");
+  }
+  root.appendChild(hint);
+}
+
+/** Date cells of one month, with the weekday header */
+function monthGrid(y, m){
+  const monthStart = new Date(y,m,1);
+  const daysInMonth = new Date(y,m+1,0).getDate();
+
+  const first = weekStart();
+  const leadEmpty = (monthStart.getDay() - first + 7) % 7; // 0..6 cells before the 1st
+  const total = leadEmpty + daysInMonth;
+
   const grid = document.createElement("div");
   grid.className = "grid";
 
   // weekday header
-  for(const s of dows){
+  for(let i=0;i<7;i++){
     const el = document.createElement("div");
     el.className = "dow";
-    el.textContent = s;
+    el.textContent = weekdayName((first + i) % 7);
     grid.appendChild(el);
   }
 
@@ -511,241 +547,2343 @@ function renderCalendar(){
       continue;
     }
     const day = i - leadEmpty + 1;
-    const date = new Date(y,m,day);
-    const k = dayKey(date);
+    const k = dayKey(new Date(y,m,day));
     const avail = state.dayKeySet.has(k);
-    const selected = state.selectedDay && dayKey(state.selectedDay)===k;
 
-    cell.className = "cell" + (avail ? " avail" : " disabled") + (selected ? " selected" : "");
+    cell.className = "cell" + (avail ? " avail" : " disabled");
+    cell.dataset.key = String(k);
     cell.textContent = String(day);
+    grid.appendChild(cell);
+  }
+  return grid;
+}
 
-    if(avail){
-      cell.addEventListener("click", ()=>{
-        state.selectedDay = date;
-        renderAll();
-      });
+/** Twelve small months; each day is shaded lv0..lv4 by its share of the busiest day of the year */
+function yearGrid(y){
+  if(!state.dayTotals) state.dayTotals = dayTotals(state.items, state.itemDays, state.itemVisible);
+  const totals = state.dayTotals;
+  const value = (/** @type {DayStats|undefined} */ d)=>!d ? 0 : state.calendar.metric==="distance" ? d.meters : d.items;
+  let max = 0;
+  for(const d of totals.values()){
+    if(Math.floor(d.dayKey/10000)===y) max = Math.max(max, value(d));
+  }
+  const first = weekStart();
+
+  const grid = document.createElement("div");
+  grid.className = "year";
+  let html = "";
+  for(let m=0;m<12;m++){
+    const monthStart = new Date(y,m,1);
+    const daysInMonth = new Date(y,m+1,0).getDate();
+    let cells = "";
+    for(let i=(monthStart.getDay() - first + 7) % 7;i>0;i--) cells += `<div class="cell empty"></div>`;
+    for(let day=1;day<=daysInMonth;day++){
+      const date = new Date(y,m,day);
+      const k = dayKey(date);
+      const d = totals.get(k);
+      const v = value(d);
+      // square root so a few long trips don't wash out every other day
+      const level = v>0 && max>0 ? clamp(Math.ceil(4*Math.sqrt(v/max)), 1, 4) : 0;
+      const title = d ? `${formatDate(date)} · ${t("common.items", { n: d.items })}${d.meters ? ` · ${formatDistance(d.meters)}` : ""}` : formatDate(date);
+      cells += `<div class="cell lv${level}${state.dayKeySet.has(k) ? " avail" : " disabled"}" data-key="${k}" title="${escapeAttr(title)}"></div>`;
     }
-    grid.appendChild(cell);
+    html += `
+      <div class="year-month">
+        <button type="button" class="month-name" data-month="${m}">${escapeHtml(formatMonthShort(monthStart))}</button>
+        <div class="grid">${cells}</div>
+      </div>
+    `;
   }
+  grid.innerHTML = html;
+  return grid;
+}
 
-  root.appendChild(grid);
+/** Show the month (or year) of a day; the selection does not change */
+function showCalendarAt(d){
+  state.monthAnchor = new Date(d.getFullYear(), d.getMonth(), 1);
+  renderCalendar();
+}
+
+/** @param {number} months calendar page turn; 12 = a year */
+function stepCalendar(months){
+  if(!state.monthAnchor) return;
+  showCalendarAt(new Date(state.monthAnchor.getFullYear(), state.monthAnchor.getMonth() + months, 1));
+}
+
+/** Move the calendar to the selection when none of it is on the page shown */
+function calendarFollowSelection(){
+  const keys = selectionKeys();
+  if(!keys) return;
+  const [first, last] = state.monthAnchor ? periodBounds(dayKey(state.monthAnchor), state.calendar.view, weekStart()) : [0, 0];
+  if(keys[1]<first || keys[0]>last) state.monthAnchor = dateFromKey(keys[0]);
+}
+
+/** @param {Partial<typeof state.calendar>} patch */
+function setCalendarLayout(patch){
+  state.calendar = { ...state.calendar, ...patch };
+  saveSetting("calendar", state.calendar);
+  renderCalendar();
+}
+
+function setupCalendar(){
+  $("calendar").addEventListener("click", (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target).closest("button");
+    if(!el) return;
+    if(el.dataset.step) stepCalendar(Number(el.dataset.step));
+    else if(el.dataset.view) setCalendarLayout({ view: el.dataset.view==="year" ? "year" : "month" });
+    else if(el.dataset.metric) setCalendarLayout({ metric: el.dataset.metric==="count" ? "count" : "distance" });
+    else if(el.dataset.month && state.monthAnchor){
+      state.monthAnchor = new Date(state.monthAnchor.getFullYear(), Number(el.dataset.month), 1);
+      setCalendarLayout({ view: "month" });
+    } else if("today" in el.dataset && state.selectedDay){
+      showCalendarAt(state.selectedDay);
+    }
+  });
+}
+
+/** Toggle selected / in-range classes on the date cells of a calendar grid; compared days get their color */
+function markCalendarSelection(grid){
+  const keys = selectionKeys();
+  for(const cell of /** @type {NodeListOf<HTMLElement>} */ (grid.querySelectorAll(".cell[data-key]"))){
+    const k = Number(cell.dataset.key);
+    if(state.compare.on){
+      const i = state.compare.days.indexOf(k);
+      cell.classList.toggle("selected", i>=0);
+      cell.classList.remove("inrange");
+      cell.style.boxShadow = i>=0 ? `inset 0 0 0 2px ${dayColor(i)}` : "";
+      continue;
+    }
+    const inside = !!keys && k>=keys[0] && k<=keys[1];
+    cell.classList.toggle("selected", inside && (k===keys[0] || k===keys[1]));
+    cell.classList.toggle("inrange", inside && k!==keys[0] && k!==keys[1]);
+  }
+}
+
+/**
+ * Click = one day (with data), Shift+click = range from the selection, drag = range.
+ * Dragging is mouse/pen only so touch users can still scroll the panel over the calendar.
+ * In compare mode a click adds or removes the day instead.
+ * @param {HTMLElement} grid
+ */
+function setupCalendarSelection(grid){
+  /** @type {{anchor:Date, pointerId:number, moved:boolean}|null} */
+  let drag = null;
+  const dateAt = (/** @type {EventTarget|Element|null} */ el)=>{
+    const cell = el instanceof Element ? /** @type {HTMLElement|null} */ (el.closest(".cell[data-key]")) : null;
+    return cell ? dateFromKey(Number(cell.dataset.key)) : null;
+  };
+
+  grid.addEventListener("pointerdown", (e)=>{
+    if(e.button!==0) return;
+    const date = dateAt(e.target);
+    if(!date) return;
+    if(state.compare.on){
+      e.preventDefault();
+      if(state.dayKeySet.has(dayKey(date))) toggleCompareDay(dayKey(date));
+      return;
+    }
+    if(e.shiftKey && state.selectedDay){
+      e.preventDefault();
+      if(dayKey(date)>=dayKey(state.selectedDay)) selectDays(state.selectedDay, date);
+      else selectDays(date, state.rangeEnd || state.selectedDay);
+      renderAll(true);
+      return;
+    }
+    drag = { anchor:date, pointerId:e.pointerId, moved:false };
+    if(e.pointerType!=="touch") grid.setPointerCapture(e.pointerId);
+  });
+  grid.addEventListener("pointermove", (e)=>{
+    if(!drag || e.pointerId!==drag.pointerId || e.pointerType==="touch") return;
+    const date = dateAt(document.elementFromPoint(e.clientX, e.clientY));
+    if(!date) return;
+    if(!drag.moved && dayKey(date)===dayKey(drag.anchor)) return;
+    drag.moved = true;
+    selectDays(drag.anchor, date);
+    markCalendarSelection(grid);
+  });
+  grid.addEventListener("pointerup", (e)=>{
+    if(!drag || e.pointerId!==drag.pointerId) return;
+    const { anchor, moved } = drag;
+    drag = null;
+    if(moved){
+      renderAll(true);
+    } else if(state.dayKeySet.has(dayKey(anchor))){
+      selectDays(anchor);
+      renderAll(true);
+    }
+  });
+  grid.addEventListener("pointercancel", ()=>{
+    if(drag?.moved) renderAll(true);
+    drag = null;
+  });
 }
 
 function renderList(){
   const list = $("list");
+  if(state.compare.on){
+    renderCompare();
+    return;
+  }
   const items = itemsForSelectedDay();
   list.innerHTML = "";
+  state.listRows.clear();
 
   if(!state.selectedDay){
-    list.innerHTML = `<div style="padding:12px;color:var(--muted);font-size:12px;">JSONを選んでください。</div>`;
+    list.innerHTML = `<div style="padding:12px;color:var(--muted);font-size:12px;">${escapeHtml(t("list.pickFile"))}</div>`;
     return;
   }
 
   if(items.length===0){
-    list.innerHTML = `<div style="padding:12px;color:var(--muted);font-size:12px;">この日はデータがありません。</div>`;
+    list.innerHTML = `<div style="padding:12px;color:var(--muted);font-size:12px;">${escapeHtml(t(state.rangeEnd ? "list.noDataRange" : "list.noDataDay"))}</div>`;
     return;
   }
 
+  /** @type {Map<number, {index:number, count:number, meters:number}>} per-day header stats in a range */
+  const groups = new Map();
+  if(state.rangeEnd){
+    selectedDataDays().forEach((d,i)=>groups.set(dayKey(d), { index:i, count:0, meters:0 }));
+    for(const it of items){
+      const g = groups.get(itemDayKey(it));
+      if(!g) continue;
+      g.count++;
+      if(it.kind==="activity" && it.distanceMeters) g.meters += it.distanceMeters;
+    }
+  }
+
+  let lastKey = -1;
   const frag = document.createDocumentFragment();
+  if(!state.rangeEnd) frag.appendChild(dayNoteRow(dayKey(state.selectedDay)));
   for(const it of items){
+    const k = groups.size ? itemDayKey(it) : lastKey;
+    if(k!==lastKey){
+      lastKey = k;
+      const g = groups.get(k);
+      if(g) frag.appendChild(dayHeaderRow(k, g));
+    }
     const row = document.createElement("div");
     row.className = "row";
-    const t0 = formatTimeJP(it.start);
-    const t1 = it.end ? formatTimeJP(it.end) : "";
+    const endOffset = it.endTzOffsetMinutes ?? it.tzOffsetMinutes;
+    const t0 = formatItemTime(it.start, it.tzOffsetMinutes);
+    const t1 = it.end ? formatItemTime(it.end, endOffset) : "";
+    const tz = offsetLabel(it.start, it.tzOffsetMinutes);
+    const title = itemTitle(it);
+    const subtitle = itemSubtitle(it);
     row.innerHTML = `
-      <div class="time">${t0}${t1 ? `<br/><span style="opacity:.7">${t1}</span>`:""}</div>
+      <div class="time">${t0}${t1 ? `<br/><span style="opacity:.7">${t1}</span>`:""}${tz ? `<br/><span class="tz">${tz}</span>`:""}</div>
       <div class="main">
         <div class="title">
           <div class="emoji">${escapeHtml(it.emoji)}</div>
-          <b title="${escapeAttr(it.title)}">${escapeHtml(it.title)}</b>
+          <b title="${escapeAttr(title)}">${escapeHtml(title)}</b>
+          ${it.edited ? `<span class="edited" title="${escapeAttr(t("list.editedTitle"))}">${escapeHtml(t("list.edited"))}</span>` : ""}
+          <button class="btn icon row-edit" title="${escapeAttr(t("list.edit"))}">✎</button>
         </div>
-        <div class="subtitle" title="${escapeAttr(it.subtitle)}">${escapeHtml(it.subtitle)}</div>
+        <div class="subtitle" title="${escapeAttr(subtitle)}">${escapeHtml(subtitle)}</div>
+        ${it.note ? `<div class="note" title="${escapeAttr(it.note)}">📝 ${escapeHtml(it.note)}</div>` : ""}
       </div>
     `;
-    row.addEventListener("click", ()=>{
-      focusItemOnMap(it);
+    row.addEventListener("click", (e)=>{
+      if(/** @type {HTMLElement} */ (e.target).closest(".row-edit")) openEditDialog(it);
+      else focusItemOnMap(it);
     });
+    state.listRows.set(it, row);
     frag.appendChild(row);
   }
   list.appendChild(frag);
 }
 
-function escapeHtml(s){
-  return String(s).replace(/[&<>"']/g, (c)=>({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;" }[c]));
+/**
+ * Header above one day's rows in a range; the swatch matches the day's color on the map.
+ * Clicking it narrows the selection to that day.
+ * @param {number} k dayKey of this group
+ * @param {{index:number, count:number, meters:number}} g
+ */
+function dayHeaderRow(k, g){
+  const head = document.createElement("div");
+  const note = state.edits.days[isoDay(dateFromKey(k))];
+  head.className = "day-head";
+  head.title = note ? `📝 ${note}\n${t("list.showDay")}` : t("list.showDay");
+  head.innerHTML = `
+    <span class="swatch" style="background:${dayColor(g.index)}"></span>
+    <b>${escapeHtml(formatDate(dateFromKey(k)))}</b>
+    <span class="meta">${note ? "📝 " : ""}${t("common.items", { n: g.count })}${g.meters ? ` · ${formatDistance(g.meters, { long: true })}` : ""}</span>
+  `;
+  head.addEventListener("click", ()=>{
+    selectDays(dateFromKey(k));
+    renderAll(true);
+  });
+  return head;
 }
-function escapeAttr(s){ return escapeHtml(s).replaceAll("\n"," "); }
 
-function ensureMap(){
-  if(state.map) return;
-  if(!window.L){
-    // Leaflet is loaded via defer; wait a bit.
-    setTimeout(ensureMap, 30);
-    return;
-  }
-  state.map = window.L.map("map", { zoomControl: true });
-  state.map.setView([35.681236, 139.767125], 11); // Tokyo station as a neutral initial view
-  window.L.tileLayer(
-    "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
-    {
-      maxZoom: 19,
-      attribution: "&copy; OpenStreetMap contributors"
-    }
-  ).addTo(state.map);
-
-  state.map.on("click", () => hideToast());
+/**
+ * Note of a single selected day, above its rows; click to write or change it.
+ * @param {number} k dayKey
+ */
+function dayNoteRow(k){
+  const day = isoDay(dateFromKey(k));
+  const note = state.edits.days[day] || "";
+  const el = document.createElement("div");
+  el.className = "day-note" + (note ? "" : " empty");
+  el.title = t("list.editDayNote");
+  el.textContent = note ? `📝 ${note}` : t("list.addDayNote");
+  el.addEventListener("click", ()=>{
+    const text = window.prompt(t("list.dayNotePrompt", { day: formatDate(dateFromKey(k)) }), note);
+    if(text==null) return;
+    setEdits(setDayNote(state.edits, day, text.trim()), false);
+  });
+  return el;
 }
 
-function clearMapLayers(){
-  if(!state.map) return;
-  for(const layer of state.mapLayers){
-    try{ state.map.removeLayer(layer); }catch{}
-  }
-  state.mapLayers = [];
+// per-day colors for range views (list swatches, map polylines, legend)
+const DAY_COLORS = ["#3b82f6","#f97316","#22c55e","#e11d48","#a855f7","#eab308","#06b6d4","#ec4899","#84cc16","#f43f5e"];
+function dayColor(index){
+  return DAY_COLORS[index % DAY_COLORS.length];
 }
 
-function renderMap(){
-  ensureMap();
-  if(!state.map) return;
-  clearMapLayers();
-
-  const items = itemsForSelectedDay();
+// Compare mode (compare.js): days picked in the calendar, overlaid on the map, with their
+// timelines side by side and the trips they share
 
-  /** @type {LatLng[]} */
-  const coords = [];
+/** Items of the compared days, sorted by start */
+function itemsForCompare(){
+  const want = new Set(state.compare.days);
+  return state.items.filter((_, i)=>state.itemVisible[i] && want.has(state.itemDays[i]));
+}
 
-  for(const it of items){
-    if(it.kind==="activity"){
-      if(it.path && it.path.length>=2){
-        const latlngs = it.path.map(p=>[p.lat,p.lng]);
-        const poly = window.L.polyline(latlngs, { weight: 5, opacity: 0.9 });
-        poly.addTo(state.map);
-        state.mapLayers.push(poly);
-        coords.push(...it.path);
-      }
-    } else if(it.kind==="visit"){
-      if(it.point){
-        const marker = window.L.marker([it.point.lat, it.point.lng]);
-        marker.bindPopup(`<b>${escapeHtml(it.title)}</b><br/>${escapeHtml(it.subtitle)}`);
-        marker.addTo(state.map);
-        state.mapLayers.push(marker);
-        coords.push(it.point);
-      }
-    } else if(it.kind==="rawpoint"){
-      // raw points can be massive -> show as small circle markers, capped
-      if(it.point){
-        const circ = window.L.circleMarker([it.point.lat,it.point.lng], { radius: 2, opacity: 0.7, fillOpacity: 0.7 });
-        circ.addTo(state.map);
-        state.mapLayers.push(circ);
-        coords.push(it.point);
-      }
-    }
-  }
+function renderCompareButton(){
+  $("compareBtn").classList.toggle("primary", state.compare.on);
+}
 
-  // Fit bounds
-  if(coords.length){
-    const bounds = window.L.latLngBounds(coords.map(p=>[p.lat,p.lng]));
-    state.map.fitBounds(bounds.pad(0.12), { animate: true });
-  }
+/** Enter compare mode with the days of the current selection, or leave it (the selection is kept) */
+function setCompare(on){
+  state.compare = { on, days: on ? selectedDataDays().map(dayKey) : [] };
+  renderCompareButton();
+  renderAll();
 }
 
-function focusItemOnMap(it){
-  ensureMap();
-  if(!state.map) return;
+/** @param {number} k dayKey */
+function toggleCompareDay(k){
+  const days = state.compare.days;
+  state.compare.days = days.includes(k) ? days.filter(d=>d!==k) : [...days, k].sort((a,b)=>a-b);
+  renderAll();
+}
 
-  if(it.kind==="visit" && it.point){
-    state.map.setView([it.point.lat,it.point.lng], Math.max(state.map.getZoom(), 16), { animate:true });
-    showToast(it.title, it.subtitle);
-  } else if(it.kind==="activity" && it.path && it.path.length>=2){
-    const bounds = window.L.latLngBounds(it.path.map(p=>[p.lat,p.lng]));
-    state.map.fitBounds(bounds.pad(0.2), { animate:true });
-    showToast(it.title, it.subtitle);
-  } else if(it.kind==="rawpoint" && it.point){
-    state.map.setView([it.point.lat,it.point.lng], Math.max(state.map.getZoom(), 16), { animate:true });
-    showToast(it.title, it.subtitle);
+/**
+ * Add the days with data of the month shown in the calendar that match a test.
+ * @param {(d:Date)=>boolean} test
+ */
+function addCompareDays(test){
+  if(!state.monthAnchor) return;
+  const y = state.monthAnchor.getFullYear(), m = state.monthAnchor.getMonth();
+  const days = new Set(state.compare.days);
+  for(const d of state.sortedDays){
+    if(d.getFullYear()===y && d.getMonth()===m && test(d)) days.add(dayKey(d));
   }
+  state.compare.days = Array.from(days).sort((a,b)=>a-b);
+  renderAll();
 }
 
-/** main render */
-function renderAll(){
-  renderHeader();
-  renderCalendar();
-  renderList();
-  renderMap();
-  updateNavButtons();
+/** Minutes since midnight, in the timezone the moment happened in (see timeMode) */
+function minuteOfDay(d, offsetMinutes){
+  const w = shiftToOffset(d, offsetMinutes);
+  return w ? w.getUTCHours()*60 + w.getUTCMinutes() : d.getHours()*60 + d.getMinutes();
 }
 
-function showToast(msg, small=""){
-  $("toastMsg").textContent = msg || "";
-  $("toastSmall").textContent = small || "";
-  $("toast").classList.add("show");
-  window.clearTimeout(showToast._t);
-  showToast._t = window.setTimeout(()=>hideToast(), 2600);
+/** "+12 min" / "−1.5 h"; "±0" when equal @param {number} ms */
+function formatDiff(ms){
+  if(Math.abs(ms)<30000) return "±0";
+  return `${ms>0 ? "+" : "−"}${formatDuration(Math.abs(ms))}`;
 }
-function hideToast(){
-  $("toast").classList.remove("show");
+
+function renderCompare(){
+  const list = $("list");
+  const days = state.compare.days;
+  list.innerHTML = "";
+  state.listRows.clear();
+
+  const anchor = state.monthAnchor || new Date();
+  // "every Tuesday": the weekday of the first compared day
+  const weekday = (days.length ? dateFromKey(days[0]) : state.selectedDay || anchor).getDay();
+  const head = document.createElement("div");
+  head.className = "compare-head";
+  head.innerHTML = `
+    <button type="button" class="chip" data-compare="weekday">${escapeHtml(t("compare.sameWeekday", { weekday: weekdayName(weekday, "long"), month: formatMonth(anchor) }))}</button>
+    <button type="button" class="chip" data-compare="workdays">${escapeHtml(t("compare.workdays", { month: formatMonth(anchor) }))}</button>
+    ${days.length ? `<button type="button" class="chip" data-compare="clear">${escapeHtml(t("compare.clear"))}</button>` : ""}
+  `;
+  head.addEventListener("click", (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target).closest("button");
+    const what = el?.dataset.compare;
+    if(what==="weekday") addCompareDays(d=>d.getDay()===weekday);
+    else if(what==="workdays") addCompareDays(d=>d.getDay()!==0 && d.getDay()!==6);
+    else if(what==="clear"){
+      state.compare.days = [];
+      renderAll();
+    }
+  });
+  list.appendChild(head);
+
+  if(days.length<2){
+    const hint = document.createElement("div");
+    hint.style.cssText = "padding:12px;color:var(--muted);font-size:12px;";
+    hint.textContent = t("compare.pick");
+    list.appendChild(hint);
+    if(!days.length) return;
+  }
+
+  list.appendChild(compareTimelines(days));
+  if(days.length>=2) list.appendChild(compareTrips(days));
 }
 
-async function readFileAsText(file){
-  return new Promise((resolve,reject)=>{
-    const r = new FileReader();
-    r.onerror = ()=>reject(r.error);
-    r.onload = ()=>resolve(String(r.result||""));
-    r.readAsText(file);
+/**
+ * One bar per day on a shared clock axis; visits grey, activities in the day's color.
+ * @param {number[]} days dayKeys
+ */
+function compareTimelines(days){
+  /** @type {Map<number, {it:Item, from:number, to:number}[]>} */
+  const segs = new Map(days.map(k=>[k, []]));
+  let lo = 24*60, hi = 0;
+  const want = new Set(days);
+  for(let i=0;i<state.items.length;i++){
+    const it = state.items[i];
+    if(!state.itemVisible[i] || !want.has(state.itemDays[i]) || it.kind==="rawpoint") continue;
+    const from = minuteOfDay(it.start, it.tzOffsetMinutes);
+    // overnight visits are cut at midnight
+    const to = Math.min(24*60, from + (it.end ? (it.end.getTime() - it.start.getTime())/60000 : 0));
+    segs.get(state.itemDays[i])?.push({ it, from, to });
+    lo = Math.min(lo, from);
+    hi = Math.max(hi, to);
+  }
+  if(hi<=lo){ lo = 0; hi = 24*60; }
+  const h0 = Math.floor(lo/60), h1 = Math.max(h0 + 1, Math.ceil(hi/60));
+  const span = (h1 - h0)*60;
+  const pct = (/** @type {number} */ m)=>`${((m - h0*60)/span*100).toFixed(2)}%`;
+  const stepH = Math.max(1, Math.ceil((h1 - h0)/6));
+
+  const box = document.createElement("div");
+  box.className = "tl";
+  let html = `<div class="tl-title">${escapeHtml(t("compare.timelines"))}</div>`;
+  days.forEach((k, i)=>{
+    const d = dateFromKey(k);
+    html += `
+      <div class="tl-row">
+        <span class="swatch" style="background:${dayColor(i)}"></span>
+        <span class="tl-day">${escapeHtml(formatMonthDay(d))} ${escapeHtml(weekdayName(d.getDay()))}</span>
+        <div class="tl-bar">${/** @type {{it:Item, from:number, to:number}[]} */ (segs.get(k)).map((s, j)=>`<i class="tl-seg${s.it.kind==="visit" ? " visit" : ""}" data-day="${k}" data-seg="${j}"
+          style="left:${pct(s.from)};width:max(2px, ${((s.to - s.from)/span*100).toFixed(2)}%);${s.it.kind==="visit" ? "" : `background:${dayColor(i)}`}"
+          title="${escapeAttr(`${formatItemTime(s.it.start, s.it.tzOffsetMinutes)} ${itemTitle(s.it)}`)}"></i>`).join("")}</div>
+      </div>
+    `;
   });
+  let ticks = "";
+  for(let h=h0;h<=h1;h+=stepH) ticks += `<span style="left:${pct(h*60)}">${h}</span>`;
+  html += `<div class="tl-row"><span class="swatch"></span><span class="tl-day"></span><div class="tl-axis">${ticks}</div></div>`;
+  box.innerHTML = html;
+  box.addEventListener("click", (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target).closest(".tl-seg");
+    if(!(el instanceof HTMLElement)) return;
+    const s = segs.get(Number(el.dataset.day))?.[Number(el.dataset.seg)];
+    if(s) focusItemOnMap(s.it);
+  });
+  return box;
 }
 
-async function onFileSelected(file){
-  if(!file) return;
-  const text = await readFileAsText(file);
+/**
+ * Trips between the same places on the compared days: departure, arrival and duration, each
+ * against the first day that has the trip.
+ * @param {number[]} days dayKeys
+ */
+function compareTrips(days){
+  const matches = matchTrips(tripsOfDays(state.items, state.itemDays, days, state.itemVisible), days);
+  const box = document.createElement("div");
+  box.className = "trips";
+  let html = `<div class="tl-title">${escapeHtml(t("compare.trips"))}</div>`;
+  if(!matches.length){
+    box.innerHTML = `${html}<div style="padding:4px 2px 8px;color:var(--muted);font-size:12px;">${escapeHtml(t("compare.noTrips"))}</div>`;
+    return box;
+  }
 
-  let json;
-  try{
-    json = JSON.parse(text);
-  } catch(e){
-    showToast("JSON parse error", String(e));
-    return;
+  const clock = (/** @type {Date} */ d, /** @type {Item} */ it, /** @type {boolean} */ end)=>
+    formatItemTime(d, end ? it.endTzOffsetMinutes ?? it.tzOffsetMinutes : it.tzOffsetMinutes);
+  for(const m of matches){
+    const ref = /** @type {Trip} */ (m.trips.find(Boolean));
+    const refDepart = minuteOfDay(ref.depart, ref.legs[0].tzOffsetMinutes);
+    const refDuration = ref.arrive.getTime() - ref.depart.getTime();
+    let rows = "";
+    m.trips.forEach((trip, i)=>{
+      if(!trip) return;
+      const d = dateFromKey(trip.day);
+      const first = trip.legs[0], last = trip.legs[trip.legs.length-1];
+      const duration = trip.arrive.getTime() - trip.depart.getTime();
+      // arrival is compared as departure + duration so trips past midnight line up
+      const depart = minuteOfDay(trip.depart, first.tzOffsetMinutes);
+      const diff = (/** @type {number} */ ms)=>trip===ref ? "" : `<small>${escapeHtml(formatDiff(ms))}</small>`;
+      rows += `
+        <tr>
+          <td><span class="swatch" style="background:${dayColor(i)}"></span>${escapeHtml(formatMonthDay(d))} ${escapeHtml(weekdayName(d.getDay()))}</td>
+          <td>${clock(trip.depart, first, false)}${diff((depart - refDepart)*60000)}</td>
+          <td>${clock(trip.arrive, last, true)}${diff((depart - refDepart)*60000 + duration - refDuration)}</td>
+          <td>${escapeHtml(formatDuration(duration))}${diff(duration - refDuration)}</td>
+        </tr>
+      `;
+    });
+    html += `
+      <div class="trip">
+        <b>${escapeHtml(localizeText(m.fromTitle))} → ${escapeHtml(localizeText(m.toTitle))}</b>
+        <table>
+          <tr><th></th><th>${escapeHtml(t("compare.depart"))}</th><th>${escapeHtml(t("compare.arrive"))}</th><th>${escapeHtml(t("compare.duration"))}</th></tr>
+          ${rows}
+        </table>
+      </div>
+    `;
   }
+  box.innerHTML = `${html}<div class="cal-hint">${escapeHtml(t("compare.reference"))}</div>`;
+  return box;
+}
 
-  const parsed = parseAnyGoogleTimeline(json);
-  state.items = parsed.items.filter(it=>it.start && !isNaN(it.start.getTime()));
-  state.detectedFormat = parsed.detectedFormat;
+function setupCompare(){
+  $("compareBtn").addEventListener("click", ()=>setCompare(!state.compare.on));
+}
 
-  // for raw locations, reduce memory by keeping only daily-usable points when rendering
-  // (renderList ignores rawpoint count; map renders rawpoints with tiny markers)
-  state.items.sort((a,b)=>a.start.getTime()-b.start.getTime());
+/** Name of an activityType in the UI language ("" = unknown) */
+function modeLabel(type){
+  if(!type) return t("mode.unknown");
+  return lookup(`mode.${type}`) ?? typeLabel(type);
+}
 
-  rebuildDays();
-  updateFormatPill();
+/** Title as shown: the generic titles importers make up follow the UI language, real names stay */
+function itemTitle(it){
+  if(it.kind==="activity" && it.activityType && it.title===activityTitle(it.activityType)) return modeLabel(it.activityType);
+  return localizeText(it.title);
+}
 
-  if(!state.items.length){
-    showToast("No supported data found", "timelineObjects / semanticSegments / locations[] を探しました");
-    renderAll();
-    return;
+/** Subtitle as shown; "1.2 km の移動" as written by the importers is redone in the chosen language and unit */
+function itemSubtitle(it){
+  if(it.kind==="activity" && it.distanceMeters!=null && it.subtitle===distanceSubtitle(it.distanceMeters)){
+    return t("item.moved", { distance: formatDistance(it.distanceMeters) });
   }
-
-  showToast("Loaded", `${state.items.length} items, ${state.sortedDays.length} days`);
-  renderAll();
+  return localizeText(it.subtitle);
 }
 
-function updateFormatPill(){
-  const map = {
-    timelineObjects: "Format: timelineObjects",
-    semanticSegments: "Format: semanticSegments",
-    recordsLocations: "Format: Records.json (locations[])",
-    unknown: "Format: unknown",
-  };
-  $("formatPill").textContent = map[state.detectedFormat] || "Format: unknown";
+function escapeHtml(s){
+  return String(s).replace(/[&<>"']/g, (c)=>({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;" }[c]));
 }
+function escapeAttr(s){ return escapeHtml(s).replaceAll("\n"," "); }
 
-// Keyboard shortcuts
-function setupShortcuts(){
-  window.addEventListener("keydown", (e)=>{
-    if(e.altKey && e.key==="ArrowLeft"){
-      e.preventDefault(); goPrev();
+/** Create the map on first use; the renderer loads asynchronously and redraws the current selection when ready */
+function ensureMap(){
+  if(state.map || state.mapLoading) return;
+  const renderer = state.tiles.renderer;
+  state.mapLoading = createMapAdapter(renderer, $("map"), {
+    ...state.mapView,
+    popup: (it)=>`<b>${escapeHtml(itemTitle(it))}</b><br/>${escapeHtml(itemSubtitle(it))}`,
+    onItemClick: (it)=>state.listRows.get(it)?.scrollIntoView({ block: "nearest", behavior: "smooth" }),
+  }).then(async (map)=>{
+    state.mapLoading = null;
+    state.map = map;
+    map.onClick((p)=>{
+      if(state.placingZone) placeZone(p);
+      else hideToast();
+    });
+    map.onViewChange(()=>writeRoute());
+    map.setHeatOptions({ radius: state.heat.radius, intensity: state.heat.intensity });
+    await applyTiles();
+    renderZonesOnMap();
+    renderMap();
+    if(state.heat.on) refreshHeatmap();
+  }, (e)=>{
+    state.mapLoading = null;
+    if(renderer==="leaflet"){
+      showToast(t("map.unavailable"), `${e?.message || e}`);
+      return;
+    }
+    // e.g. no WebGL, or the library could not be downloaded
+    showToast(t("map.mapLibreUnavailable"), t("map.leafletFallback", { error: `${e?.message || e}` }));
+    state.tiles = { ...state.tiles, renderer: "leaflet" };
+    saveSetting("tiles", state.tiles);
+    ensureMap();
+  });
+}
+
+/** Recreate the map with another renderer, keeping the view */
+function switchMapRenderer(){
+  if(state.map){
+    state.mapView = state.map.getView();
+    state.routeView = state.mapView;
+    state.map.destroy();
+    state.map = null;
+  }
+  ensureMap();
+}
+
+// Map background: a tile URL template, or a local PMTiles/MBTiles file (tile-files.js)
+
+/** Cache Storage bucket for viewed tiles; sw.js only caches tile requests while it exists */
+function tileCacheName(){
+  return `timeline-trace-tiles::${new URL("./", location.href).href}`;
+}
+
+async function applyTiles(){
+  const map = state.map;
+  if(!map) return;
+  const tiles = state.tiles;
+  /** @type {BaseLayerSpec|null} */
+  let spec = null;
+  if(tiles.source==="style"){
+    if(map.kind==="maplibre" && tiles.styleUrl) spec = { type: "style", url: tiles.styleUrl };
+    else showToast(t("toast.styleUnavailable"), t("tiles.styleNeedsMapLibre"));
+  }
+  if(tiles.source==="file"){
+    try{
+      if(!state.tileSource){
+        const file = await getMeta("tileFile");
+        if(!(file instanceof File)) throw new Error(t("tiles.noStoredFile"));
+        state.tileSource = await openTileFile(file);
+      }
+      spec = { type: "file", source: state.tileSource };
+    } catch(e){
+      showToast(t("toast.localTilesUnavailable"), t("tiles.fallback", { error: `${e?.message || e}` }));
+    }
+  }
+  if(spec){
+    try{
+      map.setBaseLayer(spec);
+      return;
+    } catch(e){
+      showToast(t("toast.backgroundUnavailable"), t("tiles.fallback", { error: `${e?.message || e}` }));
+    }
+  }
+  map.setBaseLayer({
+    type: "url",
+    url: tiles.url,
+    attribution: tiles.attribution,
+    maxZoom: tiles.maxZoom,
+    // CORS responses can be cached without the size padding browsers add to opaque ones
+    crossOrigin: tiles.cache,
+  });
+}
+
+/** @type {{file:File|null, source:TileSource|null}} a tile file picked in the dialog, not applied yet */
+const pendingTiles = { file: null, source: null };
+
+async function openTilesDialog(){
+  const tiles = state.tiles;
+  pendingTiles.file = null;
+  pendingTiles.source = null;
+  const form = /** @type {HTMLFormElement} */ ($("tilesDialog").querySelector("form"));
+  /** @type {HTMLSelectElement} */ ($("mapRenderer")).value = tiles.renderer;
+  /** @type {RadioNodeList} */ (form.elements.namedItem("tileSource")).value = tiles.source;
+  /** @type {HTMLSelectElement} */ ($("tilePreset")).value = tiles.preset;
+  /** @type {HTMLInputElement} */ ($("tileUrl")).value = tiles.url;
+  /** @type {HTMLInputElement} */ ($("tileAttribution")).value = tiles.attribution;
+  /** @type {HTMLInputElement} */ ($("tileStyleUrl")).value = tiles.styleUrl;
+  /** @type {HTMLInputElement} */ ($("tileCache")).checked = tiles.cache;
+  $("tileFileName").textContent = state.tileSource ? tileSourceLabel(state.tileSource) : "";
+  if(!state.tileSource){
+    getMeta("tileFile").then((f)=>{
+      if(f instanceof File && !pendingTiles.file) $("tileFileName").textContent = t("tiles.notLoaded", { name: f.name });
+    }).catch(()=>{});
+  }
+  renderTileCacheInfo();
+  const dialog = /** @type {HTMLDialogElement} */ ($("tilesDialog"));
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+/** @param {TileSource} s */
+function tileSourceLabel(s){
+  return `${s.name} · ${s.kind.toUpperCase()} ${s.format} · z${s.minZoom}–${s.maxZoom}`;
+}
+
+async function renderTileCacheInfo(){
+  const info = $("tileCacheInfo");
+  if(!("caches" in window)){
+    info.textContent = t("tiles.noCacheSupport");
+    return;
+  }
+  const name = tileCacheName();
+  if(!(await caches.has(name))){
+    info.textContent = "";
+    return;
+  }
+  const count = (await (await caches.open(name)).keys()).length;
+  info.textContent = t("tiles.cached", { n: count });
+}
+
+async function onTilesDialogClosed(){
+  const dialog = /** @type {HTMLDialogElement} */ ($("tilesDialog"));
+  if(dialog.returnValue!=="apply") return;
+  const form = /** @type {HTMLFormElement} */ (dialog.querySelector("form"));
+  const renderer = /** @type {MapRenderer} */ (/** @type {HTMLSelectElement} */ ($("mapRenderer")).value);
+  const source = /** @type {"url"|"file"|"style"} */ (String(new FormData(form).get("tileSource")));
+  const preset = /** @type {HTMLSelectElement} */ ($("tilePreset")).value;
+  const url = /** @type {HTMLInputElement} */ ($("tileUrl")).value.trim();
+  if(source==="url" && !/\{z\}.*\{x\}.*\{y\}|\{z\}.*\{y\}.*\{x\}/.test(url)){
+    showToast(t("toast.tiles"), t("tiles.needXYZ"));
+    return;
+  }
+  const styleUrl = /** @type {HTMLInputElement} */ ($("tileStyleUrl")).value.trim();
+  if(source==="style" && (renderer!=="maplibre" || !/^https?:\/\/|^\.{0,2}\//.test(styleUrl))){
+    showToast(t("toast.style"), t(renderer!=="maplibre" ? "tiles.needMapLibre" : "tiles.needStyleUrl"));
+    return;
+  }
+  if(source==="file" && !pendingTiles.file && !state.tileSource && !(await getMeta("tileFile").catch(()=>null))){
+    showToast(t("toast.tiles"), t("tiles.needFile"));
+    return;
+  }
+  if(pendingTiles.file && pendingTiles.source){
+    try{
+      await setMeta("tileFile", pendingTiles.file);
+    } catch(e){
+      // still usable for this session
+      showToast(t("toast.tileFileNotSaved"), t("tiles.notSaved", { error: `${e?.message || e}` }));
+    }
+    state.tileSource = pendingTiles.source;
+  }
+  const cache = /** @type {HTMLInputElement} */ ($("tileCache")).checked;
+  if("caches" in window){
+    if(cache) await caches.open(tileCacheName());
+    else await caches.delete(tileCacheName());
+  }
+  const rendererChanged = renderer!==state.tiles.renderer;
+  state.tiles = {
+    renderer,
+    source,
+    preset,
+    url: url || state.tiles.url,
+    attribution: /** @type {HTMLInputElement} */ ($("tileAttribution")).value.trim(),
+    maxZoom: TILE_PRESETS.find(p=>p.id===preset)?.maxZoom ?? 19,
+    cache,
+    styleUrl,
+  };
+  saveSetting("tiles", state.tiles);
+  if(rendererChanged) switchMapRenderer();
+  else await applyTiles();
+}
+
+/** Preset names depend on the UI language */
+function renderTilePresets(){
+  const select = /** @type {HTMLSelectElement} */ ($("tilePreset"));
+  const value = select.value;
+  select.innerHTML = [
+    ...TILE_PRESETS.map(p=>`<option value="${p.id}">${escapeHtml(lookup(`tiles.preset.${p.id}`) ?? p.label)}</option>`),
+    `<option value="custom">${escapeHtml(t("tiles.custom"))}</option>`,
+  ].join("");
+  select.value = value;
+}
+
+function setupTiles(){
+  $("tilesBtn").addEventListener("click", openTilesDialog);
+  $("tilesDialog").addEventListener("close", onTilesDialogClosed);
+  /** @type {HTMLSelectElement} */ ($("mapRenderer")).innerHTML = MAP_RENDERERS.map(r=>`<option value="${r.id}">${escapeHtml(r.label)}</option>`).join("");
+  $("tileStyleUrl").addEventListener("input", ()=>{
+    const form = /** @type {HTMLFormElement} */ ($("tilesDialog").querySelector("form"));
+    /** @type {RadioNodeList} */ (form.elements.namedItem("tileSource")).value = "style";
+    /** @type {HTMLSelectElement} */ ($("mapRenderer")).value = "maplibre";
+  });
+  const presetSelect = /** @type {HTMLSelectElement} */ ($("tilePreset"));
+  renderTilePresets();
+  presetSelect.addEventListener("change", ()=>{
+    const p = TILE_PRESETS.find(p=>p.id===presetSelect.value);
+    if(!p) return;
+    /** @type {HTMLInputElement} */ ($("tileUrl")).value = p.url;
+    /** @type {HTMLInputElement} */ ($("tileAttribution")).value = p.attribution;
+  });
+  $("tileUrl").addEventListener("input", ()=>{ presetSelect.value = "custom"; });
+
+  const fileInput = /** @type {HTMLInputElement} */ ($("tileFileInput"));
+  fileInput.addEventListener("change", async ()=>{
+    const file = fileInput.files?.[0];
+    fileInput.value = "";
+    if(!file) return;
+    try{
+      pendingTiles.source = await openTileFile(file);
+      pendingTiles.file = file;
+      $("tileFileName").textContent = tileSourceLabel(pendingTiles.source);
+      const form = /** @type {HTMLFormElement} */ ($("tilesDialog").querySelector("form"));
+      /** @type {RadioNodeList} */ (form.elements.namedItem("tileSource")).value = "file";
+    } catch(e){
+      pendingTiles.file = null;
+      pendingTiles.source = null;
+      $("tileFileName").textContent = t("tiles.unreadable", { error: `${e?.message || e}` });
+    }
+  });
+  $("tileCacheClearBtn").addEventListener("click", async ()=>{
+    if(!("caches" in window)) return;
+    const name = tileCacheName();
+    const had = await caches.delete(name);
+    // keep caching if it is switched on; only the stored tiles go
+    if(had && state.tiles.cache) await caches.open(name);
+    renderTileCacheInfo();
+  });
+}
+
+function renderMap(){
+  ensureMap();
+  if(!state.map) return;
+
+  // in a range (or compare mode) every day gets its own color; a single day keeps the renderer's default blue
+  const days = state.compare.on ? state.compare.days.map(dateFromKey) : state.rangeEnd ? selectedDataDays() : [];
+  const colorIndex = new Map(days.map((d,i)=>[dayKey(d), i]));
+  renderMapLegend(days);
+
+  /** @type {Map<number, Item[]>} */
+  const byDay = new Map();
+  const items = state.compare.on ? itemsForCompare() : itemsForSelectedDay();
+  for(const it of items){
+    const k = itemDayKey(it);
+    const list = byDay.get(k);
+    if(list) list.push(it);
+    else byDay.set(k, [it]);
+  }
+  state.map.showDays(Array.from(byDay, ([key, items])=>({
+    key,
+    items,
+    color: days.length ? dayColor(colorIndex.get(key) ?? 0) : null,
+  })));
+
+  // Fit bounds, unless a link or Back asked for a particular view
+  if(state.routeView){
+    state.map.setView(state.routeView);
+    state.routeView = null;
+    return;
+  }
+  const bounds = boundsOfItems(items);
+  if(bounds) state.map.fitBounds(padBounds(bounds, 0.12));
+}
+
+/** Day → color legend over the map; hidden unless a range or several compared days are shown */
+function renderMapLegend(days){
+  const box = $("mapLegend");
+  box.hidden = days.length<2;
+  box.innerHTML = days.map((d,i)=>`
+    <div class="legend-row"><span class="swatch" style="background:${dayColor(i)}"></span>${escapeHtml(formatDate(d))}</div>
+  `).join("");
+}
+
+/** Sync the heatmap controls (type options, date bounds) with the loaded items */
+function renderHeatControls(){
+  const h = state.heat;
+  $("heatBtn").classList.toggle("primary", h.on);
+  $("heatPanel").hidden = !h.on;
+  /** @type {HTMLInputElement} */ ($("heatRadius")).value = String(h.radius);
+  /** @type {HTMLInputElement} */ ($("heatIntensity")).value = String(h.intensity);
+
+  const first = state.sortedDays.length ? isoDay(state.sortedDays[0]) : "";
+  const last = state.sortedDays.length ? isoDay(state.sortedDays[state.sortedDays.length-1]) : "";
+  const dayInput = (/** @type {string} */ id, /** @type {number} */ k)=>{
+    const input = /** @type {HTMLInputElement} */ ($(id));
+    input.min = first;
+    input.max = last;
+    input.value = k ? isoDay(dateFromKey(k)) : "";
+  };
+  dayInput("heatFrom", h.filter.fromDay);
+  dayInput("heatTo", h.filter.toDay);
+
+  const types = new Set();
+  for(const it of state.items) if(it.kind==="activity") types.add(it.activityType || "");
+  const select = /** @type {HTMLSelectElement} */ ($("heatType"));
+  select.innerHTML = [
+    `<option value="">${escapeHtml(t("heat.all"))}</option>`,
+    `<option value="visit">${escapeHtml(t("heat.visits"))}</option>`,
+    `<option value="rawpoint">${escapeHtml(t("heat.raw"))}</option>`,
+    ...Array.from(types).sort().map(type=>`<option value="${escapeAttr(type || UNTYPED)}">${escapeHtml(modeLabel(type))}</option>`),
+  ].join("");
+  select.value = h.filter.type;
+}
+
+/** Recompute heatmap points when it is shown; otherwise just remember they are out of date */
+function refreshHeatmap(){
+  const h = state.heat;
+  h.stale = true;
+  if(!h.on || !state.map) return;
+  const points = computeHeatPoints(state.items, state.itemDays, h.filter);
+  state.map.setHeat(points);
+  h.stale = false;
+  $("heatInfo").textContent = t("heat.points", { n: points.count });
+}
+
+function setHeatmapOn(on){
+  const h = state.heat;
+  h.on = on;
+  saveHeatSettings();
+  renderHeatControls();
+  if(on) refreshHeatmap();
+  else state.map?.setHeat(null);
+}
+
+function saveHeatSettings(){
+  const { on, radius, intensity } = state.heat;
+  saveSetting("heatmap", { on, radius, intensity });
+}
+
+function setupHeatControls(){
+  const h = state.heat;
+  $("heatBtn").addEventListener("click", ()=>setHeatmapOn(!h.on));
+  for(const id of ["heatRadius","heatIntensity"]){
+    $(id).addEventListener("input", ()=>{
+      h.radius = Number(/** @type {HTMLInputElement} */ ($("heatRadius")).value);
+      h.intensity = Number(/** @type {HTMLInputElement} */ ($("heatIntensity")).value);
+      state.map?.setHeatOptions({ radius: h.radius, intensity: h.intensity });
+      saveHeatSettings();
+    });
+  }
+  for(const id of ["heatFrom","heatTo","heatType"]){
+    $(id).addEventListener("change", ()=>{
+      const day = (/** @type {string} */ v)=>v ? Number(v.replaceAll("-","")) : 0;
+      h.filter = {
+        fromDay: day(/** @type {HTMLInputElement} */ ($("heatFrom")).value),
+        toDay: day(/** @type {HTMLInputElement} */ ($("heatTo")).value),
+        type: /** @type {HTMLSelectElement} */ ($("heatType")).value,
+      };
+      refreshHeatmap();
+    });
+  }
+  renderHeatControls();
+}
+
+function focusItemOnMap(it){
+  ensureMap();
+  if(!state.map) return;
+
+  if(it.kind==="visit" && it.point){
+    state.map.focusPoint(it.point, 16);
+    showToast(itemTitle(it), itemSubtitle(it));
+  } else if(it.kind==="activity" && it.path && it.path.length>=2){
+    const bounds = /** @type {Bounds} */ (boundsOfItems([it]));
+    state.map.fitBounds(padBounds(bounds, 0.2));
+    showToast(itemTitle(it), itemSubtitle(it));
+  } else if(it.kind==="rawpoint" && it.point){
+    state.map.focusPoint(it.point, 16);
+    showToast(itemTitle(it), itemSubtitle(it));
+  }
+}
+
+/**
+ * main render
+ * @param {boolean} [navigated] the user went to another day or range: add a history entry for it
+ */
+function renderAll(navigated=false){
+  renderHeader();
+  calendarFollowSelection();
+  renderCalendar();
+  renderList();
+  renderMap();
+  resetPlayback();
+  updateNavButtons();
+  writeRoute(navigated);
+}
+
+// URL hash routes (route.js): #/day/2024-05-03?z=14&c=35.68,139.76
+
+/** @returns {Route} what is shown right now */
+function currentRoute(){
+  const keys = selectionKeys();
+  return {
+    from: keys ? keys[0] : null,
+    to: keys && keys[1]!==keys[0] ? keys[1] : null,
+    view: state.routeView || state.map?.getView() || null,
+    filter: state.filter,
+  };
+}
+
+/**
+ * Mirror the selection, map view and filter into location.hash.
+ * @param {boolean} [push] new history entry instead of updating the current one
+ */
+function writeRoute(push=false){
+  // a link whose dataset is still loading must not be replaced by the empty start screen
+  if(state.pendingRoute || !state.items.length) return;
+  const hash = formatRoute(currentRoute());
+  if(hash===state.routeHash) return;
+  state.routeHash = hash;
+  history[push ? "pushState" : "replaceState"](null, "", hash);
+}
+
+/**
+ * Take the filter, selection and map view from a route. Days without data are not selected
+ * (the nearest day with data is shown instead) unless the route is a range.
+ * @param {Route} route
+ */
+function useRoute(route){
+  state.filter = route.filter;
+  saveSetting("filter", state.filter);
+  rebuildDays(true);
+  if(route.from==null || (route.to==null && !state.dayKeySet.has(route.from))) return;
+  state.compare.on = false;
+  renderCompareButton();
+  selectDays(dateFromKey(route.from), dateFromKey(route.to ?? route.from));
+  state.routeView = route.view;
+}
+
+/** Back / Forward, or a hash typed by hand */
+function onRouteChanged(){
+  if(location.hash===state.routeHash) return;
+  state.routeHash = location.hash;
+  const route = parseRoute(location.hash);
+  if(!route) return;
+  if(!state.items.length){
+    state.pendingRoute = route;
+    return;
+  }
+  useRoute(route);
+  renderFilters();
+  renderAll();
+}
+
+/** New selection: stop, rebuild the track and park the slider at the start */
+function resetPlayback(){
+  const pb = state.playback;
+  pausePlayback();
+  // compared days overlap in clock time, not in real time: nothing to play
+  pb.track = state.compare.on ? null : buildTrack(itemsForSelectedDay());
+  pb.t = pb.track ? pb.track.start : 0;
+  pb.current = null;
+  state.map?.setPlaybackMarker(null, false);
+  const slider = /** @type {HTMLInputElement} */ ($("playSlider"));
+  slider.disabled = !pb.track;
+  /** @type {HTMLButtonElement} */ ($("playBtn")).disabled = !pb.track;
+  slider.value = "0";
+  $("playTime").textContent = pb.track ? formatPlaybackTime(pb.t, null) : "--:--";
+}
+
+/** Move the playback position: marker, slider, clock, list highlight and toast */
+function setPlaybackTime(t){
+  const pb = state.playback;
+  if(!pb.track) return;
+  const { start, end } = pb.track;
+  pb.t = clamp(t, start, end);
+  const { lat, lng, item } = sampleTrack(pb.track, pb.t);
+
+  ensureMap();
+  // keep the marker in view while playing, without fighting a user who zoomed in
+  state.map?.setPlaybackMarker({ lat, lng }, pb.playing);
+
+  /** @type {HTMLInputElement} */ ($("playSlider")).value = String(end>start ? Math.round((pb.t-start)/(end-start)*1000) : 0);
+  $("playTime").textContent = formatPlaybackTime(pb.t, item);
+
+  if(item!==pb.current){
+    state.listRows.get(/** @type {Item} */ (pb.current))?.classList.remove("playing");
+    pb.current = item;
+    const row = item ? state.listRows.get(item) : null;
+    if(row){
+      row.classList.add("playing");
+      row.scrollIntoView({ block: "nearest" });
+    }
+    if(item) showToast(`${item.emoji} ${itemTitle(item)}`, itemSubtitle(item));
+  }
+}
+
+/** Clock time at the playback position, in the current item's timezone when it has one */
+function formatPlaybackTime(t, item){
+  const d = new Date(t);
+  const time = formatItemTime(d, item?.tzOffsetMinutes);
+  if(!state.rangeEnd) return time;
+  const w = shiftToOffset(d, item?.tzOffsetMinutes);
+  const day = w ? new Date(w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate()) : d;
+  return `${formatMonthDay(day)} ${time}`;
+}
+
+function togglePlayback(){
+  const pb = state.playback;
+  if(!pb.track) return;
+  if(pb.playing){
+    pausePlayback();
+    return;
+  }
+  if(pb.t>=pb.track.end) pb.t = pb.track.start;
+  pb.playing = true;
+  pb.last = performance.now();
+  $("playBtn").textContent = "⏸";
+  setPlaybackTime(pb.t);
+  pb.frame = requestAnimationFrame(playbackFrame);
+}
+
+function pausePlayback(){
+  const pb = state.playback;
+  pb.playing = false;
+  cancelAnimationFrame(pb.frame);
+  $("playBtn").textContent = "▶";
+}
+
+/** @param {number} now */
+function playbackFrame(now){
+  const pb = state.playback;
+  if(!pb.playing || !pb.track) return;
+  const dt = Math.min(now - pb.last, 250);
+  pb.last = now;
+  setPlaybackTime(pb.t + dt*pb.speed);
+  if(pb.t>=pb.track.end){
+    pausePlayback();
+    return;
+  }
+  pb.frame = requestAnimationFrame(playbackFrame);
+}
+
+function setupPlayback(){
+  $("playBtn").addEventListener("click", togglePlayback);
+  $("playSlider").addEventListener("input", ()=>{
+    const pb = state.playback;
+    if(!pb.track) return;
+    const f = Number(/** @type {HTMLInputElement} */ ($("playSlider")).value) / 1000;
+    setPlaybackTime(pb.track.start + (pb.track.end-pb.track.start)*f);
+  });
+  const speed = /** @type {HTMLSelectElement} */ ($("playSpeed"));
+  speed.value = String(state.playback.speed);
+  speed.addEventListener("change", ()=>{
+    state.playback.speed = Number(speed.value);
+    saveSetting("playbackSpeed", state.playback.speed);
+  });
+}
+
+function showToast(msg, small=""){
+  $("toastMsg").textContent = msg || "";
+  $("toastSmall").textContent = small || "";
+  $("toast").classList.add("show");
+  window.clearTimeout(showToast._t);
+  showToast._t = window.setTimeout(()=>hideToast(), 2600);
+}
+function hideToast(){
+  $("toast").classList.remove("show");
+}
+
+/**
+ * Run one job in a fresh import worker, reporting progress in the top bar.
+ * Rejects with an AbortError if cancelImport() is called meanwhile.
+ * @param {{type:"scan", files:File[]}|{type:"import", sources:ImportSource[]}} job
+ * @returns {Promise<any>} the worker's "done" message
+ */
+function runImportWorker(job){
+  cancelImport();
+  return new Promise((resolve,reject)=>{
+    const worker = new Worker(new URL("./import-worker.js", import.meta.url), { type:"module" });
+    const finish = ()=>{
+      worker.terminate();
+      if(state.importJob && state.importJob.worker===worker) state.importJob = null;
+      showImportProgress(null);
+    };
+    state.importJob = {
+      worker,
+      reject: (e)=>{ finish(); reject(e); },
+    };
+    showImportProgress({ name:"", loaded:0, total:0 });
+
+    worker.addEventListener("message", (e)=>{
+      const msg = e.data;
+      if(msg.type==="progress"){
+        showImportProgress(msg);
+      } else if(msg.type==="done"){
+        finish();
+        resolve(msg);
+      } else if(msg.type==="error"){
+        finish();
+        reject(new Error(msg.message));
+      }
+    });
+    worker.addEventListener("error", (e)=>{
+      finish();
+      reject(new Error(e.message || "Import worker failed"));
+    });
+    worker.postMessage(job);
+  });
+}
+
+function cancelImport(){
+  if(!state.importJob) return;
+  state.importJob.reject(new DOMException("Import cancelled", "AbortError"));
+}
+
+/** @param {{name:string, loaded:number, total:number, unit?:"files"}|null} p null hides the bar */
+function showImportProgress(p){
+  const box = $("importProgress");
+  if(!p){
+    box.hidden = true;
+    return;
+  }
+  const pct = p.total ? clamp(Math.round(p.loaded/p.total*100), 0, 100) : 0;
+  box.hidden = false;
+  $("importBar").style.width = `${pct}%`;
+  $("importLabel").textContent = `${pct}%`;
+  box.title = p.unit==="files"
+    ? t("import.progressFiles", { name: p.name, loaded: p.loaded, total: p.total })
+    : `${p.name} (${(p.loaded/1048576).toFixed(1)} / ${(p.total/1048576).toFixed(1)} MB)`;
+}
+
+/**
+ * Import one or more files (anything in the importer registry, or Takeout zips) as a single merged dataset.
+ * @param {File[]} files
+ */
+async function onFilesSelected(files){
+  const zips = files.filter(f=>/\.zip$/i.test(f.name));
+  /** @type {ImportSource[]} */
+  let sources = files.filter(f=>isImportableName(f.name))
+    .map(f=>({ file:f, name:f.webkitRelativePath || f.name, size:f.size }));
+  if(!zips.length && !sources.length){
+    showToast(t("toast.noFiles"), t("import.unsupported"));
+    return;
+  }
+
+  const label = files.length===1 ? files[0].name : t("zip.found", { n: files.length });
+  let parsed;
+  try{
+    if(zips.length){
+      const scanned = await runImportWorker({ type:"scan", files:zips });
+      const picked = await pickZipSources(scanned.sources);
+      if(!picked) return;
+      sources = sources.concat(picked);
+      if(!sources.length){
+        showToast(t("toast.noData"), t("import.nothingInZip"));
+        return;
+      }
+    }
+    parsed = await runImportWorker({ type:"import", sources });
+  } catch(e){
+    if(e instanceof DOMException && e.name==="AbortError"){
+      showToast(t("toast.importCancelled"), label);
+    } else {
+      showToast(t("toast.importError"), String(e?.message || e));
+    }
+    return;
+  }
+
+  // the worker already dropped items without a valid start, merged and sorted by time
+  applyDataset(parsed.items, parsed.formats, null, parsed.report);
+
+  if(!state.items.length){
+    showToast(t("toast.noData"), t("import.nothingFound"));
+    return;
+  }
+
+  /** @type {ImportReport} */
+  const report = parsed.report;
+  const skippedFiles = report.sources.filter(s=>s.format==="unknown").length;
+  const skippedRecords = report.sources.reduce((sum, s)=>sum + skippedTotal(s), 0);
+  const skippedNote = (skippedFiles ? t("import.skipped", { n: skippedFiles }) : "")
+    + (skippedRecords ? t("import.skippedRecords", { n: skippedRecords }) : "");
+  showToast(t("toast.loaded"), t("import.summary", { items: state.items.length, days: state.sortedDays.length }) + skippedNote);
+
+  try{
+    const meta = await saveDataset({
+      name: datasetNameFor(files),
+      fileName: sources.map(s=>s.name).join(", "),
+      formats: parsed.formats,
+      items: parsed.items,
+      report,
+    });
+    state.datasetId = meta.id;
+    await setMeta("lastDatasetId", meta.id);
+  } catch(e){
+    console.warn("Saving dataset failed:", e);
+    showToast(t("toast.loadedNotSaved"), t("import.notSaved", { error: `${e?.message || e}` }));
+  }
+  await refreshLibrary();
+}
+
+/**
+ * Show the files found inside zip archives as a checklist.
+ * @param {ImportSource[]} found
+ * @returns {Promise<ImportSource[]|null>} the checked ones, or null if cancelled
+ */
+function pickZipSources(found){
+  const dialog = /** @type {HTMLDialogElement} */ ($("zipDialog"));
+  const list = $("zipList");
+  list.innerHTML = "";
+  if(!found.length){
+    list.innerHTML = `<div style="color:var(--muted);font-size:12px;">${escapeHtml(t("zip.none"))}</div>`;
+  }
+  found.forEach((src,i)=>{
+    const row = document.createElement("label");
+    row.className = "zip-row";
+    row.innerHTML = `
+      <input type="checkbox" value="${i}" checked />
+      <span class="name" title="${escapeAttr(src.name)}">${escapeHtml(src.name)}</span>
+      <span class="meta">${escapeHtml(formatLabel(src.format))} · ${(src.size/1048576).toFixed(1)} MB</span>
+    `;
+    list.appendChild(row);
+  });
+  $("zipSummary").textContent = t("zip.found", { n: found.length });
+
+  return new Promise((resolve)=>{
+    dialog.addEventListener("close", ()=>{
+      if(dialog.returnValue!=="load"){
+        resolve(null);
+        return;
+      }
+      const checked = Array.from(list.querySelectorAll("input:checked"))
+        .map(el=>found[Number(/** @type {HTMLInputElement} */ (el).value)]);
+      resolve(checked);
+    }, { once:true });
+    dialog.returnValue = "";
+    dialog.showModal();
+  });
+}
+
+/** Default library name: the file name, or the folder name for a folder import */
+function datasetNameFor(files){
+  const first = files[0];
+  const folder = first.webkitRelativePath ? first.webkitRelativePath.split("/")[0] : "";
+  const base = first.name.replace(/\.[^.]+$/, "");
+  if(files.length===1) return base;
+  return folder || `${base} +${files.length-1}`;
+}
+
+/**
+ * Collect files from a drop, descending into dropped folders.
+ * @param {DataTransfer} dt
+ * @returns {Promise<File[]>}
+ */
+async function filesFromDrop(dt){
+  const entries = Array.from(dt.items || [])
+    .map(item=>item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+    .filter(Boolean);
+  if(!entries.length) return Array.from(dt.files || []);
+
+  /** @type {File[]} */
+  const out = [];
+  const walk = async (entry)=>{
+    if(entry.isFile){
+      out.push(await new Promise((resolve,reject)=>entry.file(resolve, reject)));
+    } else if(entry.isDirectory){
+      const reader = entry.createReader();
+      // readEntries returns results in batches until it yields an empty array
+      for(;;){
+        const batch = await new Promise((resolve,reject)=>reader.readEntries(resolve, reject));
+        if(!batch.length) break;
+        for(const child of batch) await walk(child);
+      }
+    }
+  };
+  for(const entry of entries) await walk(entry);
+  return out;
+}
+
+/**
+ * Swap the visible dataset.
+ * @param {Item[]} items sorted by start
+ * @param {FormatMix} formats
+ * @param {string|null} datasetId library id, or null when not (yet) saved
+ * @param {ImportReport|null} [report] what the import read and dropped; null for data saved without one
+ */
+function applyDataset(items, formats, datasetId, report=null){
+  state.baseItems = items;
+  state.importReport = report;
+  deriveItems();
+  state.compare = { on: false, days: [] };
+  renderCompareButton();
+  state.formats = formats;
+  state.datasetId = datasetId;
+  state.places = null;
+  state.placesView = { filter: state.placesView.filter, limit: PLACES_PAGE, openId: null };
+  state.heat.filter = { fromDay: 0, toDay: 0, type: "" };
+  state.searchIndex = buildSearchIndex(state.items);
+  rebuildDays();
+  // a link opened before the data was there
+  const route = state.pendingRoute;
+  state.pendingRoute = null;
+  if(route) useRoute(route);
+  updateFormatPill();
+  renderAll();
+  renderPlaces();
+  renderSearch();
+  renderFilters();
+  renderHeatControls();
+  refreshHeatmap();
+}
+
+// Corrections (edits.js): kept in IndexedDB next to the library, applied on top of every dataset
+
+async function loadEdits(){
+  try{
+    const stored = await getMeta("edits");
+    if(stored) state.edits = { ...emptyEdits(), ...stored };
+  } catch(e){
+    console.warn("Edits unavailable:", e);
+  }
+  renderEditsInfo();
+}
+
+/**
+ * @param {Edits} next
+ * @param {boolean} [itemsChanged] false for day notes: nothing but the list needs redrawing
+ */
+function setEdits(next, itemsChanged=true){
+  state.edits = next;
+  setMeta("edits", next).catch((e)=>showToast(t("toast.editsNotSaved"), String(e?.message || e)));
+  renderEditsInfo();
+  if(!itemsChanged){
+    renderList();
+    return;
+  }
+  refreshItems();
+}
+
+function renderEditsInfo(){
+  const items = Object.keys(state.edits.items).length;
+  const days = Object.keys(state.edits.days).length;
+  $("editsRestoreBtn").hidden = !Object.values(state.edits.items).some(e=>e.deleted);
+  $("editsInfo").textContent = items || days
+    ? t("edits.summary", { items, days })
+    : t("edits.none");
+  /** @type {HTMLButtonElement} */ ($("editsExportBtn")).disabled = !(items || days);
+  /** @type {HTMLButtonElement} */ ($("editsClearBtn")).disabled = !(items || days);
+}
+
+/** Activity types offered in the edit dialog, besides those in the data */
+const EDIT_ACTIVITY_TYPES = ["WALKING","RUNNING","CYCLING","IN_PASSENGER_VEHICLE","IN_TAXI","IN_BUS","IN_TRAIN","IN_SUBWAY","IN_TRAM","IN_FERRY","FLYING","MOTORCYCLING"];
+
+/** @param {Item} it */
+function openEditDialog(it){
+  state.editing = it;
+  const isActivity = it.kind==="activity";
+  const own = state.edits.items[itemId(it)];
+  $("editWhen").textContent = `${formatDate(dateFromKey(itemDayKey(it)))} ${formatItemTime(it.start, it.tzOffsetMinutes)}`
+    + (it.end ? ` – ${formatItemTime(it.end, it.endTzOffsetMinutes ?? it.tzOffsetMinutes)}` : "");
+  /** @type {HTMLInputElement} */ ($("editTitle")).value = it.title;
+  /** @type {HTMLInputElement} */ ($("editSubtitle")).value = it.subtitle;
+  /** @type {HTMLTextAreaElement} */ ($("editNote")).value = it.note || "";
+  /** @type {HTMLInputElement} */ ($("editSplit")).value = "";
+  $("editTitleRow").hidden = it.kind==="rawpoint";
+  $("editSubtitleRow").hidden = it.kind!=="visit";
+  $("editTypeRow").hidden = !isActivity;
+  $("editSplitRow").hidden = !it.end || it.kind==="rawpoint";
+  $("editRevertBtn").hidden = !own && !it.sourceId;
+
+  if(isActivity){
+    const types = new Set(EDIT_ACTIVITY_TYPES);
+    for(const x of state.items) if(x.kind==="activity" && x.activityType) types.add(x.activityType);
+    if(it.activityType) types.add(it.activityType);
+    const select = /** @type {HTMLSelectElement} */ ($("editType"));
+    select.innerHTML = [
+      ...(it.activityType ? [] : [`<option value="">-</option>`]),
+      ...Array.from(types).sort().map(t=>`<option value="${escapeAttr(t)}">${escapeHtml(`${activityEmojiFor(t)} ${modeLabel(t)}`)}</option>`),
+    ].join("");
+    select.value = it.activityType || "";
+  }
+  const dialog = /** @type {HTMLDialogElement} */ ($("editDialog"));
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+/**
+ * Epoch ms of a clock time ("14:05") during an item, read in the timezone its times are shown in.
+ * Items past midnight take the time on the following day when it is before the start.
+ * @param {Item} it
+ * @param {string} hhmm
+ */
+function itemTimeAt(it, hhmm){
+  const [h, m] = hhmm.split(":").map(Number);
+  const w = shiftToOffset(it.start, it.tzOffsetMinutes);
+  let t;
+  if(w){
+    t = Date.UTC(w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate(), h, m) - /** @type {number} */ (it.tzOffsetMinutes)*60000;
+  } else {
+    const d = new Date(it.start);
+    d.setHours(h, m, 0, 0);
+    t = d.getTime();
+  }
+  return t<=it.start.getTime() ? t + 86400000 : t;
+}
+
+function onEditDialogClosed(){
+  const dialog = /** @type {HTMLDialogElement} */ ($("editDialog"));
+  const it = state.editing;
+  state.editing = null;
+  if(!it) return;
+  const id = itemId(it);
+
+  if(dialog.returnValue==="delete"){
+    setEdits(patchItemEdit(state.edits, id, { deleted: true }));
+    showToast(t("toast.deleted"), itemTitle(it));
+  } else if(dialog.returnValue==="revert"){
+    // undo this item's own edits; on a piece of a split item without any, undo the split
+    setEdits(state.edits.items[id] || !it.sourceId
+      ? patchItemEdit(state.edits, id, { title: undefined, subtitle: undefined, activityType: undefined, note: undefined })
+      : patchItemEdit(state.edits, it.sourceId, { splits: undefined }));
+  } else if(dialog.returnValue==="save"){
+    /** @type {Record<string, any>} */
+    const patch = { note: /** @type {HTMLTextAreaElement} */ ($("editNote")).value.trim() };
+    const title = /** @type {HTMLInputElement} */ ($("editTitle")).value.trim();
+    const subtitle = /** @type {HTMLInputElement} */ ($("editSubtitle")).value.trim();
+    const type = /** @type {HTMLSelectElement} */ ($("editType")).value;
+    if(it.kind!=="rawpoint" && title && title!==it.title) patch.title = title;
+    if(it.kind==="visit" && subtitle!==it.subtitle) patch.subtitle = subtitle;
+    if(it.kind==="activity" && type && type!==(it.activityType || "")) patch.activityType = type;
+    const split = /** @type {HTMLInputElement} */ ($("editSplit")).value;
+    if(split && it.end){
+      const at = itemTimeAt(it, split);
+      if(at<=it.start.getTime() || at>=it.end.getTime()){
+        // drop only the split; the other fields still get saved
+        showToast(t("toast.split"), t("edits.splitOutside"));
+      } else {
+        patch.splits = [...(state.edits.items[id]?.splits || []), at];
+      }
+    }
+    setEdits(patchItemEdit(state.edits, id, patch));
+  }
+}
+
+function exportEdits(){
+  downloadText(editsToJson(state.edits), `timeline-edits-${isoDay(new Date())}.json`, "application/json");
+}
+
+/** @param {File} file */
+async function importEdits(file){
+  let incoming;
+  try{
+    incoming = parseEdits(await file.text());
+  } catch(e){
+    showToast(t("toast.editsUnreadable"), String(e?.message || e));
+    return;
+  }
+  setEdits(mergeEdits(state.edits, incoming));
+  showToast(t("toast.editsImported"), t("edits.imported", { n: editCount(incoming) }));
+}
+
+function setupEdits(){
+  $("editDialog").addEventListener("close", onEditDialogClosed);
+  for(const act of ["delete","revert"]){
+    $(act==="delete" ? "editDeleteBtn" : "editRevertBtn").addEventListener("click", ()=>{
+      /** @type {HTMLDialogElement} */ ($("editDialog")).close(act);
+    });
+  }
+  $("editsExportBtn").addEventListener("click", exportEdits);
+  const input = /** @type {HTMLInputElement} */ ($("editsFile"));
+  input.addEventListener("change", async ()=>{
+    const file = input.files?.[0];
+    input.value = "";
+    if(file) await importEdits(file);
+  });
+  $("editsRestoreBtn").addEventListener("click", ()=>{
+    let next = state.edits;
+    for(const [id, e] of Object.entries(state.edits.items)) if(e.deleted) next = patchItemEdit(next, id, { deleted: undefined });
+    setEdits(next);
+  });
+  $("editsClearBtn").addEventListener("click", ()=>{
+    if(!window.confirm(t("edits.clearConfirm"))) return;
+    setEdits(emptyEdits());
+  });
+  renderEditsInfo();
+}
+
+// Privacy zones (privacy.js): masked on top of the edits, so every view and export sees the same items
+
+/** baseItems with the edits and the privacy zones applied */
+function deriveItems(){
+  const edited = applyEdits(state.baseItems, state.edits);
+  const p = state.privacy;
+  const { items, masked } = p.on ? maskItems(edited, p.zones) : { items: edited, masked: 0 };
+  state.items = items;
+  state.maskedCount = masked;
+  state.issues = null;
+  renderPrivacyIndicator();
+}
+
+/** state.items changed under the same dataset (edits, zones): rebuild the indexes and redraw */
+function refreshItems(){
+  deriveItems();
+  state.places = null;
+  state.searchIndex = buildSearchIndex(state.items);
+  rebuildDays(true);
+  renderAll();
+  renderPlaces();
+  renderSearch();
+  renderFilters();
+  refreshHeatmap();
+}
+
+/** The badge over the map while masking is active, and the zone outlines */
+function renderPrivacyIndicator(){
+  const p = state.privacy;
+  const active = p.on && p.zones.length>0;
+  $("privacyBtn").classList.toggle("primary", active);
+  $("privacyBadge").hidden = !active;
+  $("privacyBadge").textContent = t("privacy.badge", { n: state.maskedCount });
+  renderZonesOnMap();
+}
+
+function renderZonesOnMap(){
+  if(!state.map) return;
+  // while placing a zone the ones from the dialog are shown, so the new one can be put next to them
+  if(state.placingZone) state.map.setZones(state.privacyDraft?.zones || []);
+  else state.map.setZones(state.privacy.show ? state.privacy.zones : []);
+}
+
+/** @param {PrivacySettings} next */
+function setPrivacy(next){
+  state.privacy = next;
+  saveSetting("privacy", next);
+  refreshItems();
+}
+
+/** @param {PrivacySettings} [draft] settings to continue editing (after placing a zone) */
+function openPrivacyDialog(draft){
+  const d = draft || structuredClone(state.privacy);
+  state.privacyDraft = d;
+  /** @type {HTMLInputElement} */ ($("privacyOn")).checked = d.on;
+  /** @type {HTMLInputElement} */ ($("privacyShow")).checked = d.show;
+  renderPrivacyZones();
+
+  const places = labeledPlaces(state.baseItems).slice(0, 6);
+  $("privacyLabeled").innerHTML = places.length
+    ? places.map((p,i)=>`<button type="button" class="chip" data-place="${i}">${escapeHtml(t("privacy.labeledPlace", { label: t(`privacy.${p.label}`), n: p.count }))}</button>`).join("")
+    : `<div style="padding:4px 2px 8px;color:var(--muted);font-size:12px;">${escapeHtml(t("privacy.noLabeled"))}</div>`;
+  $("privacyLabeled").onclick = (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target).closest("[data-place]");
+    const p = el instanceof HTMLElement ? places[Number(el.dataset.place)] : null;
+    if(!p) return;
+    d.zones.push(newZone(p.lat, p.lng, t(`privacy.name${p.label}`)));
+    renderPrivacyZones();
+  };
+
+  const dialog = /** @type {HTMLDialogElement} */ ($("privacyDialog"));
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+/** Zone rows of the dialog; the radius is typed in m or ft like the filter */
+function renderPrivacyZones(){
+  const d = /** @type {PrivacySettings} */ (state.privacyDraft);
+  const unit = shortUnit();
+  $("privacyZones").innerHTML = d.zones.length ? d.zones.map((z,i)=>`
+    <div class="zone-row" data-i="${i}">
+      <input type="text" data-field="name" value="${escapeAttr(z.name)}" aria-label="${escapeAttr(t("privacy.name"))}" />
+      <label><input type="number" data-field="radius" min="10" step="10" value="${Math.round(z.radius/unit.meters)}" aria-label="${escapeAttr(t("privacy.radius"))}" /> ${escapeHtml(unit.label)}</label>
+      <select data-field="mode">
+        <option value="rename"${z.mode==="rename" ? " selected" : ""}>${escapeHtml(t("privacy.rename"))}</option>
+        <option value="hide"${z.mode==="hide" ? " selected" : ""}>${escapeHtml(t("privacy.hide"))}</option>
+      </select>
+      <button type="button" class="btn icon" data-remove title="${escapeAttr(t("privacy.remove"))}">✕</button>
+    </div>
+  `).join("") : `<div style="padding:4px 2px 8px;color:var(--muted);font-size:12px;">${escapeHtml(t("privacy.none"))}</div>`;
+}
+
+function onPrivacyDialogClosed(){
+  const dialog = /** @type {HTMLDialogElement} */ ($("privacyDialog"));
+  const d = /** @type {PrivacySettings} */ (state.privacyDraft);
+  d.on = /** @type {HTMLInputElement} */ ($("privacyOn")).checked;
+  d.show = /** @type {HTMLInputElement} */ ($("privacyShow")).checked;
+  if(dialog.returnValue==="place"){
+    setPlacingZone(true);
+    return;
+  }
+  state.privacyDraft = null;
+  if(dialog.returnValue==="apply") setPrivacy(d);
+}
+
+/** The next click on the map sets the center of a new zone */
+function setPlacingZone(on){
+  state.placingZone = on;
+  $("placingHint").hidden = !on;
+  $("map").classList.toggle("placing", on);
+  renderZonesOnMap();
+}
+
+/** @param {{lat:number, lng:number}} p */
+function placeZone(p){
+  const d = /** @type {PrivacySettings} */ (state.privacyDraft);
+  d.zones.push(newZone(p.lat, p.lng, t("privacy.newZone", { n: String(d.zones.length + 1) })));
+  setPlacingZone(false);
+  openPrivacyDialog(d);
+}
+
+function setupPrivacy(){
+  $("privacyBtn").addEventListener("click", ()=>openPrivacyDialog());
+  $("privacyDialog").addEventListener("close", onPrivacyDialogClosed);
+  $("privacyDrawBtn").addEventListener("click", ()=>/** @type {HTMLDialogElement} */ ($("privacyDialog")).close("place"));
+  const zones = $("privacyZones");
+  zones.addEventListener("input", (e)=>{
+    const el = /** @type {HTMLInputElement|HTMLSelectElement} */ (e.target);
+    const row = /** @type {HTMLElement|null} */ (el.closest(".zone-row"));
+    const z = row ? state.privacyDraft?.zones[Number(row.dataset.i)] : null;
+    if(!z) return;
+    if(el.dataset.field==="name") z.name = el.value;
+    if(el.dataset.field==="radius"){
+      const n = Number(el.value) * shortUnit().meters;
+      if(Number.isFinite(n) && n>0) z.radius = n;
+    }
+    if(el.dataset.field==="mode") z.mode = el.value==="hide" ? "hide" : "rename";
+  });
+  zones.addEventListener("click", (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target);
+    const row = /** @type {HTMLElement|null} */ (el.closest(".zone-row"));
+    if(!row || !el.closest("[data-remove]") || !state.privacyDraft) return;
+    state.privacyDraft.zones.splice(Number(row.dataset.i), 1);
+    renderPrivacyZones();
+  });
+  window.addEventListener("keydown", (e)=>{
+    if(e.key!=="Escape" || !state.placingZone) return;
+    setPlacingZone(false);
+    openPrivacyDialog(state.privacyDraft || undefined);
+  });
+  renderPrivacyIndicator();
+}
+
+const KIND_CHIPS = [
+  { kind: "activity", label: "filter.activity" },
+  { kind: "visit", label: "filter.visit" },
+  { kind: "rawpoint", label: "filter.rawpoint" },
+];
+
+/** Filter chips: one per kind and per activityType in the data, plus the minimum inputs */
+function renderFilters(){
+  const f = state.filter;
+  const types = new Set();
+  for(const it of state.items) if(it.kind==="activity") types.add(it.activityType || "");
+  const chip = (/** @type {string} */ group, /** @type {string} */ value, /** @type {string} */ label, /** @type {boolean} */ on)=>
+    `<button type="button" class="chip${on ? " on" : ""}" data-group="${group}" data-value="${escapeAttr(value)}">${escapeHtml(label)}</button>`;
+
+  $("kindChips").innerHTML = KIND_CHIPS.map(c=>chip("kind", c.kind, t(c.label), !f.hiddenKinds.includes(c.kind))).join("");
+  $("typeChips").innerHTML = Array.from(types).sort()
+    .map(t=>chip("type", t, `${activityEmojiFor(t)} ${modeLabel(t)}`, !f.hiddenTypes.includes(t))).join("");
+  /** @type {HTMLInputElement} */ ($("minMinutes")).value = f.minMinutes ? String(f.minMinutes) : "";
+  // the minimum distance is kept in meters and typed in m or ft
+  const unit = shortUnit();
+  /** @type {HTMLInputElement} */ ($("minMeters")).value = f.minMeters ? String(Math.round(f.minMeters/unit.meters)) : "";
+  $("minMetersUnit").textContent = unit.label;
+  $("filterReset").hidden = !filterActive();
+}
+
+/** Emoji of an activity type as used by the items in the data */
+function activityEmojiFor(type){
+  return state.items.find(it=>it.kind==="activity" && (it.activityType || "")===type)?.emoji || "➡️";
+}
+
+/** @param {Partial<ItemFilter>} patch */
+function setFilter(patch){
+  state.filter = { ...state.filter, ...patch };
+  saveSetting("filter", state.filter);
+  rebuildDays(true);
+  renderFilters();
+  renderAll();
+}
+
+function setupFilters(){
+  $("filters").addEventListener("click", (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target).closest(".chip");
+    if(!(el instanceof HTMLElement)) return;
+    const value = el.dataset.value || "";
+    const key = el.dataset.group==="kind" ? "hiddenKinds" : "hiddenTypes";
+    const hidden = state.filter[key];
+    setFilter({ [key]: hidden.includes(value) ? hidden.filter(v=>v!==value) : [...hidden, value] });
+  });
+  for(const [id, key] of [["minMinutes","minMinutes"],["minMeters","minMeters"]]){
+    $(id).addEventListener("change", ()=>{
+      const n = Number(/** @type {HTMLInputElement} */ ($(id)).value) * (key==="minMeters" ? shortUnit().meters : 1);
+      setFilter({ [key]: Number.isFinite(n) && n>0 ? n : 0 });
+    });
+  }
+  $("filterReset").addEventListener("click", ()=>setFilter(emptyFilter()));
+  renderFilters();
+}
+
+/** @param {string} id */
+async function openDataset(id){
+  if(id===state.datasetId) return;
+  cancelImport();
+  let loaded;
+  try{
+    loaded = await loadDataset(id);
+  } catch(e){
+    showToast(t("toast.openFailed"), String(e?.message || e));
+    return;
+  }
+  if(!loaded){
+    showToast(t("toast.notFound"), id);
+    await refreshLibrary();
+    return;
+  }
+  applyDataset(loaded.items, loaded.meta.formats, loaded.meta.id, loaded.meta.report || null);
+  showToast(loaded.meta.name, t("import.summary", { items: state.items.length, days: state.sortedDays.length }));
+  await setMeta("lastDatasetId", id);
+  await refreshLibrary();
+}
+
+/** Reopen whatever was shown last time (boot) */
+async function restoreLastDataset(){
+  try{
+    await loadEdits();
+    const id = await getMeta("lastDatasetId");
+    await refreshLibrary();
+    if(typeof id === "string" && !state.items.length && !state.importJob) await openDataset(id);
+  } catch(e){
+    // IndexedDB may be unavailable (private mode etc); the app still works without it
+    console.warn("Library unavailable:", e);
+  }
+}
+
+async function refreshLibrary(){
+  try{
+    state.library = await listDatasets();
+  } catch(e){
+    state.library = [];
+  }
+  renderLibrary();
+}
+
+function renderPlaces(){
+  const root = $("places");
+  root.innerHTML = "";
+  if(!state.items.length){
+    root.innerHTML = `<div style="padding:4px 2px 8px;color:var(--muted);font-size:12px;">${escapeHtml(t("places.noData"))}</div>`;
+    return;
+  }
+  if(!state.places) state.places = buildPlaces(state.items);
+
+  const view = state.placesView;
+  const q = view.filter.trim().toLowerCase();
+  const matches = q
+    ? state.places.filter(p=>p.title.toLowerCase().includes(q) || p.subtitle.toLowerCase().includes(q))
+    : state.places;
+  if(!matches.length){
+    root.innerHTML = `<div style="padding:4px 2px 8px;color:var(--muted);font-size:12px;">${escapeHtml(t(state.places.length ? "places.noMatch" : "places.noVisits"))}</div>`;
+    return;
+  }
+
+  const frag = document.createDocumentFragment();
+  for(const place of matches.slice(0, view.limit)){
+    const open = place.id===view.openId;
+    const row = document.createElement("div");
+    row.className = "lib-row place-row" + (open ? " active" : "");
+    row.innerHTML = `
+      <div class="main">
+        <b title="${escapeAttr(localizeText(place.subtitle))}">${escapeHtml(localizeText(place.title))}</b>
+        <div class="subtitle">${t("places.visits", { n: place.visits.length })} · ${formatDuration(place.dwellMs)} · ${formatDate(place.first)}${place.visits.length>1 ? ` – ${formatDate(place.last)}` : ""}</div>
+      </div>
+    `;
+    row.addEventListener("click", ()=>{
+      view.openId = open ? null : place.id;
+      renderPlaces();
+    });
+    frag.appendChild(row);
+    if(open) frag.appendChild(placeVisitList(place));
+  }
+  if(matches.length>view.limit){
+    const more = document.createElement("button");
+    more.className = "btn icon";
+    more.textContent = t("places.more", { n: matches.length-view.limit });
+    more.addEventListener("click", ()=>{
+      view.limit += PLACES_PAGE;
+      renderPlaces();
+    });
+    frag.appendChild(more);
+  }
+  root.appendChild(frag);
+}
+
+/** Every visit to a place, newest first; clicking one jumps to its day and focuses it on the map */
+function placeVisitList(place){
+  const box = document.createElement("div");
+  box.className = "place-visits";
+  for(const it of place.visits.slice().reverse()){
+    const row = document.createElement("div");
+    row.className = "place-visit";
+    const day = dateFromKey(itemDayKey(it));
+    const t1 = it.end ? formatItemTime(it.end, it.endTzOffsetMinutes ?? it.tzOffsetMinutes) : "";
+    row.innerHTML = `
+      <span>${escapeHtml(formatDate(day))}</span>
+      <span class="meta">${formatItemTime(it.start, it.tzOffsetMinutes)}${t1 ? `–${t1}` : ""}${it.end ? ` · ${formatDuration(it.end.getTime()-it.start.getTime())}` : ""}</span>
+    `;
+    row.title = t("places.showDay");
+    row.addEventListener("click", ()=>{
+      selectDays(day);
+      renderAll(true);
+      focusItemOnMap(it);
+    });
+    box.appendChild(row);
+  }
+  return box;
+}
+
+/** Search results shown at most; the rest is summarized */
+const SEARCH_LIMIT = 200;
+
+/** Results for the search box, newest day first, grouped under day headers */
+function renderSearch(){
+  const root = $("searchResults");
+  const query = /** @type {HTMLInputElement} */ ($("searchInput")).value;
+  root.innerHTML = "";
+  const terms = queryTerms(query);
+  if(!terms.length) return;
+
+  const found = searchItems(state.searchIndex, query);
+  if(!found.length){
+    root.innerHTML = `<div style="padding:4px 2px 8px;color:var(--muted);font-size:12px;">${escapeHtml(t("search.none", { query: query.trim() }))}</div>`;
+    return;
+  }
+
+  const mark = (/** @type {string} */ text)=>{
+    let html = "", pos = 0;
+    for(const [a,b] of matchRanges(text, terms)){
+      html += `${escapeHtml(text.slice(pos, a))}<mark>${escapeHtml(text.slice(a, b))}</mark>`;
+      pos = b;
+    }
+    return html + escapeHtml(text.slice(pos));
+  };
+
+  const shown = found.slice(-SEARCH_LIMIT).reverse();
+  const frag = document.createDocumentFragment();
+  const summary = document.createElement("div");
+  summary.className = "search-summary";
+  summary.textContent = found.length>SEARCH_LIMIT ? t("search.countLimited", { n: found.length, limit: SEARCH_LIMIT }) : t("search.count", { n: found.length });
+  frag.appendChild(summary);
+
+  let lastKey = -1;
+  for(const i of shown){
+    const it = state.items[i];
+    const k = state.itemDays[i];
+    if(k!==lastKey){
+      lastKey = k;
+      const head = document.createElement("div");
+      head.className = "search-day";
+      head.textContent = formatDate(dateFromKey(k));
+      frag.appendChild(head);
+    }
+    const row = document.createElement("div");
+    row.className = "search-hit";
+    row.innerHTML = `
+      <span class="meta">${formatItemTime(it.start, it.tzOffsetMinutes)}</span>
+      <div class="main">
+        <div>${escapeHtml(it.emoji)} ${mark(itemTitle(it))}</div>
+        <div class="subtitle">${mark(itemSubtitle(it))}</div>
+      </div>
+    `;
+    row.addEventListener("click", ()=>{
+      selectDays(dateFromKey(k));
+      renderAll(true);
+      focusItemOnMap(it);
+    });
+    frag.appendChild(row);
+  }
+  root.appendChild(frag);
+}
+
+function renderLibrary(){
+  const root = $("library");
+  root.innerHTML = "";
+  if(!state.library.length){
+    root.innerHTML = `<div style="padding:4px 2px 8px;color:var(--muted);font-size:12px;">${escapeHtml(t("library.empty"))}</div>`;
+    return;
+  }
+
+  const frag = document.createDocumentFragment();
+  for(const ds of state.library){
+    const row = document.createElement("div");
+    row.className = "lib-row" + (ds.id===state.datasetId ? " active" : "");
+    row.innerHTML = `
+      <div class="main">
+        <b title="${escapeAttr(ds.fileName)}">${escapeHtml(ds.name)}</b>
+        <div class="subtitle">${t("common.items", { n: ds.itemCount })} · ${escapeHtml(formatMixLabel(ds.formats))} · ${formatDate(new Date(ds.createdAt))}</div>
+      </div>
+      <button class="btn icon" data-act="rename" title="${escapeAttr(t("library.rename"))}">✎</button>
+      <button class="btn icon" data-act="delete" title="${escapeAttr(t("library.delete"))}">🗑</button>
+    `;
+    row.addEventListener("click", async (e)=>{
+      const act = /** @type {HTMLElement} */ (e.target).closest("[data-act]")?.getAttribute("data-act");
+      if(act==="rename"){
+        const name = window.prompt(t("library.namePrompt"), ds.name);
+        if(name && name.trim()){
+          await renameDataset(ds.id, name.trim());
+          await refreshLibrary();
+        }
+      } else if(act==="delete"){
+        if(!window.confirm(t("library.deleteConfirm", { name: ds.name }))) return;
+        await deleteDataset(ds.id);
+        if(ds.id===state.datasetId){
+          applyDataset([], {}, null);
+          await setMeta("lastDatasetId", null);
+        }
+        await refreshLibrary();
+      } else {
+        await openDataset(ds.id);
+      }
+    });
+    frag.appendChild(row);
+  }
+  root.appendChild(frag);
+}
+
+function openExportDialog(){
+  if(!state.sortedDays.length){
+    showToast(t("toast.nothingToExport"), t("common.loadFirst"));
+    return;
+  }
+  const first = isoDay(state.sortedDays[0]);
+  const last = isoDay(state.sortedDays[state.sortedDays.length-1]);
+  const from = state.selectedDay ? isoDay(state.selectedDay) : first;
+  const to = state.rangeEnd ? isoDay(state.rangeEnd) : from;
+  for(const [id,value] of [["exportFrom",from],["exportTo",to]]){
+    const input = /** @type {HTMLInputElement} */ ($(id));
+    input.min = first;
+    input.max = last;
+    input.value = value;
+  }
+  const dialog = /** @type {HTMLDialogElement} */ ($("exportDialog"));
+  $("exportFilterHint").hidden = !filterActive();
+  $("exportPrivacyHint").hidden = !(state.privacy.on && state.privacy.zones.length);
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+function onExportDialogClosed(){
+  const dialog = /** @type {HTMLDialogElement} */ ($("exportDialog"));
+  if(dialog.returnValue!=="export") return;
+
+  const form = /** @type {HTMLFormElement} */ (dialog.querySelector("form"));
+  const scope = String(new FormData(form).get("scope"));
+  const format = /** @type {import("./exporters.js").ExportFormat} */ (/** @type {HTMLSelectElement} */ ($("exportFormat")).value);
+
+  let items, suffix;
+  if(scope==="all"){
+    items = filterActive() ? state.items.filter((_,i)=>state.itemVisible[i]) : state.items;
+    suffix = "all";
+  } else if(scope==="range"){
+    let from = /** @type {HTMLInputElement} */ ($("exportFrom")).value;
+    let to = /** @type {HTMLInputElement} */ ($("exportTo")).value;
+    if(!from || !to){
+      showToast(t("toast.export"), t("export.pickRange"));
+      return;
+    }
+    if(from>to) [from,to] = [to,from];
+    items = itemsForDayRange(Number(from.replaceAll("-","")), Number(to.replaceAll("-","")));
+    suffix = from===to ? from : `${from}_${to}`;
+  } else {
+    items = itemsForSelectedDay();
+    suffix = !state.selectedDay ? "day"
+      : state.rangeEnd ? `${isoDay(state.selectedDay)}_${isoDay(state.rangeEnd)}`
+      : isoDay(state.selectedDay);
+  }
+
+  if(!items.length){
+    showToast(t("toast.nothingToExport"), t("export.emptyRange"));
+    return;
+  }
+  const spec = EXPORT_FORMATS[format];
+  downloadText(spec.write(items), `timeline-${suffix}.${spec.ext}`, spec.mime);
+  showToast(t("toast.exported"), t("export.done", { n: items.length, file: `timeline-${suffix}.${spec.ext}` }));
+}
+
+/** Open the statistics dialog on the period that contains the selected day */
+function openStatsDialog(){
+  if(!state.items.length){
+    showToast(t("toast.noStats"), t("common.loadFirst"));
+    return;
+  }
+  /** @type {HTMLSelectElement} */ ($("statsPeriod")).value = state.stats.period;
+  computeStatsFor(state.stats.period);
+  const dialog = /** @type {HTMLDialogElement} */ ($("statsDialog"));
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+/** @param {StatsPeriod} period */
+function computeStatsFor(period){
+  state.stats.period = period;
+  state.stats.list = computeStats(state.items, state.itemDays, period, weekStart());
+  const k = state.selectedDay ? dayKey(state.selectedDay) : 0;
+  const [first] = periodBounds(k, period, weekStart());
+  const idx = state.stats.list.findIndex(ps=>ps.firstDay===first);
+  state.stats.index = idx>=0 ? idx : state.stats.list.length-1;
+  renderStats();
+}
+
+function renderStats(){
+  const { list, index, period } = state.stats;
+  const ps = list[index];
+  /** @type {HTMLButtonElement} */ ($("statsPrevBtn")).disabled = index<=0;
+  /** @type {HTMLButtonElement} */ ($("statsNextBtn")).disabled = index>=list.length-1;
+  const body = $("statsBody");
+  if(!ps){
+    $("statsLabel").textContent = "-";
+    body.innerHTML = `<div style="padding:12px;color:var(--muted);font-size:12px;">${escapeHtml(t("stats.noData"))}</div>`;
+    return;
+  }
+  const from = dateFromKey(ps.firstDay);
+  $("statsLabel").textContent = period==="year" ? formatYear(from)
+    : period==="month" ? formatMonth(from)
+    : `${formatDate(from)} – ${formatDate(dateFromKey(ps.lastDay))}`;
+
+  const modes = modeRows(ps).map(([type,m])=>({
+    label: modeLabel(type), value: m.meters, text: `${formatDistance(m.meters, { long: true })} · ${t("stats.times", { n: m.count })}`,
+  }));
+  const places = topPlaces(ps).map(p=>({
+    label: localizeText(p.title), value: p.count, text: `${t("stats.times", { n: p.count })} · ${formatDuration(p.ms)}`, title: `${localizeText(p.title)}\n${localizeText(p.subtitle)}`,
+  }));
+  const daily = dailySeries(ps).map(d=>{
+    const date = dateFromKey(d.dayKey);
+    return {
+      label: period==="year" ? formatMonthShort(date) : `${date.getDate()}`,
+      value: d.meters,
+      title: `${formatDate(date)}: ${formatDistance(d.meters, { long: true })} / ${t("common.items", { n: d.items })}`,
+    };
+  });
+  // with one column per day, a year is easier to read with month labels only on the 1st
+  if(period==="year") daily.forEach((c,i)=>{ if(i>0 && c.label===daily[i-1].label) c.label = ""; });
+  const busiest = busiestDays(ps);
+
+  body.innerHTML = `
+    <div class="stats-totals">
+      <div><b>${formatDistance(ps.meters, { long: true })}</b><span>${t("stats.distance")}</span></div>
+      <div><b>${formatDuration(ps.movingMs)}</b><span>${t("stats.movingTime")}</span></div>
+      <div><b>${formatDuration(ps.placeMs)}</b><span>${t("stats.placeTime")}</span></div>
+      <div><b>${ps.days.size}</b><span>${t("stats.daysWithData")}</span></div>
+    </div>
+    <h4>${t("stats.byMode")}</h4>
+    ${modes.length ? barChartSvg(modes) : `<div class="hint">${t("stats.noMoves")}</div>`}
+    <h4>${t("stats.moveVsStay")}</h4>
+    ${ps.movingMs+ps.placeMs ? stackBarSvg([
+      { label: t("stats.moving"), value: ps.movingMs, text: formatDuration(ps.movingMs), color:"#3b82f6" },
+      { label: t("stats.staying"), value: ps.placeMs, text: formatDuration(ps.placeMs), color:"#22c55e" },
+    ]) : `<div class="hint">${t("stats.noTime")}</div>`}
+    <h4>${t("stats.topPlaces")}</h4>
+    ${places.length ? barChartSvg(places, { labelWidth: 190 }) : `<div class="hint">${t("stats.noStays")}</div>`}
+    <h4>${t("stats.daily")}</h4>
+    ${columnChartSvg(daily)}
+    <div class="stats-days">
+      ${busiest.map(d=>`<button type="button" class="btn" data-day="${d.dayKey}">${escapeHtml(formatDate(dateFromKey(d.dayKey)))} · ${formatDistance(d.meters, { long: true })} · ${t("common.items", { n: d.items })}</button>`).join("")}
+    </div>
+  `;
+  for(const btn of /** @type {NodeListOf<HTMLElement>} */ (body.querySelectorAll("[data-day]"))){
+    btn.addEventListener("click", ()=>{
+      /** @type {HTMLDialogElement} */ ($("statsDialog")).close();
+      selectDays(dateFromKey(Number(btn.dataset.day)));
+      renderAll(true);
+    });
+  }
+}
+
+// Import report (import-report.js): per-file counts from the import, findings from the items
+
+function openReportDialog(){
+  if(!state.issues) state.issues = findIssues(state.items);
+  renderReport();
+  const dialog = /** @type {HTMLDialogElement} */ ($("reportDialog"));
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+/** Findings of one kind listed at most; the rest are counted */
+const REPORT_ISSUE_LIMIT = 200;
+
+function renderReport(){
+  const body = $("reportBody");
+  if(!state.items.length && !state.importReport){
+    body.innerHTML = `<div class="hint">${escapeHtml(t("report.none"))}</div>`;
+    return;
+  }
+
+  const report = state.importReport;
+  let html = `<h4>${escapeHtml(t("report.files"))}</h4>`;
+  if(report){
+    html += `
+      <table class="report-files">
+        <tr><th>${escapeHtml(t("report.file"))}</th><th>${escapeHtml(t("report.format"))}</th><th>${escapeHtml(t("report.read"))}</th><th>${escapeHtml(t("report.converted"))}</th><th>${escapeHtml(t("report.skipped"))}</th></tr>
+        ${report.sources.map(sourceReportRows).join("")}
+      </table>
+      ${report.duplicates ? `<div class="hint">${escapeHtml(t("report.duplicates", { n: report.duplicates }))}</div>` : ""}
+    `;
+  } else {
+    html += `<div class="hint">${escapeHtml(t("report.noCounts"))}</div>`;
+  }
+
+  const issues = state.issues || [];
+  /** @type {Record<IssueKind, number>} */
+  const counts = { gap: 0, overlap: 0, speed: 0, jump: 0 };
+  for(const issue of issues) counts[issue.kind]++;
+  const kind = state.issueKind;
+  const shown = kind ? issues.filter(i=>i.kind===kind) : issues;
+  const chip = (/** @type {IssueKind|""} */ k, /** @type {number} */ n)=>
+    `<button type="button" class="chip${kind===k ? " on" : ""}" data-kind="${k}">${escapeHtml(t(k ? `report.kind.${k}` : "report.all"))} ${n}</button>`;
+  html += `
+    <h4>${escapeHtml(t("report.quality"))}</h4>
+    <div class="hint">${escapeHtml(t("report.qualityHint", { duration: formatDuration(ISSUE_GAP_MS), speed: formatSpeed(ISSUE_MAX_SPEED) }))}</div>
+  `;
+  if(!issues.length){
+    html += `<div class="hint">${escapeHtml(t("report.clean"))}</div>`;
+  } else {
+    html += `
+      <div class="chips">${chip("", issues.length)}${(/** @type {IssueKind[]} */ (["gap","overlap","speed","jump"])).filter(k=>counts[k]).map(k=>chip(k, counts[k])).join("")}</div>
+      <div class="report-issues">
+        ${shown.slice(0, REPORT_ISSUE_LIMIT).map((issue, i)=>`
+          <button type="button" class="report-issue" data-issue="${i}">
+            <span class="when">${escapeHtml(formatDate(dateFromKey(itemDayKey(issue.item))))} ${formatItemTime(issue.item.start, issue.item.tzOffsetMinutes)}</span>
+            <span>${escapeHtml(issueText(issue))}</span>
+          </button>
+        `).join("")}
+      </div>
+      ${shown.length>REPORT_ISSUE_LIMIT ? `<div class="hint">${escapeHtml(t("report.more", { n: shown.length - REPORT_ISSUE_LIMIT }))}</div>` : ""}
+    `;
+  }
+  body.innerHTML = html;
+
+  body.querySelector(".chips")?.addEventListener("click", (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target).closest("button");
+    if(!el) return;
+    state.issueKind = /** @type {IssueKind|""} */ (el.dataset.kind || "");
+    renderReport();
+  });
+  body.querySelector(".report-issues")?.addEventListener("click", (e)=>{
+    const el = /** @type {HTMLElement} */ (e.target).closest("[data-issue]");
+    const issue = el instanceof HTMLElement ? shown[Number(el.dataset.issue)] : null;
+    if(issue) showIssue(issue);
+  });
+}
+
+/**
+ * Table rows of one file: the counts, then what was dropped and why.
+ * @param {import("./import-report.js").SourceReport} s
+ */
+function sourceReportRows(s){
+  const notes = [];
+  if(s.error) notes.push(t("report.error", { error: s.error }));
+  else if(s.format==="unknown") notes.push(t("report.unknownFormat"));
+  for(const [reason, n] of Object.entries(s.skipped)){
+    if(n) notes.push(t("report.skipLine", { n: String(n), reason: t(`report.reason.${reason}`) }));
+  }
+  if(s.unknownKeys.length) notes.push(t("report.unknownKeys", { keys: s.unknownKeys.join(", ") }));
+  if(s.ignoredKeys.length) notes.push(t("report.ignoredKeys", { keys: s.ignoredKeys.join(", ") }));
+  const known = s.format!=="unknown";
+  return `
+    <tr${notes.length ? ` class="has-notes"` : ""}>
+      <td class="name" title="${escapeAttr(s.name)}">${escapeHtml(s.name)}</td>
+      <td>${known ? escapeHtml(formatLabel(s.format)) : "-"}</td>
+      <td>${known ? s.read : "-"}</td>
+      <td>${known ? s.converted : "-"}</td>
+      <td>${known ? skippedTotal(s) : "-"}</td>
+    </tr>
+    ${notes.length ? `<tr class="notes"><td colspan="5">${notes.map(n=>`<div>${escapeHtml(n)}</div>`).join("")}</td></tr>` : ""}
+  `;
+}
+
+/** @param {Issue} issue */
+function issueText(issue){
+  switch(issue.kind){
+    case "gap": return t("report.gap", { duration: formatDuration(issue.value) });
+    case "overlap": return t("report.overlap", { duration: formatDuration(issue.value) });
+    case "speed": return t("report.speed", { speed: formatSpeed(issue.value), distance: formatDistance(issue.meters || 0) });
+    case "jump": return t("report.jump", { speed: formatSpeed(issue.value), distance: formatDistance(issue.meters || 0) });
+  }
+}
+
+/** Close the report and show the day of a finding, with its item on the map */
+function showIssue(issue){
+  /** @type {HTMLDialogElement} */ ($("reportDialog")).close();
+  state.compare.on = false;
+  renderCompareButton();
+  selectDays(dateFromKey(itemDayKey(issue.item)));
+  renderAll(true);
+  focusItemOnMap(issue.item);
+}
+
+function exportStatsCsv(){
+  const { list, period } = state.stats;
+  if(!list.length) return;
+  downloadText(statsCsv(list), `timeline-stats-${period}.csv`, "text/csv");
+  showToast(t("toast.exported"), t("stats.exported", { n: list.length, file: `timeline-stats-${period}.csv` }));
+}
+
+/** Save text as a file via a temporary object URL (stays in the browser) */
+function downloadText(text, fileName, mime){
+  const url = URL.createObjectURL(new Blob([text], { type:`${mime};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
+/** @param {string} format importer id */
+function formatLabel(format){
+  return importerById(format)?.label || format;
+}
+
+/** "semanticSegments + timelineObjects ×12" */
+function formatMixLabel(formats){
+  const parts = Object.entries(formats || {})
+    .map(([f,n])=>`${formatLabel(f)}${n>1 ? ` ×${n}` : ""}`);
+  return parts.length ? parts.join(" + ") : t("format.unknown");
+}
+
+function updateFormatPill(){
+  $("formatPill").textContent = Object.keys(state.formats).length ? t("format.label", { formats: formatMixLabel(state.formats) }) : t("format.none");
+}
+
+// Language, week start and units (i18n.js)
+
+/** Activate the language and unit of state.prefs and translate the static page */
+function applyPrefs(){
+  const p = state.prefs;
+  setLocale(p.locale==="auto" ? detectLocale() : p.locale);
+  setUnits(p.units==="auto" ? defaultUnits() : p.units);
+  document.documentElement.lang = getLocale();
+  applyTranslations(document);
+}
+
+function openPrefsDialog(){
+  const p = state.prefs;
+  const auto = (/** @type {string} */ value)=>`<option value="auto">${escapeHtml(t("prefs.auto", { value }))}</option>`;
+  const option = (/** @type {string|number} */ value, /** @type {string} */ label)=>`<option value="${value}">${escapeHtml(label)}</option>`;
+  const locale = /** @type {HTMLSelectElement} */ ($("prefLocale"));
+  locale.innerHTML = auto(LOCALES.find(l=>l.id===detectLocale())?.label || "") + LOCALES.map(l=>option(l.id, l.label)).join("");
+  locale.value = p.locale;
+  const week = /** @type {HTMLSelectElement} */ ($("prefWeekStart"));
+  week.innerHTML = auto(weekdayName(defaultWeekStart(), "long")) + [0, 1, 6].map(d=>option(d, weekdayName(d, "long"))).join("");
+  week.value = String(p.weekStart);
+  const units = /** @type {HTMLSelectElement} */ ($("prefUnits"));
+  units.innerHTML = auto(defaultUnits()) + option("km", t("prefs.km")) + option("mi", t("prefs.mi"));
+  units.value = p.units;
+  const dialog = /** @type {HTMLDialogElement} */ ($("prefsDialog"));
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+function onPrefsDialogClosed(){
+  const dialog = /** @type {HTMLDialogElement} */ ($("prefsDialog"));
+  if(dialog.returnValue!=="apply") return;
+  const week = /** @type {HTMLSelectElement} */ ($("prefWeekStart")).value;
+  state.prefs = {
+    locale: /** @type {Prefs["locale"]} */ (/** @type {HTMLSelectElement} */ ($("prefLocale")).value),
+    weekStart: week==="auto" ? "auto" : Number(week),
+    units: /** @type {Prefs["units"]} */ (/** @type {HTMLSelectElement} */ ($("prefUnits")).value),
+  };
+  saveSetting("prefs", state.prefs);
+  applyPrefs();
+  // everything with text, dates or distances in it
+  updateTimeModeButton();
+  updateFormatPill();
+  renderTilePresets();
+  renderEditsInfo();
+  renderPrivacyIndicator();
+  renderLibrary();
+  renderAll();
+  renderPlaces();
+  renderSearch();
+  renderFilters();
+  renderHeatControls();
+  refreshHeatmap();
+}
+
+function setupPrefs(){
+  $("prefsBtn").addEventListener("click", openPrefsDialog);
+  $("prefsDialog").addEventListener("close", onPrefsDialogClosed);
+}
+
+// Keyboard shortcuts
+function setupShortcuts(){
+  window.addEventListener("keydown", (e)=>{
+    if(e.altKey && e.key==="ArrowLeft"){
+      e.preventDefault(); goPrev();
     }
     if(e.altKey && e.key==="ArrowRight"){
       e.preventDefault(); goNext();
     }
+    // page through the calendar; not while typing or in a dialog
+    if((e.key==="PageUp" || e.key==="PageDown") && !e.altKey && !e.ctrlKey && !e.metaKey){
+      const target = /** @type {HTMLElement} */ (e.target);
+      if(target.closest("input, textarea, select, dialog")) return;
+      const months = e.shiftKey || state.calendar.view==="year" ? 12 : 1;
+      e.preventDefault();
+      stepCalendar(e.key==="PageUp" ? -months : months);
+    }
   });
 }
 
@@ -762,18 +2900,85 @@ async function setupPWA(){
 
 function setupUI(){
   const fileInput = /** @type {HTMLInputElement} */ ($("fileInput"));
-  fileInput.addEventListener("change", async ()=>{
-    const file = fileInput.files && fileInput.files[0];
-    if(file) await onFileSelected(file);
+  for(const input of [fileInput, /** @type {HTMLInputElement} */ ($("folderInput"))]){
+    input.addEventListener("change", async ()=>{
+      const files = Array.from(input.files || []);
+      // allow picking the same files again after a cancel
+      input.value = "";
+      if(files.length) await onFilesSelected(files);
+    });
+  }
+
+  // drag & drop files or whole folders anywhere on the page
+  let dragDepth = 0;
+  window.addEventListener("dragenter", (e)=>{
+    if(!e.dataTransfer?.types.includes("Files")) return;
+    e.preventDefault();
+    dragDepth++;
+    document.body.classList.add("dragging");
   });
+  window.addEventListener("dragleave", ()=>{
+    if(dragDepth>0 && --dragDepth===0) document.body.classList.remove("dragging");
+  });
+  window.addEventListener("dragover", (e)=>{
+    if(e.dataTransfer?.types.includes("Files")) e.preventDefault();
+  });
+  window.addEventListener("drop", async (e)=>{
+    if(!e.dataTransfer) return;
+    e.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove("dragging");
+    const files = await filesFromDrop(e.dataTransfer);
+    if(files.length) await onFilesSelected(files);
+  });
+  $("cancelImportBtn").addEventListener("click", cancelImport);
+  $("exportBtn").addEventListener("click", openExportDialog);
+  $("exportDialog").addEventListener("close", onExportDialogClosed);
+  $("statsBtn").addEventListener("click", openStatsDialog);
+  $("reportBtn").addEventListener("click", openReportDialog);
+  setupCompare();
+  setupHeatControls();
+  setupPlayback();
+  setupFilters();
+  setupCalendar();
+  setupEdits();
+  setupPrivacy();
+  setupTiles();
+  setupPrefs();
+  let searchTimer = 0;
+  $("searchInput").addEventListener("input", ()=>{
+    window.clearTimeout(searchTimer);
+    searchTimer = window.setTimeout(renderSearch, 120);
+  });
+  $("placeFilter").addEventListener("input", ()=>{
+    state.placesView.filter = /** @type {HTMLInputElement} */ ($("placeFilter")).value;
+    state.placesView.limit = PLACES_PAGE;
+    renderPlaces();
+  });
+  $("statsPeriod").addEventListener("change", ()=>{
+    const period = /** @type {StatsPeriod} */ (/** @type {HTMLSelectElement} */ ($("statsPeriod")).value);
+    saveSetting("statsPeriod", period);
+    computeStatsFor(period);
+  });
+  $("statsPrevBtn").addEventListener("click", ()=>{ state.stats.index--; renderStats(); });
+  $("statsNextBtn").addEventListener("click", ()=>{ state.stats.index++; renderStats(); });
+  $("statsCsvBtn").addEventListener("click", exportStatsCsv);
+  $("timeModeBtn").addEventListener("click", ()=>setTimeMode(state.timeMode==="local" ? "home" : "local"));
+  updateTimeModeButton();
+  updateFormatPill();
 
   $("prevBtn").addEventListener("click", goPrev);
   $("nextBtn").addEventListener("click", goNext);
+  window.addEventListener("popstate", onRouteChanged);
+  window.addEventListener("hashchange", onRouteChanged);
 }
 
 // Boot
+applyPrefs();
 setupUI();
 setupShortcuts();
 setupPWA();
 ensureMap();
 renderAll();
+renderPlaces();
+restoreLastDataset();
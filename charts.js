@@ -0,0 +1,91 @@
+/* Timeline Trace (Local) - tiny SVG charts
+ * Just the three shapes the statistics dialog needs, returned as SVG markup so there is
+ * no chart library (and no CDN) involved. Colors come from the page's CSS variables.
+ */
+
+/** @typedef {{label:string, value:number, text?:string, color?:string, title?:string}} ChartRow */
+
+export const CHART_COLORS = ["#3b82f6","#22c55e","#f97316","#a855f7","#eab308","#06b6d4","#ec4899","#84cc16","#e11d48","#64748b"];
+
+function esc(s){
+  return String(s).replace(/[&<>"']/g, (c)=>({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;" }[c]));
+}
+
+/**
+ * Horizontal bars, one per row: label | bar | value text.
+ * @param {ChartRow[]} rows
+ * @param {{width?:number, labelWidth?:number}} [opts]
+ */
+export function barChartSvg(rows, opts={}){
+  const width = opts.width ?? 560;
+  const labelWidth = opts.labelWidth ?? 150;
+  const textWidth = 110;
+  const rowH = 22;
+  const barMax = width - labelWidth - textWidth - 8;
+  const max = Math.max(...rows.map(r=>r.value), 0) || 1;
+  const height = rows.length*rowH;
+  const bars = rows.map((r,i)=>{
+    const y = i*rowH;
+    const w = Math.max(r.value>0 ? 2 : 0, r.value/max*barMax);
+    const color = r.color || CHART_COLORS[i % CHART_COLORS.length];
+    return `<g><title>${esc(r.title || `${r.label}: ${r.text ?? r.value}`)}</title>`
+      + `<text x="${labelWidth-8}" y="${y+15}" text-anchor="end" class="chart-label">${esc(truncate(r.label, 22))}</text>`
+      + `<rect x="${labelWidth}" y="${y+4}" width="${w.toFixed(1)}" height="${rowH-8}" rx="3" fill="${color}"></rect>`
+      + `<text x="${labelWidth+w+6}" y="${y+15}" class="chart-value">${esc(r.text ?? String(r.value))}</text></g>`;
+  }).join("");
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">${bars}</svg>`;
+}
+
+/**
+ * One 100% bar split into parts, with a legend underneath.
+ * @param {ChartRow[]} parts
+ * @param {{width?:number}} [opts]
+ */
+export function stackBarSvg(parts, opts={}){
+  const width = opts.width ?? 560;
+  const total = parts.reduce((s,p)=>s+p.value, 0) || 1;
+  let x = 0;
+  const segs = parts.map((p,i)=>{
+    const w = p.value/total*width;
+    const color = p.color || CHART_COLORS[i % CHART_COLORS.length];
+    const seg = `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="18" fill="${color}"><title>${esc(`${p.label}: ${p.text ?? p.value}`)}</title></rect>`;
+    x += w;
+    return seg;
+  }).join("");
+  const legend = parts.map((p,i)=>{
+    const lx = i*(width/Math.max(parts.length,1));
+    const color = p.color || CHART_COLORS[i % CHART_COLORS.length];
+    const pct = Math.round(p.value/total*100);
+    return `<rect x="${lx}" y="28" width="10" height="10" rx="2" fill="${color}"></rect>`
+      + `<text x="${lx+16}" y="37" class="chart-label">${esc(p.label)} ${esc(p.text ?? "")} (${pct}%)</text>`;
+  }).join("");
+  return `<svg class="chart" viewBox="0 0 ${width} 44" width="100%" role="img">${segs}${legend}</svg>`;
+}
+
+/**
+ * Vertical columns in order (e.g. one per day). Only some labels are drawn when there are many.
+ * @param {ChartRow[]} cols
+ * @param {{width?:number, height?:number}} [opts]
+ */
+export function columnChartSvg(cols, opts={}){
+  const width = opts.width ?? 560;
+  const height = opts.height ?? 120;
+  const plotH = height - 18;
+  const max = Math.max(...cols.map(c=>c.value), 0) || 1;
+  const step = width / Math.max(cols.length, 1);
+  const gap = step>6 ? Math.min(4, step*0.2) : 0;
+  const every = Math.ceil(cols.length / 12);
+  const parts = cols.map((c,i)=>{
+    const h = c.value/max*plotH;
+    const x = i*step;
+    const color = c.color || "var(--accent)";
+    const bar = `<rect x="${(x+gap/2).toFixed(1)}" y="${(plotH-h).toFixed(1)}" width="${Math.max(step-gap, 0.5).toFixed(1)}" height="${h.toFixed(1)}" fill="${color}"><title>${esc(c.title || `${c.label}: ${c.text ?? c.value}`)}</title></rect>`;
+    const label = i % every===0 ? `<text x="${(x+step/2).toFixed(1)}" y="${height-4}" text-anchor="middle" class="chart-label">${esc(c.label)}</text>` : "";
+    return bar + label;
+  }).join("");
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img"><line x1="0" y1="${plotH}" x2="${width}" y2="${plotH}" class="chart-axis"></line>${parts}</svg>`;
+}
+
+function truncate(s, n){
+  return s.length>n ? `${s.slice(0, n-1)}…` : s;
+}
@@ -0,0 +1,135 @@
+/* Timeline Trace (Local) - day comparison
+ * Trips of several days, matched by where they start and end, so a commute can be held
+ * against the same commute on other days. A trip is every activity between two visits
+ * (walk, train, walk = one trip); its origin is the visit before it even when that visit
+ * began on an earlier day (home overnight). Pure functions, no DOM.
+ */
+
+import { haversineMeters } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+
+/**
+ * @typedef {Object} Trip
+ * @property {number} day dayKey of the departure
+ * @property {string} fromKey place of the visit before ("" = none, e.g. the data starts here)
+ * @property {string} fromTitle
+ * @property {string} toKey place of the visit after ("" = none)
+ * @property {string} toTitle
+ * @property {Item[]} legs the activities, in order
+ * @property {Date} depart start of the first leg
+ * @property {Date} arrive end of the last leg (its start when it has no end)
+ * @property {number} meters
+ */
+
+/**
+ * One route on the compared days; trips[i] is its trip on days[i], or null.
+ * @typedef {{fromTitle:string, toTitle:string, trips:(Trip|null)[]}} TripMatch
+ */
+
+/** Visits without a place id closer than this are the same place (stays derived from raw fixes) */
+const SAME_PLACE_METERS = 150;
+
+/**
+ * Same place: the Google place id; else a visit within SAME_PLACE_METERS of one seen before (a
+ * stay's centroid moves a little from day to day); else the same name and address.
+ * @returns {(it:Item)=>string}
+ */
+function placeKeyer(){
+  /** @type {{point:LatLng, key:string}[]} */
+  const seen = [];
+  return (it)=>{
+    if(it.placeId) return it.placeId;
+    if(!it.point) return `${it.title}\n${it.subtitle}`;
+    const point = it.point;
+    const near = seen.find(s=>haversineMeters(s.point, point)<=SAME_PLACE_METERS);
+    if(near) return near.key;
+    const key = `@${point.lat.toFixed(5)},${point.lng.toFixed(5)}`;
+    seen.push({ point, key });
+    return key;
+  };
+}
+
+/**
+ * Trips that depart on the given days.
+ * @param {Item[]} items sorted by start
+ * @param {ArrayLike<number>} itemDays dayKey of items[i]
+ * @param {number[]} days dayKeys
+ * @param {ArrayLike<number>} [include] 1 = use the activity items[i] (e.g. it passes the filter).
+ *   Visits are always used, so hiding them does not break the trips apart.
+ * @returns {Trip[]}
+ */
+export function tripsOfDays(items, itemDays, days, include){
+  const want = new Set(days);
+  const placeKey = placeKeyer();
+  /** @type {Trip[]} */
+  const out = [];
+  /** @type {Item|null} */
+  let before = null;
+  /** @type {Item[]} */
+  let legs = [];
+  let day = 0;
+
+  const flush = (/** @type {Item|null} */ after)=>{
+    if(legs.length && want.has(day)){
+      const lastLeg = legs[legs.length-1];
+      out.push({
+        day,
+        fromKey: before ? placeKey(before) : "",
+        fromTitle: before ? before.title : "",
+        toKey: after ? placeKey(after) : "",
+        toTitle: after ? after.title : "",
+        legs,
+        depart: legs[0].start,
+        arrive: lastLeg.end || lastLeg.start,
+        meters: legs.reduce((sum, it)=>sum + (it.distanceMeters || 0), 0),
+      });
+    }
+    legs = [];
+  };
+
+  for(let i=0;i<items.length;i++){
+    const it = items[i];
+    if(it.kind==="visit"){
+      flush(it);
+      before = it;
+    } else if(it.kind==="activity" && (!include || include[i])){
+      if(!legs.length) day = itemDays[i];
+      legs.push(it);
+    }
+  }
+  flush(null);
+  return out;
+}
+
+/**
+ * Pairs up trips of the same route (same origin and destination) across days. The second trip
+ * of a route on a day is matched with the second one on the other days, and so on.
+ * @param {Trip[]} trips
+ * @param {number[]} days dayKeys, in the order of TripMatch.trips
+ * @returns {TripMatch[]} routes found on at least two of the days, in order of first departure
+ */
+export function matchTrips(trips, days){
+  const index = new Map(days.map((k, i)=>[k, i]));
+  /** @type {Map<string, TripMatch>} */
+  const byKey = new Map();
+  /** @type {Map<string, number>} trips of a route seen so far on a day */
+  const seen = new Map();
+  const ordered = trips.slice().sort((a,b)=>a.depart.getTime()-b.depart.getTime());
+  for(const trip of ordered){
+    const i = index.get(trip.day);
+    if(i==null || !trip.fromKey || !trip.toKey) continue;
+    const route = `${trip.fromKey}\u0001${trip.toKey}`;
+    const n = seen.get(`${trip.day}\u0001${route}`) || 0;
+    seen.set(`${trip.day}\u0001${route}`, n + 1);
+    const key = `${route}\u0001${n}`;
+    let m = byKey.get(key);
+    if(!m){
+      m = { fromTitle: trip.fromTitle, toTitle: trip.toTitle, trips: days.map(()=>null) };
+      byKey.set(key, m);
+    }
+    m.trips[i] = trip;
+  }
+  return Array.from(byKey.values()).filter(m=>m.trips.filter(Boolean).length>=2);
+}
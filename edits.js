@@ -0,0 +1,255 @@
+/* Timeline Trace (Local) - user corrections
+ * Edits are kept apart from the imported items, as an overlay keyed by a stable item id
+ * (kind + start + end), and applied on top whenever a dataset is shown. The imported data is
+ * never changed, so an edit can be undone, and because the id only depends on the recorded
+ * times the same corrections apply again after the history is re-imported. Pure functions, no DOM.
+ */
+
+import { pathDistanceMeters, activityTitle, activityEmoji, distanceSubtitle } from "./parsers.js";
+import { pathTimes } from "./playback.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+
+/**
+ * @typedef {Object} ItemEdit
+ * @property {string} [title]
+ * @property {string} [subtitle] place name / address line
+ * @property {string} [activityType] activities only
+ * @property {string} [note]
+ * @property {boolean} [deleted]
+ * @property {number[]} [splits] epoch ms to cut the item at; the pieces get ids of their own
+ */
+
+/**
+ * @typedef {Object} Edits
+ * @property {Record<string, ItemEdit>} items by itemId()
+ * @property {Record<string, string>} days notes by "YYYY-MM-DD"
+ */
+
+export const EDITS_FILE_FORMAT = "timeline-trace-edits";
+
+/** @returns {Edits} */
+export function emptyEdits(){
+  return { items: {}, days: {} };
+}
+
+/**
+ * "visit:1714700000000:1714703600000". Raw points have no end: "rawpoint:1714700000000:".
+ * @param {Item} it
+ */
+export function itemId(it){
+  return `${it.kind}:${it.start.getTime()}:${it.end ? it.end.getTime() : ""}`;
+}
+
+/** @param {ItemEdit} e */
+function changesContent(e){
+  return e.title!=null || e.subtitle!=null || e.activityType!=null || !!e.splits?.length;
+}
+
+/**
+ * @param {Item} it
+ * @param {ItemEdit} e
+ * @returns {Item}
+ */
+function editedItem(it, e){
+  const out = { ...it };
+  if(e.activityType!=null && it.kind==="activity"){
+    out.activityType = e.activityType;
+    out.title = activityTitle(e.activityType);
+    out.emoji = activityEmoji(e.activityType);
+  }
+  if(e.title!=null) out.title = e.title;
+  if(e.subtitle!=null){
+    out.subtitle = e.subtitle;
+    // a renamed visit is no longer the Google place; keep it out of that place's history
+    if(it.kind==="visit") out.placeId = null;
+  }
+  if(e.note) out.note = e.note;
+  if(changesContent(e)) out.edited = true;
+  return out;
+}
+
+/**
+ * Point on a path at time t, between the vertices around it.
+ * @param {LatLng[]} path
+ * @param {Float64Array} times
+ * @param {number} t
+ * @returns {LatLng}
+ */
+function pointAt(path, times, t){
+  let i = 1;
+  while(i<path.length-1 && times[i]<t) i++;
+  const a = path[i-1], b = path[i];
+  const span = times[i]-times[i-1];
+  const f = span>0 ? Math.max(0, Math.min(1, (t-times[i-1]) / span)) : 0;
+  return { lat: a.lat + (b.lat-a.lat)*f, lng: a.lng + (b.lng-a.lng)*f, time: new Date(t) };
+}
+
+/**
+ * Cut an item at the given times. Activities split their path (with a shared vertex at each
+ * cut) and their distance in proportion; visits keep their place.
+ * @param {Item} it
+ * @param {number[]} at epoch ms; times outside the item are ignored
+ * @returns {Item[]}
+ */
+export function splitItem(it, at){
+  if(!it.end) return [it];
+  const start = it.start.getTime(), end = it.end.getTime();
+  const cuts = Array.from(new Set(at.filter(t=>t>start && t<end))).sort((a,b)=>a-b);
+  if(!cuts.length) return [it];
+  const bounds = [start, ...cuts, end];
+
+  const hasPath = it.kind==="activity" && it.path.length>=2;
+  const times = hasPath ? pathTimes(it) : null;
+  const total = hasPath ? pathDistanceMeters(it.path) : 0;
+
+  /** @type {Item[]} */
+  const out = [];
+  for(let k=0;k<bounds.length-1;k++){
+    const a = bounds[k], b = bounds[k+1];
+    const last = k===bounds.length-2;
+    /** @type {Item} */
+    const piece = {
+      ...it,
+      start: new Date(a),
+      end: new Date(b),
+      endTzOffsetMinutes: last ? it.endTzOffsetMinutes : it.tzOffsetMinutes,
+      edited: true,
+    };
+    if(it.kind==="activity"){
+      if(hasPath && times){
+        /** @type {LatLng[]} */
+        const path = [pointAt(it.path, times, a)];
+        for(let i=0;i<it.path.length;i++) if(times[i]>a && times[i]<b) path.push(it.path[i]);
+        path.push(pointAt(it.path, times, b));
+        piece.path = path;
+        const share = total>0 ? pathDistanceMeters(path) / total : (b-a) / (end-start);
+        piece.distanceMeters = it.distanceMeters!=null ? it.distanceMeters * share : pathDistanceMeters(path);
+      } else if(it.distanceMeters!=null){
+        piece.distanceMeters = it.distanceMeters * (b-a) / (end-start);
+      }
+      if(piece.distanceMeters!=null) piece.subtitle = distanceSubtitle(piece.distanceMeters);
+    }
+    out.push(piece);
+  }
+  return out;
+}
+
+/**
+ * Imported items with the edits applied: deleted items dropped, split items replaced by their
+ * pieces (which may carry edits of their own), edited fields replaced. Items without edits are
+ * passed through as the same objects.
+ * @param {Item[]} items
+ * @param {Edits} edits
+ * @returns {Item[]}
+ */
+export function applyEdits(items, edits){
+  if(!Object.keys(edits.items).length) return items;
+  /** @type {Item[]} */
+  const out = [];
+  /** @param {Item} it @param {string|null} sourceId */
+  const apply = (it, sourceId)=>{
+    const e = edits.items[itemId(it)];
+    if(!e){
+      out.push(sourceId ? { ...it, sourceId } : it);
+      return;
+    }
+    if(e.deleted) return;
+    const edited = editedItem(it, e);
+    if(sourceId) edited.sourceId = sourceId;
+    const pieces = e.splits?.length ? splitItem(edited, e.splits) : [edited];
+    if(pieces.length===1){
+      out.push(pieces[0]);
+      return;
+    }
+    // the note stays with the first piece
+    pieces.forEach((p,i)=>{
+      if(i) delete p.note;
+      apply(p, itemId(it));
+    });
+  };
+  for(const it of items) apply(it, null);
+  return out.sort((a,b)=>a.start.getTime()-b.start.getTime());
+}
+
+/**
+ * Set (or with undefined, clear) fields of one item's edit; drops entries left empty.
+ * @param {Edits} edits
+ * @param {string} id
+ * @param {Partial<Record<keyof ItemEdit, any>>} patch
+ * @returns {Edits} a new object
+ */
+export function patchItemEdit(edits, id, patch){
+  const e = { ...(edits.items[id] || {}), ...patch };
+  for(const k of Object.keys(e)){
+    const v = e[k];
+    if(v==null || v==="" || v===false || (Array.isArray(v) && !v.length)) delete e[k];
+  }
+  const items = { ...edits.items };
+  if(Object.keys(e).length) items[id] = e;
+  else delete items[id];
+  return { ...edits, items };
+}
+
+/**
+ * @param {Edits} edits
+ * @param {string} day "YYYY-MM-DD"
+ * @param {string} note empty = remove
+ * @returns {Edits}
+ */
+export function setDayNote(edits, day, note){
+  const days = { ...edits.days };
+  if(note.trim()) days[day] = note;
+  else delete days[day];
+  return { ...edits, days };
+}
+
+/** @param {Edits} edits */
+export function editCount(edits){
+  return Object.keys(edits.items).length + Object.keys(edits.days).length;
+}
+
+/** @param {Edits} edits @returns {string} */
+export function editsToJson(edits){
+  return JSON.stringify({ format: EDITS_FILE_FORMAT, version: 1, items: edits.items, days: edits.days }, null, 2) + "\n";
+}
+
+/**
+ * Read a file written by editsToJson(). Unknown fields are dropped.
+ * @param {string} text
+ * @returns {Edits}
+ */
+export function parseEdits(text){
+  const data = JSON.parse(text);
+  if(!data || data.format!==EDITS_FILE_FORMAT || typeof data.items!=="object"){
+    throw new Error("Not a Timeline Trace edits file");
+  }
+  const out = emptyEdits();
+  for(const [id, e] of Object.entries(data.items || {})){
+    if(!/^(activity|visit|rawpoint):\d+:\d*$/.test(id) || !e || typeof e!=="object") continue;
+    /** @type {ItemEdit} */
+    const clean = {};
+    for(const k of ["title","subtitle","activityType","note"]) if(typeof e[k]==="string") clean[k] = e[k];
+    if(e.deleted===true) clean.deleted = true;
+    if(Array.isArray(e.splits)) clean.splits = e.splits.filter(t=>Number.isFinite(t));
+    if(Object.keys(clean).length) out.items[id] = clean;
+  }
+  for(const [day, note] of Object.entries(data.days || {})){
+    if(/^\d{4}-\d{2}-\d{2}$/.test(day) && typeof note==="string" && note) out.days[day] = note;
+  }
+  return out;
+}
+
+/**
+ * Imported edits on top of the current ones (the imported file wins per item / day).
+ * @param {Edits} base
+ * @param {Edits} incoming
+ * @returns {Edits}
+ */
+export function mergeEdits(base, incoming){
+  return {
+    items: { ...base.items, ...incoming.items },
+    days: { ...base.days, ...incoming.days },
+  };
+}
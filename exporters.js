@@ -0,0 +1,233 @@
+/* Timeline Trace (Local) - export writers
+ * Turn Items into GPX / KML / GeoJSON / CSV text. Pure functions, no DOM, so the output is
+ * easy to diff and the same writers can be reused from a worker later.
+ */
+
+import { pathParts } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+/** @typedef {"gpx"|"kml"|"geojson"|"csv"} ExportFormat */
+
+/** @type {Record<ExportFormat, {ext:string, mime:string, write:(items:Item[])=>string}>} */
+export const EXPORT_FORMATS = {
+  gpx: { ext:"gpx", mime:"application/gpx+xml", write: toGpx },
+  kml: { ext:"kml", mime:"application/vnd.google-earth.kml+xml", write: toKml },
+  geojson: { ext:"geojson", mime:"application/geo+json", write: toGeoJson },
+  csv: { ext:"csv", mime:"text/csv", write: toCsv },
+};
+
+function xml(s){
+  return String(s).replace(/[&<>"']/g, (c)=>({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&apos;" }[c]));
+}
+
+function iso(d){
+  return d ? d.toISOString() : "";
+}
+
+/**
+ * Per-point times for a path: recorded times where the export has them, otherwise only the
+ * first and last point get the segment start/end so the track still carries its time span.
+ * @param {Item} it
+ * @returns {(Date|null)[]}
+ */
+function pathTimes(it){
+  return it.path.map((p,i)=>{
+    if(p.time) return p.time;
+    if(i===0) return it.start;
+    if(i===it.path.length-1) return it.end;
+    return null;
+  });
+}
+
+/** @param {Item[]} items */
+export function toGpx(items){
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="Timeline Trace (Local)" xmlns="http://www.topografix.com/GPX/1/1">`,
+  ];
+
+  // GPX wants waypoints before tracks
+  for(const it of items){
+    if(it.kind!=="visit" || !it.point) continue;
+    out.push(`  <wpt lat="${it.point.lat}" lon="${it.point.lng}">`);
+    out.push(`    <time>${iso(it.start)}</time>`);
+    out.push(`    <name>${xml(it.title)}</name>`);
+    if(it.subtitle) out.push(`    <desc>${xml(it.subtitle)}</desc>`);
+    if(it.end) out.push(`    <extensions><end>${iso(it.end)}</end></extensions>`);
+    out.push(`  </wpt>`);
+  }
+
+  for(const it of items){
+    if(it.kind!=="activity" || !it.path.length) continue;
+    const times = pathTimes(it);
+    out.push(`  <trk>`);
+    out.push(`    <name>${xml(it.title)}</name>`);
+    if(it.activityType) out.push(`    <type>${xml(it.activityType)}</type>`);
+    if(it.distanceMeters!=null) out.push(`    <extensions><distanceMeters>${it.distanceMeters}</distanceMeters></extensions>`);
+    // one segment per piece a privacy zone left (see pathParts)
+    let i = 0;
+    for(const part of pathParts(it)){
+      out.push(`    <trkseg>`);
+      for(const p of part){
+        const t = times[i++];
+        out.push(`      <trkpt lat="${p.lat}" lon="${p.lng}">${t ? `<time>${iso(t)}</time>` : ""}</trkpt>`);
+      }
+      out.push(`    </trkseg>`);
+    }
+    out.push(`  </trk>`);
+  }
+
+  // raw Records.json fixes become one track in time order
+  const raw = items.filter(it=>it.kind==="rawpoint" && it.point);
+  if(raw.length){
+    out.push(`  <trk>`);
+    out.push(`    <name>Raw location points</name>`);
+    out.push(`    <trkseg>`);
+    for(const it of raw){
+      out.push(`      <trkpt lat="${it.point.lat}" lon="${it.point.lng}"><time>${iso(it.start)}</time></trkpt>`);
+    }
+    out.push(`    </trkseg>`);
+    out.push(`  </trk>`);
+  }
+
+  out.push(`</gpx>`, ``);
+  return out.join("\n");
+}
+
+/** @param {Item} it */
+function kmlTime(it){
+  return it.end
+    ? `<TimeSpan><begin>${iso(it.start)}</begin><end>${iso(it.end)}</end></TimeSpan>`
+    : `<TimeStamp><when>${iso(it.start)}</when></TimeStamp>`;
+}
+
+/** @param {Record<string, any>} data */
+function kmlExtendedData(data){
+  const fields = Object.entries(data).filter(([,v])=>v!=null && v!=="");
+  if(!fields.length) return "";
+  return `<ExtendedData>${fields.map(([k,v])=>`<Data name="${xml(k)}"><value>${xml(v)}</value></Data>`).join("")}</ExtendedData>`;
+}
+
+/** @param {Item[]} items */
+export function toKml(items){
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">`,
+    `<Document>`,
+    `  <name>Timeline Trace (Local)</name>`,
+  ];
+
+  for(const it of items){
+    if(it.kind==="visit" && it.point){
+      out.push(`  <Placemark>`);
+      out.push(`    <name>${xml(it.title)}</name>`);
+      if(it.subtitle) out.push(`    <address>${xml(it.subtitle)}</address>`);
+      out.push(`    ${kmlTime(it)}`);
+      out.push(`    <Point><coordinates>${it.point.lng},${it.point.lat}</coordinates></Point>`);
+      out.push(`  </Placemark>`);
+    } else if(it.kind==="activity" && it.path.length){
+      out.push(`  <Placemark>`);
+      out.push(`    <name>${xml(it.title)}</name>`);
+      out.push(`    ${kmlTime(it)}`);
+      const ext = kmlExtendedData({ activityType: it.activityType, distanceMeters: it.distanceMeters });
+      if(ext) out.push(`    ${ext}`);
+      const lines = pathParts(it).filter(p=>p.length>=2)
+        .map(part=>`<LineString><tessellate>1</tessellate><coordinates>${part.map(p=>`${p.lng},${p.lat}`).join(" ")}</coordinates></LineString>`);
+      if(lines.length>1){
+        out.push(`    <MultiGeometry>${lines.join("")}</MultiGeometry>`);
+      } else if(lines.length){
+        out.push(`    ${lines[0]}`);
+      } else {
+        out.push(`    <Point><coordinates>${it.path[0].lng},${it.path[0].lat}</coordinates></Point>`);
+      }
+      out.push(`  </Placemark>`);
+    }
+  }
+
+  const raw = items.filter(it=>it.kind==="rawpoint" && it.point);
+  if(raw.length){
+    out.push(`  <Placemark>`);
+    out.push(`    <name>Raw location points</name>`);
+    out.push(`    <gx:Track>`);
+    for(const it of raw) out.push(`      <when>${iso(it.start)}</when>`);
+    for(const it of raw) out.push(`      <gx:coord>${it.point.lng} ${it.point.lat} 0</gx:coord>`);
+    out.push(`    </gx:Track>`);
+    out.push(`  </Placemark>`);
+  }
+
+  out.push(`</Document>`, `</kml>`, ``);
+  return out.join("\n");
+}
+
+/** @param {Item[]} items */
+export function toGeoJson(items){
+  const features = [];
+  for(const it of items){
+    const props = {
+      kind: it.kind,
+      title: it.title,
+      start: iso(it.start),
+      end: it.end ? iso(it.end) : null,
+      ...(it.note ? { note: it.note } : {}),
+    };
+    if(it.kind==="activity" && it.path.length){
+      const times = pathTimes(it).map(t=>t ? iso(t) : null);
+      const parts = it.pathBreaks?.length ? pathParts(it) : null;
+      features.push({
+        type:"Feature",
+        geometry: parts
+          ? { type:"MultiLineString", coordinates: parts.map(part=>part.map(p=>[p.lng,p.lat])) }
+          : it.path.length>=2
+          ? { type:"LineString", coordinates: it.path.map(p=>[p.lng,p.lat]) }
+          : { type:"Point", coordinates: [it.path[0].lng, it.path[0].lat] },
+        properties: {
+          ...props,
+          activityType: it.activityType,
+          distanceMeters: it.distanceMeters,
+          // same convention as togeojson / Strava exports
+          coordTimes: parts ? parts.map(part=>times.splice(0, part.length)) : times,
+        },
+      });
+    } else if(it.point){
+      features.push({
+        type:"Feature",
+        geometry: { type:"Point", coordinates: [it.point.lng, it.point.lat] },
+        properties: it.kind==="visit" ? { ...props, address: it.subtitle } : { ...props, subtitle: it.subtitle },
+      });
+    }
+  }
+  return JSON.stringify({ type:"FeatureCollection", features }, null, 2) + "\n";
+}
+
+function csvCell(v){
+  if(v==null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll("\"", "\"\"")}"` : s;
+}
+
+/** @param {(string|number|null)[][]} rows first row is the header */
+export function csvText(rows){
+  return rows.map(r=>r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/** @param {Item[]} items */
+export function toCsv(items){
+  const rows = [["kind","start","end","title","subtitle","activityType","distanceMeters","lat","lng","pathPoints"]];
+  for(const it of items){
+    const p = it.point || it.path[0] || null;
+    rows.push([
+      it.kind,
+      iso(it.start),
+      it.end ? iso(it.end) : "",
+      it.title,
+      it.subtitle,
+      it.activityType,
+      it.distanceMeters,
+      p ? p.lat : null,
+      p ? p.lng : null,
+      it.path.length || null,
+    ]);
+  }
+  return csvText(rows);
+}
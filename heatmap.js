@@ -0,0 +1,254 @@
+/* Timeline Trace (Local) - all-time heatmap
+ * Points are projected to Web Mercator once (computeHeatPoints), then every redraw only does
+ * one pass over typed arrays: accumulate into a coarse density grid, box-blur it and colorize.
+ * That keeps pans/zooms fast even with millions of Records.json points.
+ */
+
+import { pathParts } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+
+/**
+ * @typedef {Object} HeatFilter
+ * @property {number} fromDay dayKey, inclusive (0 = open)
+ * @property {number} toDay dayKey, inclusive (0 = open)
+ * @property {string} type "" = everything, "visit", "rawpoint", an activityType, or UNTYPED
+ */
+
+/** Filter value for activities without an activityType ("" already means everything) */
+export const UNTYPED = "-untyped";
+
+/**
+ * Mercator-projected points in [0,1] world units plus a weight each.
+ * @typedef {{xs:Float64Array, ys:Float64Array, ws:Float32Array, count:number}} HeatPoints
+ */
+
+const MAX_LAT = 85.0511287798;
+// long path segments get in-between points so a highway shows as a line, not two dots
+const PATH_STEP_DEG = 0.002;
+const PATH_MAX_STEPS = 64;
+
+function mercX(lng){ return (lng + 180) / 360; }
+function mercY(lat){
+  const s = Math.sin(Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI / 180);
+  return 0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI);
+}
+
+/** Visits weigh their dwell time in hours (so home outshines a café), within sane bounds */
+function visitWeight(it){
+  if(!it.end) return 1;
+  const h = (it.end.getTime() - it.start.getTime()) / 3600000;
+  return Math.max(0.25, Math.min(24, h));
+}
+
+/**
+ * @param {Item[]} items
+ * @param {ArrayLike<number>} itemDays dayKey of items[i]
+ * @param {HeatFilter} filter
+ * @returns {HeatPoints}
+ */
+export function computeHeatPoints(items, itemDays, filter){
+  let cap = 1024, count = 0;
+  let xs = new Float64Array(cap), ys = new Float64Array(cap), ws = new Float32Array(cap);
+  const push = (lat, lng, w)=>{
+    if(count===cap){
+      cap *= 2;
+      const nx = new Float64Array(cap); nx.set(xs); xs = nx;
+      const ny = new Float64Array(cap); ny.set(ys); ys = ny;
+      const nw = new Float32Array(cap); nw.set(ws); ws = nw;
+    }
+    xs[count] = mercX(lng);
+    ys[count] = mercY(lat);
+    ws[count] = w;
+    count++;
+  };
+
+  const { fromDay, toDay, type } = filter;
+  for(let i=0;i<items.length;i++){
+    const k = itemDays[i];
+    if((fromDay && k<fromDay) || (toDay && k>toDay)) continue;
+    const it = items[i];
+    if(type){
+      const t = it.kind==="activity" ? (it.activityType || UNTYPED) : it.kind;
+      if(t!==type) continue;
+    }
+    if(it.kind==="rawpoint"){
+      if(it.point) push(it.point.lat, it.point.lng, 1);
+    } else if(it.kind==="visit"){
+      if(it.point) push(it.point.lat, it.point.lng, visitWeight(it));
+    } else {
+      // nothing is filled in across a privacy zone (see pathParts)
+      for(const path of pathParts(it)){
+        for(let j=0;j<path.length;j++){
+          const p = path[j];
+          push(p.lat, p.lng, 1);
+          if(j===path.length-1) continue;
+          const q = path[j+1];
+          const steps = Math.min(PATH_MAX_STEPS, Math.floor(Math.max(Math.abs(q.lat-p.lat), Math.abs(q.lng-p.lng)) / PATH_STEP_DEG));
+          for(let s=1;s<steps;s++){
+            const f = s/steps;
+            push(p.lat + (q.lat-p.lat)*f, p.lng + (q.lng-p.lng)*f, 1);
+          }
+        }
+      }
+    }
+  }
+  return { xs, ys, ws, count };
+}
+
+/** 256-entry RGBA ramp: transparent blue → cyan → lime → yellow → red */
+function makePalette(){
+  const c = document.createElement("canvas");
+  c.width = 256;
+  c.height = 1;
+  const ctx = /** @type {CanvasRenderingContext2D} */ (c.getContext("2d"));
+  const g = ctx.createLinearGradient(0, 0, 256, 0);
+  g.addColorStop(0.0, "rgba(0,0,255,0)");
+  g.addColorStop(0.2, "rgba(0,90,255,0.55)");
+  g.addColorStop(0.4, "rgba(0,220,255,0.75)");
+  g.addColorStop(0.6, "rgba(60,255,60,0.85)");
+  g.addColorStop(0.8, "rgba(255,230,0,0.9)");
+  g.addColorStop(1.0, "rgba(255,30,0,0.95)");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, 256, 1);
+  return ctx.getImageData(0, 0, 256, 1).data;
+}
+
+/** In-place box blur of a w×h grid along rows, then columns (radius r cells) */
+function boxBlur(src, tmp, w, h, r){
+  const div = 2*r + 1;
+  for(let y=0;y<h;y++){
+    const row = y*w;
+    let acc = 0;
+    for(let x=-r;x<=r;x++) acc += src[row + Math.min(w-1, Math.max(0, x))];
+    for(let x=0;x<w;x++){
+      tmp[row+x] = acc / div;
+      acc += src[row + Math.min(w-1, x+r+1)] - src[row + Math.max(0, x-r)];
+    }
+  }
+  for(let x=0;x<w;x++){
+    let acc = 0;
+    for(let y=-r;y<=r;y++) acc += tmp[Math.min(h-1, Math.max(0, y))*w + x];
+    for(let y=0;y<h;y++){
+      src[y*w+x] = acc / div;
+      acc += tmp[Math.min(h-1, y+r+1)*w + x] - tmp[Math.max(0, y-r)*w + x];
+    }
+  }
+}
+
+/**
+ * Leaflet layer drawing HeatPoints on one canvas in its own pane (under paths and markers).
+ * Leaflet is a global loaded with defer, so the class is built on first use.
+ * @returns {any} layer with setPoints(points) and setOptions({radius, intensity})
+ */
+export function createHeatLayer(){
+  const L = window.L;
+  const HeatLayer = L.Layer.extend({
+    initialize(){
+      /** @type {HeatPoints|null} */
+      this._points = null;
+      this._radius = 18;
+      this._intensity = 1;
+      this._frame = 0;
+    },
+    setPoints(points){
+      this._points = points;
+      this._schedule();
+      return this;
+    },
+    setOptions({ radius, intensity }){
+      if(radius!=null) this._radius = radius;
+      if(intensity!=null) this._intensity = intensity;
+      this._schedule();
+      return this;
+    },
+    onAdd(map){
+      if(!map.getPane("heatmap")){
+        const pane = map.createPane("heatmap");
+        pane.style.zIndex = "350";
+        pane.style.pointerEvents = "none";
+      }
+      this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+      map.getPane("heatmap").appendChild(this._canvas);
+      map.on("moveend resize", this._reset, this);
+      this._reset();
+    },
+    onRemove(map){
+      map.off("moveend resize", this._reset, this);
+      cancelAnimationFrame(this._frame);
+      this._canvas.remove();
+      this._canvas = null;
+    },
+    _reset(){
+      const map = this._map;
+      const size = map.getSize();
+      L.DomUtil.setPosition(this._canvas, map.containerPointToLayerPoint([0,0]));
+      this._canvas.width = size.x;
+      this._canvas.height = size.y;
+      this._schedule();
+    },
+    _schedule(){
+      if(!this._map) return;
+      cancelAnimationFrame(this._frame);
+      this._frame = requestAnimationFrame(()=>this._draw());
+    },
+    _draw(){
+      const canvas = this._canvas;
+      if(!canvas) return;
+      const ctx = canvas.getContext("2d");
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      const pts = this._points;
+      if(!pts || !pts.count) return;
+
+      // density grid at 1/cell of screen resolution; the blur radius is in cells
+      const cell = this._radius>=12 ? 4 : 2;
+      const r = Math.max(1, Math.round(this._radius / cell / 2));
+      const pad = r*3;
+      const gw = Math.ceil(canvas.width / cell) + pad*2;
+      const gh = Math.ceil(canvas.height / cell) + pad*2;
+      const grid = new Float32Array(gw*gh);
+      const world = 256 * Math.pow(2, this._map.getZoom());
+      const origin = this._map.getPixelBounds().min;
+      const ox = origin.x - pad*cell, oy = origin.y - pad*cell;
+      const { xs, ys, ws, count } = pts;
+      for(let i=0;i<count;i++){
+        const gx = Math.floor((xs[i]*world - ox) / cell);
+        if(gx<0 || gx>=gw) continue;
+        const gy = Math.floor((ys[i]*world - oy) / cell);
+        if(gy<0 || gy>=gh) continue;
+        grid[gy*gw + gx] += ws[i];
+      }
+      const tmp = new Float32Array(gw*gh);
+      // three box blurs ≈ a gaussian
+      boxBlur(grid, tmp, gw, gh, r);
+      boxBlur(grid, tmp, gw, gh, r);
+      boxBlur(grid, tmp, gw, gh, r);
+
+      let max = 0;
+      for(let i=0;i<grid.length;i++) if(grid[i]>max) max = grid[i];
+      if(max<=0) return;
+      // log scale so a few very hot spots (home) don't wash out everything else
+      const norm = 1 / Math.log1p(max);
+      const palette = this._palette || (this._palette = makePalette());
+      const img = new ImageData(gw, gh);
+      const data = img.data;
+      for(let i=0;i<grid.length;i++){
+        const v = grid[i];
+        if(v<=0) continue;
+        const t = Math.min(1, Math.log1p(v) * norm * this._intensity);
+        const p = Math.round(t*255) * 4;
+        data[i*4] = palette[p];
+        data[i*4+1] = palette[p+1];
+        data[i*4+2] = palette[p+2];
+        data[i*4+3] = palette[p+3];
+      }
+      const off = this._offscreen || (this._offscreen = document.createElement("canvas"));
+      off.width = gw;
+      off.height = gh;
+      /** @type {CanvasRenderingContext2D} */ (off.getContext("2d")).putImageData(img, 0, 0);
+      ctx.imageSmoothingEnabled = true;
+      ctx.drawImage(off, -pad*cell, -pad*cell, gw*cell, gh*cell);
+    },
+  });
+  return new HeatLayer();
+}
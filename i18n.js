@@ -0,0 +1,961 @@
+/* Timeline Trace (Local) - localization
+ * Message catalog (English / Japanese) and locale-aware formatting of dates, times and distances.
+ * The active language and distance unit are module state, set by app.js from the user's settings;
+ * static texts in index.html carry data-i18n* attributes and are filled in by applyTranslations().
+ */
+
+/** @typedef {"en"|"ja"} LocaleId */
+/** @typedef {"km"|"mi"} DistanceUnit */
+
+export const LOCALES = [
+  { id: "en", label: "English" },
+  { id: "ja", label: "日本語" },
+];
+
+/**
+ * Messages by key. "{name}" is replaced by params.name; "one|other" picks by params.n.
+ * Keys missing in one language fall back to English.
+ * @type {Record<LocaleId, Record<string, string>>}
+ */
+const MESSAGES = {
+  en: {
+    "app.tagline": "JSON is processed locally in your browser",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+    "common.apply": "Apply",
+    "common.save": "Save",
+    "common.days": "{n} day|{n} days",
+    "common.items": "{n} item|{n} items",
+    "common.loadFirst": "Load a file first",
+
+    "format.none": "No file",
+    "format.label": "Format: {formats}",
+    "format.unknown": "unknown",
+
+    "file.pick": "📄 Open files",
+    "file.pickTitle": "Pick Google Maps Timeline JSON / Takeout zip / GPX / KML / GeoJSON / FIT (several at once)",
+    "file.folder": "📁 Folder",
+    "file.folderTitle": "Load a whole folder such as Semantic Location History",
+    "import.cancel": "✕ Cancel",
+    "import.cancelTitle": "Stop loading",
+    "import.progressFiles": "{name} ({loaded} / {total} files)",
+    "import.unsupported": "Supported: .json / .gpx / .kml / .geojson / .fit / Takeout .zip",
+    "import.nothingInZip": "No Location History / Timeline files were found in the zip",
+    "import.nothingFound": "Looked for Google Timeline / GPX / KML / GeoJSON / FIT",
+    "import.summary": "{items} items, {days} days",
+    "import.skipped": " ({n} file skipped)| ({n} files skipped)",
+    "import.skippedRecords": " · {n} record dropped, see the import report| · {n} records dropped, see the import report",
+    "import.notSaved": "Could not save in this browser: {error}",
+    "nav.prev": "◀ Prev",
+    "nav.prevTitle": "Previous day with data (Alt + ←)",
+    "nav.next": "Next ▶",
+    "nav.nextTitle": "Next day with data (Alt + →)",
+
+    "prefs.title": "Language, week start and distance units",
+    "prefs.heading": "Settings",
+    "prefs.language": "Language",
+    "prefs.weekStart": "Week starts on",
+    "prefs.units": "Distance",
+    "prefs.auto": "Automatic ({value})",
+    "prefs.km": "Kilometers (km)",
+    "prefs.mi": "Miles (mi)",
+    "prefs.hint": "Automatic follows the language and region of this browser",
+
+    "summary.heading": "Summary",
+    "summary.items": "Loaded items",
+    "summary.days": "Available days",
+    "summary.selected": "Selected day",
+    "summary.report": "Import report",
+    "report.open": "🩺 Open",
+    "report.openTitle": "What the import read and dropped, and data-quality findings",
+    "report.heading": "Import report",
+    "report.files": "Files",
+    "report.file": "File",
+    "report.format": "Format",
+    "report.read": "Read",
+    "report.converted": "Items",
+    "report.skipped": "Dropped",
+    "report.reason.noTime": "no valid start time",
+    "report.reason.noCoordinates": "no coordinates",
+    "report.reason.timelineMemory": "timelineMemory (trip summaries, not imported)",
+    "report.reason.unsupported": "neither a visit nor an activity",
+    "report.skipLine": "{n} × {reason}",
+    "report.unknownFormat": "Not a supported format; nothing was read",
+    "report.error": "Could not be read: {error}",
+    "report.unknownKeys": "Unknown top-level keys: {keys}",
+    "report.ignoredKeys": "Not imported: {keys}",
+    "report.duplicates": "{n} duplicate item dropped (the same segment was in several files)|{n} duplicate items dropped (the same segment was in several files)",
+    "report.noCounts": "Import counts are only kept for imports made with this version. Import the files again to see them.",
+    "report.none": "Nothing loaded yet.",
+    "report.quality": "Data quality",
+    "report.all": "All",
+    "report.kind.gap": "Gaps",
+    "report.kind.overlap": "Overlaps",
+    "report.kind.speed": "Impossible speeds",
+    "report.kind.jump": "Jumps",
+    "report.gap": "No data for {duration}",
+    "report.overlap": "Overlaps the item before by {duration}",
+    "report.speed": "{speed} on average over {distance}",
+    "report.jump": "Jumps {distance} at {speed}",
+    "report.clean": "No gaps, overlaps or impossible speeds found.",
+    "report.more": "…and {n} more",
+    "report.qualityHint": "Gaps: no data for {duration} or more next to a visit. Speeds and jumps: faster than {speed}. Click a finding to show its day.",
+    "report.local": "Findings reflect your edits and privacy zones",
+    "summary.privacy": "<b>Privacy note</b><br/>This app does not upload your JSON anywhere. It runs entirely in your browser.<br/>Loaded data is saved only in this browser's storage (IndexedDB) so it can be reopened later.<br/>However, map tiles are fetched from a tile server (OpenStreetMap by default) to display the map background, unless a local PMTiles / MBTiles file is chosen in 🗺 Map.",
+
+    "search.heading": "Search",
+    "search.placeholder": "Search places, addresses and transport (e.g. ramen, walking)",
+    "search.none": "Nothing found for “{query}”.",
+    "search.count": "{n} result|{n} results",
+    "search.countLimited": "{n} results ({limit} newest shown)",
+
+    "library.heading": "Library",
+    "library.empty": "No saved data.",
+    "library.rename": "Rename",
+    "library.delete": "Delete",
+    "library.namePrompt": "Dataset name",
+    "library.deleteConfirm": "Delete “{name}” from this browser?",
+
+    "edits.heading": "Edits",
+    "edits.export": "⤓ Export",
+    "edits.exportTitle": "Save edits and notes as JSON (load them again after a re-import to get them back)",
+    "edits.import": "⤒ Import",
+    "edits.importTitle": "Load an exported edits file",
+    "edits.restore": "Undo deletions",
+    "edits.restoreTitle": "Show every deleted item again",
+    "edits.clear": "Clear all",
+    "edits.summary": "{items} item edits · {days} day notes",
+    "edits.none": "No edits. Use ✎ in the list to fix titles, places and transport, delete, split or add notes.",
+    "edits.clearConfirm": "Delete all edits and notes? (Export them first to load them back later)",
+    "edits.imported": "{n} edit or note imported|{n} edits and notes imported",
+    "edits.splitOutside": "The split time must lie between the start and end of this item",
+
+    "places.heading": "Places",
+    "places.placeholder": "Filter by place name or address",
+    "places.noData": "Load a file to list the places you visited.",
+    "places.noMatch": "No matching places.",
+    "places.noVisits": "No visit data.",
+    "places.visits": "{n} visit|{n} visits",
+    "places.more": "Show more ({n} left)",
+    "places.showDay": "Show this day",
+
+    "header.noData": "No data",
+    "header.pickFile": "Choose a file",
+    "header.range": "{span} ({n} with data)",
+    "header.compare": "Trips matched by where they start and end",
+    "time.local": "🕒 Local time",
+    "time.home": "🏠 Home time",
+    "time.localTitle": "Showing times where each event happened (click for this browser's time)",
+    "time.homeTitle": "Showing times in this browser's time zone (click for local times)",
+    "stats.button": "📊 Stats",
+    "stats.buttonTitle": "Distance, time and most visited places",
+    "compare.button": "⇄ Compare",
+    "compare.buttonTitle": "Compare days: overlay their paths and line up their trips",
+    "compare.heading": "Comparing {n} day|Comparing {n} days",
+    "compare.pick": "Click days in the calendar to add or remove them (two or more).",
+    "compare.sameWeekday": "＋ Every {weekday} in {month}",
+    "compare.workdays": "＋ Weekdays in {month}",
+    "compare.clear": "Clear",
+    "compare.timelines": "Timelines",
+    "compare.trips": "Same trips",
+    "compare.noTrips": "No trips between the same places on these days.",
+    "compare.depart": "Departs",
+    "compare.arrive": "Arrives",
+    "compare.duration": "Duration",
+    "compare.reference": "Differences are to the first day with the trip",
+    "export.button": "⤓ Export",
+    "export.buttonTitle": "Export as GPX / KML / GeoJSON / CSV",
+
+    "filter.activity": "🚶 Moves",
+    "filter.visit": "📍 Stays",
+    "filter.rawpoint": "• Raw data",
+    "filter.min": "Min",
+    "filter.reset": "Reset",
+    "unit.min": "min",
+
+    "calendar.empty": "Load a file to see the calendar.",
+    "calendar.hint": "Dark days have data / Shift+click or drag for a range",
+    "calendar.yearHint": "Darker = more {metric} / click a month to open it",
+    "calendar.month": "Month",
+    "calendar.year": "Year",
+    "calendar.distance": "Distance",
+    "calendar.count": "Items",
+    "calendar.prevYear": "Previous year (Shift + PageUp)",
+    "calendar.prevMonth": "Previous month (PageUp)",
+    "calendar.nextMonth": "Next month (PageDown)",
+    "calendar.nextYear": "Next year (Shift + PageDown)",
+    "calendar.prevYearOnly": "Previous year (PageUp)",
+    "calendar.nextYearOnly": "Next year (PageDown)",
+    "calendar.toSelection": "Back to the selected day",
+    "calendar.less": "Less",
+    "calendar.more": "More",
+
+    "list.pickFile": "Choose a file.",
+    "list.noDataDay": "No data on this day.",
+    "list.noDataRange": "No data in this period.",
+    "list.edited": "edited",
+    "list.editedTitle": "Edited by hand",
+    "list.edit": "Edit / note",
+    "list.showDay": "Show only this day",
+    "list.editDayNote": "Edit this day's note",
+    "list.addDayNote": "📝 Add a note for this day",
+    "list.dayNotePrompt": "Note for {day}",
+
+    "footer.tips": "Tips: Alt + ← / → moves to the previous / next day with data. PageUp / PageDown browse the calendar by month (with Shift, by year).<br/>Shift+click or drag in the calendar to show several days on the map and in the list.<br/>Monthly Semantic Location History files can be loaded together by picking several, a folder, or by drag &amp; drop. Takeout zips open as they are (unpacked in the browser).<br/>GPX / KML / GeoJSON / FIT from GPS loggers and bike computers show up in the same calendar.<br/>The PWA is registered with relative paths so it also works under a GitHub Pages sub path.",
+
+    "map.tiles": "🗺 Map",
+    "map.tilesTitle": "Map settings (renderer / tile server / local file / cache)",
+    "map.heat": "🔥 Heatmap",
+    "map.heatTitle": "Heatmap of everything loaded",
+    "map.unavailable": "Map unavailable",
+    "map.mapLibreUnavailable": "MapLibre unavailable",
+    "map.leafletFallback": "{error} (using Leaflet)",
+    "heat.radius": "Radius",
+    "heat.intensity": "Intensity",
+    "heat.period": "Period",
+    "heat.type": "Type",
+    "heat.all": "All",
+    "heat.visits": "📍 Stays (weighted by duration)",
+    "heat.raw": "• Raw location data",
+    "heat.points": "{n} points",
+
+    "privacy.button": "🔒 Privacy",
+    "privacy.buttonTitle": "Privacy zones: hide or rename places and cut paths around them",
+    "privacy.heading": "Privacy zones",
+    "privacy.apply": "Mask the zones everywhere (map, list, search, statistics and exports)",
+    "privacy.show": "Outline the zones on the map",
+    "privacy.none": "No zones yet. Place one on the map, or add a place Google labelled as home or work.",
+    "privacy.name": "Name",
+    "privacy.radius": "Radius",
+    "privacy.rename": "Rename visits",
+    "privacy.hide": "Hide visits",
+    "privacy.remove": "Remove this zone",
+    "privacy.draw": "＋ Place on the map",
+    "privacy.labeled": "Places labelled by Google:",
+    "privacy.noLabeled": "No visits labelled home / work in the loaded data (files imported before this version do not keep the label).",
+    "privacy.labeledPlace": "{label} · {n} visit|{label} · {n} visits",
+    "privacy.HOME": "🏠 Home",
+    "privacy.WORK": "🏢 Work",
+    "privacy.nameHOME": "Home",
+    "privacy.nameWORK": "Work",
+    "privacy.newZone": "Private zone {n}",
+    "privacy.local": "Zones are kept in this browser only",
+    "privacy.placing": "Click the map at the center of the new zone (Esc to cancel)",
+    "privacy.badge": "🔒 Privacy zones on · {n} item masked|🔒 Privacy zones on · {n} items masked",
+    "play.title": "Play / pause",
+    "play.slider": "Time",
+    "play.speed": "Playback speed",
+
+    "zip.heading": "Takeout zip contents",
+    "zip.load": "Load",
+    "zip.none": "No supported files were found.",
+    "zip.found": "{n} file found|{n} files found",
+
+    "export.heading": "Export",
+    "export.selection": "Selected day / period",
+    "export.range": "Period",
+    "export.all": "Everything",
+    "export.filterHint": "Items hidden by the filters are not exported",
+    "export.privacyHint": "🔒 The privacy zones are masked in the exported file",
+    "export.format": "Format",
+    "export.local": "Files are created in this browser",
+    "export.download": "Download",
+    "export.pickRange": "Choose a period",
+    "export.emptyRange": "No data in this period",
+    "export.done": "{n} items → {file}",
+
+    "stats.heading": "Statistics",
+    "stats.week": "Week",
+    "stats.month": "Month",
+    "stats.year": "Year",
+    "stats.local": "Charts are drawn in this browser",
+    "stats.csvTitle": "Export every period of the chosen unit (week / month / year) as CSV",
+    "stats.noData": "No data.",
+    "stats.distance": "Distance",
+    "stats.movingTime": "Moving time",
+    "stats.placeTime": "Time at places",
+    "stats.daysWithData": "Days with data",
+    "stats.byMode": "Distance by transport",
+    "stats.noMoves": "No movement data",
+    "stats.moveVsStay": "Moving vs staying",
+    "stats.moving": "Moving",
+    "stats.staying": "Staying",
+    "stats.noTime": "No time data",
+    "stats.topPlaces": "Most visited places",
+    "stats.noStays": "No visit data",
+    "stats.daily": "Distance per day",
+    "stats.times": "{n}×",
+    "stats.exported": "{n} periods → {file}",
+
+    "edit.heading": "Edit / note",
+    "edit.title": "Title",
+    "edit.subtitle": "Place / address",
+    "edit.type": "Transport",
+    "edit.split": "Split at",
+    "edit.note": "Note",
+    "edit.delete": "🗑 Delete",
+    "edit.deleteTitle": "Hide this item (bring it back with “Undo deletions” under Edits)",
+    "edit.revert": "Revert",
+    "edit.revertTitle": "Undo the edits of this item",
+    "edit.local": "Edits are saved in this browser",
+
+    "tiles.heading": "Map settings",
+    "tiles.renderer": "Renderer",
+    "tiles.rendererHint": "MapLibre GL draws with WebGL and can use vector tile styles (the library is downloaded the first time)",
+    "tiles.server": "Tile server",
+    "tiles.preset": "Preset",
+    "tiles.attribution": "Attribution",
+    "tiles.file": "Local file (raster PMTiles / MBTiles)",
+    "tiles.pickFile": "Choose file",
+    "tiles.style": "Vector style (MapLibre GL only)",
+    "tiles.cache": "Cache viewed tiles (shown offline too)",
+    "tiles.clearCache": "Clear cache",
+    "tiles.localHint": "Local files are read inside this browser",
+    "tiles.custom": "Custom",
+    "tiles.preset.gsi": "GSI tiles (standard)",
+    "tiles.preset.gsi-photo": "GSI tiles (photo)",
+    "tiles.notLoaded": "{name} (not loaded)",
+    "tiles.unreadable": "Cannot read: {error}",
+    "tiles.noCacheSupport": "This browser cannot cache tiles",
+    "tiles.cached": "{n} tiles cached",
+    "tiles.needXYZ": "The URL must contain {z} {x} {y}",
+    "tiles.needMapLibre": "Choose MapLibre GL for vector styles",
+    "tiles.needStyleUrl": "Enter the URL of a style.json",
+    "tiles.needFile": "Choose a PMTiles / MBTiles file",
+    "tiles.noStoredFile": "No tile file is saved",
+    "tiles.fallback": "{error} (showing the tile server map)",
+    "tiles.styleNeedsMapLibre": "Vector styles are only shown by MapLibre GL (showing the tile server map)",
+    "tiles.notSaved": "Choose it again next time: {error}",
+
+    "toast.noFiles": "No supported files",
+    "toast.noData": "No supported data found",
+    "toast.importCancelled": "Import cancelled",
+    "toast.importError": "Import error",
+    "toast.loaded": "Loaded",
+    "toast.loadedNotSaved": "Loaded (not saved)",
+    "toast.editsNotSaved": "Could not save edits",
+    "toast.editsUnreadable": "Could not read edits",
+    "toast.editsImported": "Edits imported",
+    "toast.deleted": "Deleted",
+    "toast.split": "Split",
+    "toast.openFailed": "Could not open dataset",
+    "toast.notFound": "Dataset not found",
+    "toast.nothingToExport": "Nothing to export",
+    "toast.export": "Export",
+    "toast.exported": "Exported",
+    "toast.noStats": "No statistics",
+    "toast.styleUnavailable": "Vector style unavailable",
+    "toast.localTilesUnavailable": "Local tiles unavailable",
+    "toast.backgroundUnavailable": "Map background unavailable",
+    "toast.tiles": "Map tiles",
+    "toast.style": "Map style",
+    "toast.tileFileNotSaved": "Tile file not saved",
+
+    "dur.hours": "{n} h",
+    "dur.minutes": "{n} min",
+
+    "item.move": "Move",
+    "item.moved": "{distance} moved",
+    "item.unknownPlace": "Unknown place",
+    "item.unknownAddress": "Unknown address",
+    "item.visit": "Visit",
+    "item.inferredStay": "Stay (inferred)",
+    "item.private": "Private place",
+    "mode.unknown": "Unknown",
+  },
+
+  ja: {
+    "app.tagline": "JSON はブラウザ内で処理されます",
+    "common.cancel": "キャンセル",
+    "common.close": "閉じる",
+    "common.apply": "適用",
+    "common.save": "保存",
+    "common.days": "{n}日",
+    "common.items": "{n} 件",
+    "common.loadFirst": "先にファイルを読み込んでください",
+
+    "format.none": "ファイルなし",
+    "format.label": "形式: {formats}",
+    "format.unknown": "不明",
+
+    "file.pick": "📄 ファイルを選ぶ",
+    "file.pickTitle": "Google Maps Timeline JSON / Takeout zip / GPX / KML / GeoJSON / FIT を選択 (複数可)",
+    "file.folder": "📁 フォルダ",
+    "file.folderTitle": "Semantic Location History などのフォルダをまとめて読み込む",
+    "import.cancel": "✕ 中止",
+    "import.cancelTitle": "読み込みを中止",
+    "import.progressFiles": "{name} ({loaded} / {total} ファイル)",
+    "import.unsupported": "対応しているのは .json / .gpx / .kml / .geojson / .fit / Takeout .zip です",
+    "import.nothingInZip": "zip 内に Location History / Timeline などのファイルが見つかりませんでした",
+    "import.nothingFound": "Google Timeline / GPX / KML / GeoJSON / FIT を探しました",
+    "import.summary": "{items} 件 · {days}日",
+    "import.skipped": " ({n} ファイルをスキップ)",
+    "import.skippedRecords": " · {n} 件のレコードを除外 (取り込みレポート参照)",
+    "import.notSaved": "ブラウザに保存できませんでした: {error}",
+    "nav.prev": "◀ 前",
+    "nav.prevTitle": "前の有効日へ (Alt + ←)",
+    "nav.next": "次 ▶",
+    "nav.nextTitle": "次の有効日へ (Alt + →)",
+
+    "prefs.title": "言語・週の始まり・距離の単位",
+    "prefs.heading": "設定",
+    "prefs.language": "言語",
+    "prefs.weekStart": "週の始まり",
+    "prefs.units": "距離の単位",
+    "prefs.auto": "自動 ({value})",
+    "prefs.km": "キロメートル (km)",
+    "prefs.mi": "マイル (mi)",
+    "prefs.hint": "自動はこのブラウザの言語・地域に従います",
+
+    "summary.heading": "概要",
+    "summary.items": "読み込んだ項目",
+    "summary.days": "データのある日",
+    "summary.selected": "選択中の日",
+    "summary.report": "取り込みレポート",
+    "report.open": "🩺 開く",
+    "report.openTitle": "取り込みで読んだ・除外したデータと、データ品質のチェック結果",
+    "report.heading": "取り込みレポート",
+    "report.files": "ファイル",
+    "report.file": "ファイル",
+    "report.format": "形式",
+    "report.read": "読み込み",
+    "report.converted": "項目",
+    "report.skipped": "除外",
+    "report.reason.noTime": "開始時刻が不正",
+    "report.reason.noCoordinates": "座標なし",
+    "report.reason.timelineMemory": "timelineMemory (旅行のまとめ、取り込み対象外)",
+    "report.reason.unsupported": "訪問でも移動でもない",
+    "report.skipLine": "{n} 件: {reason}",
+    "report.unknownFormat": "対応していない形式のため読み込んでいません",
+    "report.error": "読み込めませんでした: {error}",
+    "report.unknownKeys": "不明なトップレベルのキー: {keys}",
+    "report.ignoredKeys": "取り込み対象外: {keys}",
+    "report.duplicates": "重複した {n} 件を除外 (同じ区間が複数のファイルにありました)",
+    "report.noCounts": "取り込み時の件数はこのバージョン以降の取り込みでのみ記録されます。見るにはファイルを取り込み直してください。",
+    "report.none": "まだ何も読み込まれていません。",
+    "report.quality": "データ品質",
+    "report.all": "すべて",
+    "report.kind.gap": "空白",
+    "report.kind.overlap": "重なり",
+    "report.kind.speed": "ありえない速度",
+    "report.kind.jump": "位置の飛び",
+    "report.gap": "{duration} データなし",
+    "report.overlap": "前の項目と {duration} 重なっています",
+    "report.speed": "{distance} を平均 {speed}",
+    "report.jump": "{distance} を {speed} で移動",
+    "report.clean": "空白・重なり・ありえない速度は見つかりませんでした。",
+    "report.more": "…ほか {n} 件",
+    "report.qualityHint": "空白: 訪問の前後で {duration} 以上データがない。速度・飛び: {speed} より速い。クリックでその日を表示します。",
+    "report.local": "チェック結果は修正とプライバシーゾーンを反映しています",
+    "summary.privacy": "<b>プライバシー</b><br/>このアプリは JSON をどこにもアップロードしません。すべてブラウザ内で動作します。<br/>読み込んだデータは後で開き直せるよう、このブラウザのストレージ (IndexedDB) にだけ保存されます。<br/>ただし地図の背景は、🗺 地図 でローカルの PMTiles / MBTiles ファイルを選ばない限り、タイルサーバー (既定は OpenStreetMap) から取得します。",
+
+    "search.heading": "検索",
+    "search.placeholder": "場所・住所・移動手段を検索 (例: ラーメン, walking)",
+    "search.none": "「{query}」は見つかりませんでした。",
+    "search.count": "{n}件",
+    "search.countLimited": "{n}件 (新しい順に {limit}件を表示)",
+
+    "library.heading": "ライブラリ",
+    "library.empty": "保存済みのデータはありません。",
+    "library.rename": "名前を変更",
+    "library.delete": "削除",
+    "library.namePrompt": "データセット名",
+    "library.deleteConfirm": "「{name}」をこのブラウザから削除しますか？",
+
+    "edits.heading": "修正",
+    "edits.export": "⤓ 書き出す",
+    "edits.exportTitle": "修正とメモを JSON に書き出す (再インポート後に読み込めば元に戻せます)",
+    "edits.import": "⤒ 読み込む",
+    "edits.importTitle": "書き出した修正ファイルを読み込む",
+    "edits.restore": "削除を取り消す",
+    "edits.restoreTitle": "削除した項目をすべて表示に戻す",
+    "edits.clear": "すべて消去",
+    "edits.summary": "項目の修正 {items} 件 · 日のメモ {days} 件",
+    "edits.none": "修正はありません。リストの ✎ でタイトル・場所・移動手段の修正、削除、分割、メモができます。",
+    "edits.clearConfirm": "すべての修正とメモを削除しますか？ (先に書き出しておくと後で読み込めます)",
+    "edits.imported": "{n} 件の修正・メモを読み込みました",
+    "edits.splitOutside": "分割する時刻はこの項目の開始〜終了の間にしてください",
+
+    "places.heading": "訪れた場所",
+    "places.placeholder": "場所の名前・住所で絞り込む",
+    "places.noData": "ファイルを読み込むと訪れた場所の一覧が表示されます。",
+    "places.noMatch": "一致する場所はありません。",
+    "places.noVisits": "滞在 (visit) データがありません。",
+    "places.visits": "{n}回",
+    "places.more": "さらに表示 (残り {n})",
+    "places.showDay": "この日を表示",
+
+    "header.noData": "データなし",
+    "header.pickFile": "ファイルを選んでください",
+    "header.range": "{span}間 (データあり {n})",
+    "header.compare": "出発地と目的地が同じ移動を並べて比較",
+    "time.local": "🕒 現地時間",
+    "time.home": "🏠 ホーム時間",
+    "time.localTitle": "各イベントが起きた場所の時刻で表示中 (クリックでこのブラウザの時刻に切替)",
+    "time.homeTitle": "このブラウザのタイムゾーンで表示中 (クリックで現地時刻に切替)",
+    "stats.button": "📊 統計",
+    "stats.buttonTitle": "移動距離・時間・よく行った場所の統計",
+    "compare.button": "⇄ 比較",
+    "compare.buttonTitle": "日を比べる: 経路を重ねて表示し、移動を時刻で並べる",
+    "compare.heading": "{n} 日を比較",
+    "compare.pick": "カレンダーで日をクリックして追加・削除します (2 日以上)。",
+    "compare.sameWeekday": "＋ {month}の{weekday}すべて",
+    "compare.workdays": "＋ {month}の平日すべて",
+    "compare.clear": "クリア",
+    "compare.timelines": "タイムライン",
+    "compare.trips": "同じ移動",
+    "compare.noTrips": "これらの日に同じ場所どうしの移動はありません。",
+    "compare.depart": "出発",
+    "compare.arrive": "到着",
+    "compare.duration": "所要時間",
+    "compare.reference": "差はその移動がある最初の日との比較です",
+    "export.button": "⤓ 書き出し",
+    "export.buttonTitle": "GPX / KML / GeoJSON / CSV に書き出す",
+
+    "filter.activity": "🚶 移動",
+    "filter.visit": "📍 滞在",
+    "filter.rawpoint": "• 生データ",
+    "filter.min": "最短",
+    "filter.reset": "リセット",
+    "unit.min": "分",
+
+    "calendar.empty": "ファイルを読み込むとカレンダーが表示されます。",
+    "calendar.hint": "濃い日 = データあり / Shift+クリック・ドラッグで期間",
+    "calendar.yearHint": "濃いほど{metric}が多い日 / 月名のクリックでその月へ",
+    "calendar.month": "月",
+    "calendar.year": "年",
+    "calendar.distance": "移動距離",
+    "calendar.count": "件数",
+    "calendar.prevYear": "前の年 (Shift + PageUp)",
+    "calendar.prevMonth": "前の月 (PageUp)",
+    "calendar.nextMonth": "次の月 (PageDown)",
+    "calendar.nextYear": "次の年 (Shift + PageDown)",
+    "calendar.prevYearOnly": "前の年 (PageUp)",
+    "calendar.nextYearOnly": "次の年 (PageDown)",
+    "calendar.toSelection": "選択中の日に戻る",
+    "calendar.less": "少",
+    "calendar.more": "多",
+
+    "list.pickFile": "ファイルを選んでください。",
+    "list.noDataDay": "この日はデータがありません。",
+    "list.noDataRange": "この期間はデータがありません。",
+    "list.edited": "修正済み",
+    "list.editedTitle": "手動で修正済み",
+    "list.edit": "修正・メモ",
+    "list.showDay": "この日だけを表示",
+    "list.editDayNote": "この日のメモを編集",
+    "list.addDayNote": "📝 この日のメモを追加",
+    "list.dayNotePrompt": "{day} のメモ",
+
+    "footer.tips": "Tips: Alt + ← / → で前後の有効日に移動できます。PageUp / PageDown でカレンダーを月ごと (Shift 付きで年ごと) にめくれます。<br/>カレンダーで Shift+クリック またはドラッグすると、複数日をまとめて地図とリストに表示できます。<br/>月ごとの Semantic Location History は複数選択・フォルダ選択・ドラッグ&amp;ドロップでまとめて読み込めます。Takeout の zip もそのまま開けます (ブラウザ内で展開)。<br/>GPS ロガーやサイクルコンピュータの GPX / KML / GeoJSON / FIT も同じカレンダーに表示できます。<br/>GitHub Pages のサブパス配信でも動くように、相対パスでPWA登録しています。",
+
+    "map.tiles": "🗺 地図",
+    "map.tilesTitle": "地図の設定 (描画エンジン / タイルサーバー / ローカルファイル / キャッシュ)",
+    "map.heat": "🔥 ヒートマップ",
+    "map.heatTitle": "読み込んだ全期間のヒートマップを表示",
+    "map.unavailable": "地図を表示できません",
+    "map.mapLibreUnavailable": "MapLibre を使えません",
+    "map.leafletFallback": "{error} (Leaflet で表示します)",
+    "heat.radius": "半径",
+    "heat.intensity": "強さ",
+    "heat.period": "期間",
+    "heat.type": "種類",
+    "heat.all": "すべて",
+    "heat.visits": "📍 滞在 (滞在時間で重み付け)",
+    "heat.raw": "• 生の位置データ",
+    "heat.points": "{n} 点",
+
+    "privacy.button": "🔒 プライバシー",
+    "privacy.buttonTitle": "プライバシーゾーン: 場所を隠す・名前を変える、経路をゾーンの手前で切る",
+    "privacy.heading": "プライバシーゾーン",
+    "privacy.apply": "ゾーン内を隠す (地図・リスト・検索・統計・書き出しすべて)",
+    "privacy.show": "ゾーンを地図上に表示する",
+    "privacy.none": "ゾーンはまだありません。地図上に置くか、Google が自宅・職場とした場所から追加できます。",
+    "privacy.name": "名前",
+    "privacy.radius": "半径",
+    "privacy.rename": "訪問の名前を変える",
+    "privacy.hide": "訪問を隠す",
+    "privacy.remove": "このゾーンを削除",
+    "privacy.draw": "＋ 地図上に置く",
+    "privacy.labeled": "Google が名前を付けた場所:",
+    "privacy.noLabeled": "読み込んだデータに自宅・職場の訪問はありません (このバージョンより前に読み込んだファイルにはラベルが残っていません)。",
+    "privacy.labeledPlace": "{label} · {n} 回",
+    "privacy.HOME": "🏠 自宅",
+    "privacy.WORK": "🏢 職場",
+    "privacy.nameHOME": "自宅",
+    "privacy.nameWORK": "職場",
+    "privacy.newZone": "非公開ゾーン {n}",
+    "privacy.local": "ゾーンはこのブラウザにだけ保存されます",
+    "privacy.placing": "新しいゾーンの中心を地図上でクリック (Esc で中止)",
+    "privacy.badge": "🔒 プライバシーゾーン適用中 · {n} 件を非表示・変更",
+    "play.title": "再生 / 一時停止",
+    "play.slider": "時刻",
+    "play.speed": "再生速度",
+
+    "zip.heading": "Takeout zip の中身",
+    "zip.load": "読み込む",
+    "zip.none": "対応するファイルが見つかりませんでした。",
+    "zip.found": "{n} 個のファイル",
+
+    "export.heading": "書き出し",
+    "export.selection": "選択中の日 / 期間",
+    "export.range": "期間",
+    "export.all": "すべて",
+    "export.filterHint": "フィルタで非表示の項目は書き出されません",
+    "export.privacyHint": "🔒 プライバシーゾーン内は隠した状態で書き出されます",
+    "export.format": "形式",
+    "export.local": "ファイルはこのブラウザ内で作成されます",
+    "export.download": "ダウンロード",
+    "export.pickRange": "期間を指定してください",
+    "export.emptyRange": "この期間にはデータがありません",
+    "export.done": "{n} 件 → {file}",
+
+    "stats.heading": "統計",
+    "stats.week": "週",
+    "stats.month": "月",
+    "stats.year": "年",
+    "stats.local": "グラフはこのブラウザ内で描画されます",
+    "stats.csvTitle": "選んだ単位 (週/月/年) の全期間を CSV に書き出す",
+    "stats.noData": "データがありません。",
+    "stats.distance": "移動距離",
+    "stats.movingTime": "移動時間",
+    "stats.placeTime": "滞在時間",
+    "stats.daysWithData": "データのある日",
+    "stats.byMode": "移動手段別の距離",
+    "stats.noMoves": "移動データなし",
+    "stats.moveVsStay": "移動 vs 滞在",
+    "stats.moving": "移動",
+    "stats.staying": "滞在",
+    "stats.noTime": "時間データなし",
+    "stats.topPlaces": "よく行った場所",
+    "stats.noStays": "滞在データなし",
+    "stats.daily": "日別の移動距離",
+    "stats.times": "{n}回",
+    "stats.exported": "{n} 期間 → {file}",
+
+    "edit.heading": "修正・メモ",
+    "edit.title": "タイトル",
+    "edit.subtitle": "場所 / 住所",
+    "edit.type": "移動手段",
+    "edit.split": "この時刻で分割",
+    "edit.note": "メモ",
+    "edit.delete": "🗑 削除",
+    "edit.deleteTitle": "この項目を非表示にする (修正の「削除を取り消す」で戻せます)",
+    "edit.revert": "元に戻す",
+    "edit.revertTitle": "この項目の修正を取り消す",
+    "edit.local": "修正はこのブラウザに保存されます",
+
+    "tiles.heading": "地図の設定",
+    "tiles.renderer": "描画エンジン",
+    "tiles.rendererHint": "MapLibre GL は WebGL で描画し、ベクタータイルのスタイルも使えます (初回はライブラリを読み込みます)",
+    "tiles.server": "タイルサーバー",
+    "tiles.preset": "プリセット",
+    "tiles.attribution": "帰属表示",
+    "tiles.file": "ローカルファイル (ラスターの PMTiles / MBTiles)",
+    "tiles.pickFile": "ファイルを選ぶ",
+    "tiles.style": "ベクタースタイル (MapLibre GL のみ)",
+    "tiles.cache": "表示したタイルをキャッシュする (オフラインでも表示)",
+    "tiles.clearCache": "キャッシュを削除",
+    "tiles.localHint": "ローカルファイルはこのブラウザ内で読み込まれます",
+    "tiles.custom": "カスタム",
+    "tiles.preset.gsi": "地理院タイル (標準地図)",
+    "tiles.preset.gsi-photo": "地理院タイル (写真)",
+    "tiles.notLoaded": "{name} (未読み込み)",
+    "tiles.unreadable": "読み込めません: {error}",
+    "tiles.noCacheSupport": "このブラウザではタイルをキャッシュできません",
+    "tiles.cached": "キャッシュ済み {n} タイル",
+    "tiles.needXYZ": "URL には {z} {x} {y} を含めてください",
+    "tiles.needMapLibre": "ベクタースタイルには MapLibre GL を選んでください",
+    "tiles.needStyleUrl": "style.json の URL を入力してください",
+    "tiles.needFile": "PMTiles / MBTiles ファイルを選んでください",
+    "tiles.noStoredFile": "タイルファイルが保存されていません",
+    "tiles.fallback": "{error} (タイルサーバーの地図を表示します)",
+    "tiles.styleNeedsMapLibre": "ベクタースタイルは MapLibre GL でのみ表示できます (タイルサーバーの地図を表示します)",
+    "tiles.notSaved": "次回は選び直してください: {error}",
+
+    "toast.noFiles": "対応していないファイルです",
+    "toast.noData": "対応するデータが見つかりません",
+    "toast.importCancelled": "読み込みを中止しました",
+    "toast.importError": "読み込みエラー",
+    "toast.loaded": "読み込みました",
+    "toast.loadedNotSaved": "読み込みました (未保存)",
+    "toast.editsNotSaved": "修正を保存できません",
+    "toast.editsUnreadable": "修正ファイルを読み込めません",
+    "toast.editsImported": "修正を読み込みました",
+    "toast.deleted": "削除しました",
+    "toast.split": "分割",
+    "toast.openFailed": "データセットを開けません",
+    "toast.notFound": "データセットが見つかりません",
+    "toast.nothingToExport": "書き出すデータがありません",
+    "toast.export": "書き出し",
+    "toast.exported": "書き出しました",
+    "toast.noStats": "統計はありません",
+    "toast.styleUnavailable": "ベクタースタイルを使えません",
+    "toast.localTilesUnavailable": "ローカルタイルを使えません",
+    "toast.backgroundUnavailable": "地図の背景を表示できません",
+    "toast.tiles": "地図タイル",
+    "toast.style": "地図スタイル",
+    "toast.tileFileNotSaved": "タイルファイルを保存できません",
+
+    "dur.hours": "{n} 時間",
+    "dur.minutes": "{n} 分",
+
+    "item.move": "移動",
+    "item.moved": "{distance} の移動",
+    "item.unknownPlace": "不明な場所",
+    "item.unknownAddress": "住所不明",
+    "item.visit": "訪問",
+    "item.inferredStay": "滞在 (推定)",
+    "item.private": "非公開の場所",
+    "mode.unknown": "不明",
+    "mode.WALKING": "徒歩",
+    "mode.ON_FOOT": "徒歩",
+    "mode.RUNNING": "ランニング",
+    "mode.HIKING": "ハイキング",
+    "mode.CYCLING": "自転車",
+    "mode.IN_PASSENGER_VEHICLE": "車",
+    "mode.IN_VEHICLE": "乗り物",
+    "mode.IN_TAXI": "タクシー",
+    "mode.IN_BUS": "バス",
+    "mode.IN_TRAIN": "電車",
+    "mode.IN_SUBWAY": "地下鉄",
+    "mode.IN_TRAM": "路面電車",
+    "mode.IN_FERRY": "フェリー",
+    "mode.FLYING": "飛行機",
+    "mode.MOTORCYCLING": "バイク",
+    "mode.SAILING": "セーリング",
+    "mode.SKIING": "スキー",
+    "mode.SWIMMING": "水泳",
+    "mode.ROWING": "ボート",
+    "mode.STILL": "静止",
+  },
+};
+
+/**
+ * Texts the importers write into items when the source has none (parsers.js, segmentation.js).
+ * They are stored in Japanese; the UI shows them in the active language.
+ */
+const GENERATED_TEXTS = {
+  "移動": "item.move",
+  "不明な場所": "item.unknownPlace",
+  "住所不明": "item.unknownAddress",
+  "訪問": "item.visit",
+  "滞在 (推定)": "item.inferredStay",
+  "非公開の場所": "item.private",
+  "Visit": "item.visit",
+};
+
+/** @type {LocaleId} */
+let locale = "en";
+/** BCP 47 tag for Intl: the browser's own variant of the language when it has one (en-GB dates etc) */
+let tag = "en";
+/** @type {DistanceUnit} */
+let units = "km";
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const dateFormats = new Map();
+
+function browserLanguages(){
+  return typeof navigator==="undefined" ? [] : (navigator.languages?.length ? navigator.languages : [navigator.language || ""]);
+}
+
+/** First browser language we have messages for, else English */
+export function detectLocale(){
+  for(const lang of browserLanguages()){
+    const id = lang.toLowerCase().split("-")[0];
+    if(LOCALES.some(l=>l.id===id)) return /** @type {LocaleId} */ (id);
+  }
+  return "en";
+}
+
+/** @param {LocaleId} id */
+export function setLocale(id){
+  locale = id in MESSAGES ? id : "en";
+  tag = browserLanguages().find(l=>l.toLowerCase().split("-")[0]===locale) || (locale==="ja" ? "ja-JP" : locale);
+  dateFormats.clear();
+}
+
+export function getLocale(){
+  return locale;
+}
+
+/** @param {DistanceUnit} u */
+export function setUnits(u){
+  units = u==="mi" ? "mi" : "km";
+}
+
+export function getUnits(){
+  return units;
+}
+
+/** Region of the browser's language ("US" for en-US), "" when it has none */
+function browserRegion(){
+  const lang = browserLanguages()[0] || "";
+  try{
+    return new Intl.Locale(lang).maximize().region || "";
+  } catch {
+    return lang.split("-")[1]?.toUpperCase() || "";
+  }
+}
+
+/** Miles where road distances are given in miles, km elsewhere */
+export function defaultUnits(){
+  return ["US", "GB", "LR", "MM"].includes(browserRegion()) ? "mi" : "km";
+}
+
+/** First day of the week for the browser's region: 0 = Sunday, 1 = Monday, 6 = Saturday */
+export function defaultWeekStart(){
+  const lang = browserLanguages()[0] || "";
+  try{
+    const loc = /** @type {any} */ (new Intl.Locale(lang));
+    const info = typeof loc.getWeekInfo==="function" ? loc.getWeekInfo() : loc.weekInfo;
+    if(info?.firstDay) return info.firstDay % 7;
+  } catch {
+    // older browsers: fall through
+  }
+  return ["US", "CA", "JP", "TW", "KR", "BR", "MX", "IL", "PH", "IN", ""].includes(browserRegion()) ? 0 : 1;
+}
+
+/**
+ * Message in the active language.
+ * @param {string} key
+ * @param {Record<string, string|number>} [params]
+ */
+export function t(key, params){
+  return fill(lookup(key) ?? key, params);
+}
+
+/** Message, or null when neither the active language nor English has the key @param {string} key */
+export function lookup(key){
+  return MESSAGES[locale][key] ?? MESSAGES.en[key] ?? null;
+}
+
+/** @param {string} msg @param {Record<string, string|number>} [params] */
+function fill(msg, params){
+  if(!params) return msg;
+  if(msg.includes("|") && typeof params.n==="number"){
+    const [one, other] = msg.split("|");
+    msg = params.n===1 ? one : other;
+  }
+  return msg.replace(/\{(\w+)\}/g, (m, name)=>{
+    const v = params[name];
+    if(v==null) return m;
+    return typeof v==="number" ? v.toLocaleString(tag) : v;
+  });
+}
+
+/**
+ * Fill in the static texts: data-i18n (text), data-i18n-html (catalog HTML),
+ * data-i18n-title and data-i18n-placeholder.
+ * @param {ParentNode} root
+ */
+export function applyTranslations(root){
+  for(const el of /** @type {NodeListOf<HTMLElement>} */ (root.querySelectorAll("[data-i18n]"))) el.textContent = t(/** @type {string} */ (el.dataset.i18n));
+  for(const el of /** @type {NodeListOf<HTMLElement>} */ (root.querySelectorAll("[data-i18n-html]"))) el.innerHTML = t(/** @type {string} */ (el.dataset.i18nHtml));
+  for(const el of /** @type {NodeListOf<HTMLElement>} */ (root.querySelectorAll("[data-i18n-title]"))) el.title = t(/** @type {string} */ (el.dataset.i18nTitle));
+  for(const el of /** @type {NodeListOf<HTMLInputElement>} */ (root.querySelectorAll("[data-i18n-placeholder]"))) el.placeholder = t(/** @type {string} */ (el.dataset.i18nPlaceholder));
+}
+
+/** Importer-generated placeholder text in the active language; anything else is returned as is @param {string} s */
+export function localizeText(s){
+  const key = GENERATED_TEXTS[s];
+  return key ? t(key) : s;
+}
+
+// ---- dates and times ----
+
+/** @param {Intl.DateTimeFormatOptions} opts */
+function dateFormat(opts){
+  const k = JSON.stringify(opts);
+  let f = dateFormats.get(k);
+  if(!f){
+    try{
+      f = new Intl.DateTimeFormat(tag, opts);
+    } catch {
+      f = new Intl.DateTimeFormat(undefined, opts);
+    }
+    dateFormats.set(k, f);
+  }
+  return f;
+}
+
+/** "2024/05/03" / "May 3, 2024" @param {Date} d */
+export function formatDate(d){
+  return dateFormat({ dateStyle: "medium" }).format(d);
+}
+
+/**
+ * Clock time.
+ * @param {Date} d
+ * @param {string} [timeZone] e.g. "UTC" for a wall clock shifted into the UTC fields
+ */
+export function formatTime(d, timeZone){
+  return dateFormat(timeZone ? { timeStyle: "short", timeZone } : { timeStyle: "short" }).format(d);
+}
+
+/** "2024年5月" / "May 2024" @param {Date} d */
+export function formatMonth(d){
+  return dateFormat({ year: "numeric", month: "long" }).format(d);
+}
+
+/** "2024年" / "2024" @param {Date} d */
+export function formatYear(d){
+  return dateFormat({ year: "numeric" }).format(d);
+}
+
+/** "5月" / "May" @param {Date} d */
+export function formatMonthShort(d){
+  return dateFormat({ month: "short" }).format(d);
+}
+
+/** "5/3" / "5/3" / "03/05" @param {Date} d */
+export function formatMonthDay(d){
+  return dateFormat({ month: "numeric", day: "numeric" }).format(d);
+}
+
+/** Weekday name of weekday 0 (Sunday) .. 6 @param {number} day @param {"narrow"|"short"|"long"} [style] */
+export function weekdayName(day, style="short"){
+  // 2023-01-01 was a Sunday
+  return dateFormat({ weekday: style, timeZone: "UTC" }).format(new Date(Date.UTC(2023, 0, 1 + day)));
+}
+
+// ---- numbers ----
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+
+/**
+ * Distance in the chosen unit: "850 m" / "3.2 km" / "12 km", or "500 ft" / "2.0 mi".
+ * @param {number} meters
+ * @param {{long?:boolean}} [opts] long: always in km / mi, even when short ("0.4 km")
+ */
+export function formatDistance(meters, opts={}){
+  const big = units==="mi" ? meters/METERS_PER_MILE : meters/1000;
+  if(!opts.long && big<(units==="mi" ? 0.1 : 1)){
+    return units==="mi" ? `${formatNumber(Math.round(meters/METERS_PER_FOOT))} ft` : `${formatNumber(Math.round(meters))} m`;
+  }
+  return `${formatNumber(big, big<10 ? 1 : 0)} ${units}`;
+}
+
+/** "1,240 km/h" / "770 mph" @param {number} metersPerSecond */
+export function formatSpeed(metersPerSecond){
+  if(!Number.isFinite(metersPerSecond)) return units==="mi" ? "∞ mph" : "∞ km/h";
+  return units==="mi"
+    ? `${formatNumber(metersPerSecond*3600/METERS_PER_MILE)} mph`
+    : `${formatNumber(metersPerSecond*3.6)} km/h`;
+}
+
+/** Meters per unit of the short distance unit (m or ft), for inputs such as the minimum distance filter */
+export function shortUnit(){
+  return units==="mi" ? { label: "ft", meters: METERS_PER_FOOT } : { label: "m", meters: 1 };
+}
+
+/** @param {number} n @param {number} [digits] fixed number of decimals */
+export function formatNumber(n, digits=0){
+  return n.toLocaleString(tag, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/** "3.2 h" / "45 min" (「3.2 時間」/「45 分」) @param {number} ms */
+export function formatDuration(ms){
+  const min = Math.round(ms/60000);
+  return min>=60 ? t("dur.hours", { n: formatNumber(min/60, 1) }) : t("dur.minutes", { n: String(min) });
+}
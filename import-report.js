@@ -0,0 +1,141 @@
+/* Timeline Trace (Local) - import report
+ * What an import read and what it dropped, per source file, so nothing is lost silently; plus
+ * data-quality findings on the items (gaps, overlapping segments, impossible speeds and jumps).
+ * The counts are made by the import worker and saved with the dataset; the findings are worked
+ * out again from the items when the report is shown. Pure functions, no DOM.
+ */
+
+import { haversineMeters, pathDistanceMeters } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+/** @typedef {import("./parsers.js").SkipReason} SkipReason */
+/** @typedef {import("./parsers.js").DetectedFormat} DetectedFormat */
+
+/**
+ * @typedef {Object} SourceReport
+ * @property {string} name file name (path inside the zip for entries)
+ * @property {DetectedFormat} format "unknown" = no importer recognised it, nothing was read
+ * @property {number} read records in the file (array elements; items for whole-file formats)
+ * @property {number} converted items the file gave (Records.json: after turning fixes into stays and trips)
+ * @property {Partial<Record<SkipReason, number>>} skipped dropped records by reason
+ * @property {string[]} unknownKeys top-level keys no importer knows
+ * @property {string[]} ignoredKeys top-level keys of the format that are not converted (e.g. rawSignals)
+ * @property {string|null} error why the file could not be read
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {SourceReport[]} sources
+ * @property {number} duplicates items dropped because another file had the same segment
+ */
+
+/** @typedef {"gap"|"overlap"|"speed"|"jump"} IssueKind */
+
+/**
+ * A data-quality finding.
+ * @typedef {Object} Issue
+ * @property {IssueKind} kind
+ * @property {Item} item the item it is about (for a gap or jump: the one after it)
+ * @property {number} value gap / overlap: ms; speed / jump: m/s
+ * @property {number} [meters] speed / jump: distance covered
+ */
+
+/** Time nobody accounts for between a visit and its neighbour; timelines cover every minute */
+export const ISSUE_GAP_MS = 3 * 3600000;
+/** Overlaps shorter than this are rounding in the export */
+const OVERLAP_TOLERANCE_MS = 60000;
+/** Faster than an airliner (about 1,080 km/h) */
+export const ISSUE_MAX_SPEED = 300;
+/** Jumps shorter than this are GPS noise, however short the time */
+const JUMP_MIN_METERS = 1000;
+
+/** @param {string} name @param {DetectedFormat} format @returns {SourceReport} */
+export function newSourceReport(name, format){
+  return { name, format, read: 0, converted: 0, skipped: {}, unknownKeys: [], ignoredKeys: [], error: null };
+}
+
+/** @param {SourceReport} report @param {SkipReason} reason @param {number} [n] */
+export function countSkip(report, reason, n=1){
+  report.skipped[reason] = (report.skipped[reason] || 0) + n;
+}
+
+/** @param {SourceReport} report */
+export function skippedTotal(report){
+  return Object.values(report.skipped).reduce((sum, n)=>sum + (n || 0), 0);
+}
+
+/**
+ * Meters per second from a to b, when both have a time and the step is long enough to matter.
+ * @param {LatLng} a
+ * @param {LatLng} b
+ * @returns {{speed:number, meters:number}|null}
+ */
+function jump(a, b){
+  if(!a.time || !b.time) return null;
+  const meters = haversineMeters(a, b);
+  if(meters<JUMP_MIN_METERS) return null;
+  const s = (b.time.getTime() - a.time.getTime()) / 1000;
+  const speed = s>0 ? meters/s : Infinity;
+  return speed>ISSUE_MAX_SPEED ? { speed, meters } : null;
+}
+
+/**
+ * Gaps: no data for ISSUE_GAP_MS next to a visit (between trips of a GPS log nothing is expected).
+ * Overlaps: a visit or trip that starts before the one before it ended.
+ * Speeds: a trip faster on average than ISSUE_MAX_SPEED. Jumps: consecutive timed points (in a
+ * path, raw fixes, or the places of two visits in a row) too far apart for the time between them.
+ * @param {Item[]} items sorted by start
+ * @returns {Issue[]} in time order
+ */
+export function findIssues(items){
+  /** @type {Issue[]} */
+  const out = [];
+  /** @type {Item|null} */
+  let prev = null;
+  /** @type {Item|null} */
+  let prevFix = null;
+
+  for(const it of items){
+    if(it.kind==="rawpoint"){
+      if(prevFix?.point && it.point){
+        const j = jump({ ...prevFix.point, time: prevFix.start }, { ...it.point, time: it.start });
+        if(j) out.push({ kind: "jump", item: it, value: j.speed, meters: j.meters });
+      }
+      prevFix = it;
+      continue;
+    }
+
+    if(prev){
+      const prevEnd = (prev.end || prev.start).getTime();
+      const gap = it.start.getTime() - prevEnd;
+      if(gap>=ISSUE_GAP_MS && (prev.kind==="visit" || it.kind==="visit")){
+        out.push({ kind: "gap", item: it, value: gap });
+      } else if(-gap>OVERLAP_TOLERANCE_MS){
+        out.push({ kind: "overlap", item: it, value: Math.min(-gap, (it.end || it.start).getTime() - it.start.getTime()) });
+      }
+      if(prev.kind==="visit" && it.kind==="visit" && prev.point && it.point){
+        const j = jump({ ...prev.point, time: prev.end || prev.start }, { ...it.point, time: it.start });
+        if(j) out.push({ kind: "jump", item: it, value: j.speed, meters: j.meters });
+      }
+    }
+    // the item that reaches furthest, so a short one inside a long visit does not hide a gap
+    if(!prev || (it.end || it.start).getTime()>(prev.end || prev.start).getTime()) prev = it;
+
+    if(it.kind!=="activity") continue;
+    const meters = it.distanceMeters ?? (it.path.length>=2 ? pathDistanceMeters(it.path) : 0);
+    const s = it.end ? (it.end.getTime() - it.start.getTime()) / 1000 : 0;
+    if(meters>=JUMP_MIN_METERS && s>0 && meters/s>ISSUE_MAX_SPEED){
+      out.push({ kind: "speed", item: it, value: meters/s, meters });
+      continue;
+    }
+    for(let i=1;i<it.path.length;i++){
+      const j = jump(it.path[i-1], it.path[i]);
+      if(j){
+        out.push({ kind: "jump", item: it, value: j.speed, meters: j.meters });
+        break;
+      }
+    }
+  }
+  return out;
+}
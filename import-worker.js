@@ -0,0 +1,421 @@
+/* Timeline Trace (Local) - Import worker
+ * Reads, parses and converts files off the UI thread, using the importer registry (importers.js).
+ * JSON exports are streamed and only one array element is materialised at a time, so a
+ * multi-year Records.json never has to exist as a single string or object tree.
+ *
+ * Messages in:  {type:"scan", files:File[]}          list importable files inside zip archives
+ *               {type:"import", sources:ImportSource[]}
+ * Messages out: {type:"progress", loaded, total, name, unit?}  (unit "files" while scanning, else bytes)
+ *               {type:"done", sources}                 (scan)
+ *               {type:"done", items, formats, report} (import; report: ImportReport)
+ *               {type:"error", message}
+ * Cancelling is done by the UI thread terminating the worker.
+ */
+
+import { dedupeItems } from "./parsers.js";
+import { IMPORTERS, detectImporter, isImportableName } from "./importers.js";
+import { listZipEntries, openZipEntry } from "./zip.js";
+import { newSourceReport, countSkip } from "./import-report.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").DetectedFormat} DetectedFormat */
+/** @typedef {import("./parsers.js").FormatMix} FormatMix */
+/** @typedef {import("./importers.js").Importer} Importer */
+/** @typedef {import("./import-report.js").SourceReport} SourceReport */
+/** @typedef {import("./import-report.js").ImportReport} ImportReport */
+
+/**
+ * A file to import: either a plain file or one entry of a zip archive.
+ * @typedef {Object} ImportSource
+ * @property {File} file
+ * @property {string} name display name (path inside the zip for entries)
+ * @property {number} size uncompressed bytes
+ * @property {import("./zip.js").ZipEntry} [entry]
+ * @property {DetectedFormat} [format] format guessed while scanning
+ */
+
+const PROGRESS_INTERVAL_MS = 100;
+/** How much of a file is read before asking the importers what it is */
+const SNIFF_BYTES = 4096;
+
+/**
+ * Incremental JSON reader for documents shaped like `{ "key": [ ... ], ... }` (or a bare array).
+ * Text is fed in arbitrary chunks via push(). Every element of a top-level array is passed to
+ * onEntry(key, value) as soon as it is complete; other top-level members go to onValue(key, value).
+ */
+class JsonStreamSplitter{
+  /** @param {{onEntry:(key:string|null, value:any)=>void, onValue?:(key:string, value:any)=>void}} handlers */
+  constructor(handlers){
+    this.onEntry = handlers.onEntry;
+    this.onValue = handlers.onValue || (()=>{});
+    /** start | key | colon | value | array | after | capture | end */
+    this.mode = "start";
+    /** @type {string|null} current top-level key (null for a bare root array) */
+    this.key = null;
+    this.rootIsArray = false;
+    // capture state: the text of one key / value / array element, possibly spanning chunks
+    this.buf = "";
+    /** "key" | "value" | "entry" */
+    this.target = "";
+    /** "struct" | "string" | "scalar" */
+    this.capKind = "";
+    this.capDepth = 0;
+    this.inString = false;
+    this.escape = false;
+  }
+
+  /** @param {string} chunk */
+  push(chunk){
+    let capStart = this.mode === "capture" ? 0 : -1;
+    for(let i=0;i<chunk.length;i++){
+      const c = chunk[i];
+
+      if(this.mode === "capture"){
+        if(this.inString){
+          if(this.escape) this.escape = false;
+          else if(c === "\\") this.escape = true;
+          else if(c === "\""){
+            this.inString = false;
+            if(this.capKind === "string"){ this._finish(chunk.slice(capStart, i+1)); capStart = -1; }
+          }
+        } else if(this.capKind === "scalar"){
+          if(c === "," || c === "}" || c === "]" || isSpace(c)){
+            this._finish(chunk.slice(capStart, i)); capStart = -1;
+            i--; // let the outer state see the delimiter
+          }
+        } else if(c === "\""){
+          this.inString = true;
+        } else if(c === "{" || c === "["){
+          this.capDepth++;
+        } else if(c === "}" || c === "]"){
+          if(--this.capDepth === 0){ this._finish(chunk.slice(capStart, i+1)); capStart = -1; }
+        }
+        continue;
+      }
+
+      if(isSpace(c)) continue;
+
+      switch(this.mode){
+        case "start":
+          if(c === "{") this.mode = "key";
+          else if(c === "["){ this.rootIsArray = true; this.mode = "array"; }
+          else throw new SyntaxError(`Unexpected '${c}' at start of JSON`);
+          break;
+        case "key":
+          if(c === "}") this.mode = "end";
+          else if(c === "\""){ this._begin("key", c); capStart = i; }
+          else throw new SyntaxError(`Expected a key but found '${c}'`);
+          break;
+        case "colon":
+          if(c !== ":") throw new SyntaxError(`Expected ':' but found '${c}'`);
+          this.mode = "value";
+          break;
+        case "value":
+          if(c === "[") this.mode = "array";
+          else { this._begin("value", c); capStart = i; }
+          break;
+        case "array":
+          if(c === ",") break;
+          if(c === "]") this.mode = this.rootIsArray ? "end" : "after";
+          else { this._begin("entry", c); capStart = i; }
+          break;
+        case "after":
+          if(c === ",") this.mode = "key";
+          else if(c === "}") this.mode = "end";
+          else throw new SyntaxError(`Expected ',' or '}' but found '${c}'`);
+          break;
+        case "end":
+          throw new SyntaxError(`Unexpected '${c}' after end of JSON`);
+      }
+    }
+    if(capStart >= 0) this.buf += chunk.slice(capStart);
+  }
+
+  end(){
+    if(this.mode === "capture" && this.capKind === "scalar") this._finish("");
+    if(this.mode !== "end") throw new SyntaxError("Unexpected end of JSON input");
+  }
+
+  _begin(target, c){
+    this.mode = "capture";
+    this.target = target;
+    this.capKind = (c === "{" || c === "[") ? "struct" : (c === "\"" ? "string" : "scalar");
+    this.capDepth = this.capKind === "struct" ? 1 : 0;
+    this.inString = this.capKind === "string";
+    this.escape = false;
+  }
+
+  _finish(tail){
+    const text = this.buf + tail;
+    this.buf = "";
+    const value = JSON.parse(text);
+    if(this.target === "key"){
+      this.key = value;
+      this.mode = "colon";
+    } else if(this.target === "value"){
+      this.mode = "after";
+      this.onValue(/** @type {string} */ (this.key), value);
+    } else {
+      this.mode = "array";
+      this.onEntry(this.key, value);
+    }
+  }
+}
+
+function isSpace(c){
+  return c === " " || c === "\n" || c === "\r" || c === "\t";
+}
+
+/** @param {ImportSource} src @returns {Promise<ReadableStream<Uint8Array>>} */
+async function openSource(src){
+  return src.entry ? openZipEntry(src.file, src.entry) : src.file.stream();
+}
+
+/**
+ * Read from a stream until at least SNIFF_BYTES are buffered.
+ * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+ * @returns {Promise<{chunks:Uint8Array[], ended:boolean}>}
+ */
+async function readHead(reader){
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  let size = 0;
+  while(size < SNIFF_BYTES){
+    const { done, value } = await reader.read();
+    if(done) return { chunks, ended:true };
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  return { chunks, ended:false };
+}
+
+/** @param {Uint8Array[]} chunks */
+function concatBytes(chunks){
+  const out = new Uint8Array(chunks.reduce((sum,c)=>sum+c.byteLength, 0));
+  let pos = 0;
+  for(const c of chunks){
+    out.set(c, pos);
+    pos += c.byteLength;
+  }
+  return out;
+}
+
+/**
+ * @param {string} name
+ * @param {Uint8Array[]} chunks
+ * @returns {import("./importers.js").Probe}
+ */
+function makeProbe(name, chunks){
+  const head = concatBytes(chunks).subarray(0, SNIFF_BYTES);
+  return { name, head, text: new TextDecoder().decode(head) };
+}
+
+/**
+ * Convert one source with the importer that recognises it.
+ * JSON whose array key only shows up after the sniffed head is still streamed; the first
+ * top-level array some importer knows decides the format.
+ * @param {ImportSource} src
+ * @param {(loaded:number)=>void} onProgress bytes of this source read so far
+ * @param {SourceReport} report filled in with what was read and dropped
+ * @returns {Promise<{items:Item[], detectedFormat:DetectedFormat}>}
+ */
+async function importSource(src, onProgress, report){
+  const reader = (await openSource(src)).getReader();
+  const head = await readHead(reader);
+  const probe = makeProbe(src.name, head.chunks);
+  const importer = detectImporter(probe);
+
+  let loaded = 0;
+  /** @type {(onChunk:(chunk:Uint8Array)=>void)=>Promise<void>} */
+  const readAll = async (onChunk)=>{
+    for(const chunk of head.chunks){
+      loaded += chunk.byteLength;
+      onChunk(chunk);
+      onProgress(loaded);
+    }
+    if(head.ended) return;
+    for(;;){
+      const { done, value } = await reader.read();
+      if(done) break;
+      loaded += value.byteLength;
+      onChunk(value);
+      onProgress(loaded);
+    }
+  };
+
+  if(importer?.parse){
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    await readAll((c)=>chunks.push(c));
+    const items = importer.parse(concatBytes(chunks));
+    report.read = items.length;
+    return { items, detectedFormat: importer.id };
+  }
+
+  /** @type {Importer[]} */
+  const candidates = importer ? [importer]
+    : (/^\s*[{[]/.test(probe.text) ? IMPORTERS.filter(i=>i.arrayKey) : []);
+  if(!candidates.length){
+    reader.cancel().catch(()=>{});
+    return { items:[], detectedFormat:"unknown" };
+  }
+
+  /** @type {Item[]} */
+  const items = [];
+  /** @type {Importer|null} */
+  let active = null;
+  /** top-level keys, in file order */
+  const keys = new Set();
+  const splitter = new JsonStreamSplitter({
+    onEntry(key, entry){
+      if(key!=null) keys.add(key);
+      if(!active){
+        active = candidates.find(i=>i.arrayKey===key) || null;
+        if(!active) return;
+      }
+      if(key !== active.arrayKey) return;
+      report.read++;
+      const skipped = active.append?.(entry, items);
+      if(skipped) countSkip(report, skipped);
+    },
+    onValue(key){
+      keys.add(key);
+    },
+  });
+  const decoder = new TextDecoder();
+  await readAll((c)=>splitter.push(decoder.decode(c, { stream:true })));
+  splitter.push(decoder.decode());
+  splitter.end();
+
+  if(!active) return { items, detectedFormat: "unknown" };
+  const format = active;
+  // keys some importer knows (e.g. another format's array in the same file) are not read either, but expected
+  const known = IMPORTERS.flatMap(i=>i.arrayKey ? [i.arrayKey, ...(i.knownKeys || [])] : []);
+  for(const key of keys){
+    if(key===format.arrayKey) continue;
+    (known.includes(key) ? report.ignoredKeys : report.unknownKeys).push(key);
+  }
+  return { items: format.finish ? format.finish(items) : items, detectedFormat: format.id };
+}
+
+/**
+ * Import several sources one after another and merge them into one sorted, de-duplicated list.
+ * @param {ImportSource[]} sources
+ * @returns {Promise<{items:Item[], formats:FormatMix, report:ImportReport}>}
+ */
+async function importSources(sources){
+  const total = sources.reduce((sum,s)=>sum+s.size, 0);
+  let done = 0;
+  let lastPost = 0;
+  /** @type {Item[]} */
+  let items = [];
+  /** @type {FormatMix} */
+  const formats = {};
+  /** @type {ImportReport} */
+  const report = { sources: [], duplicates: 0 };
+  let used = 0;
+
+  for(const src of sources){
+    self.postMessage({ type:"progress", loaded:done, total, name:src.name });
+    const sourceReport = newSourceReport(src.name, "unknown");
+    report.sources.push(sourceReport);
+    let result;
+    try{
+      result = await importSource(src, (loaded)=>{
+        const now = Date.now();
+        if(now - lastPost < PROGRESS_INTERVAL_MS) return;
+        lastPost = now;
+        self.postMessage({ type:"progress", loaded:done+loaded, total, name:src.name });
+      }, sourceReport);
+    } catch(err){
+      // one broken month should not sink a whole folder import
+      if(sources.length===1) throw err;
+      result = { items:[], detectedFormat:"unknown" };
+      sourceReport.error = String(err?.message || err);
+    }
+    done += src.size;
+
+    sourceReport.format = result.detectedFormat;
+    if(result.detectedFormat==="unknown") continue;
+    used++;
+    formats[result.detectedFormat] = (formats[result.detectedFormat] || 0) + 1;
+    for(const it of result.items){
+      if(it.start && !isNaN(it.start.getTime())){
+        items.push(it);
+        sourceReport.converted++;
+      } else {
+        countSkip(sourceReport, "noTime");
+      }
+    }
+  }
+  self.postMessage({ type:"progress", loaded:total, total, name:"" });
+
+  items.sort((a,b)=>a.start.getTime()-b.start.getTime());
+  // several sources can describe the same time span (overlapping exports)
+  if(used>1){
+    const count = items.length;
+    items = dedupeItems(items);
+    report.duplicates = count - items.length;
+  }
+  return { items, formats, report };
+}
+
+/**
+ * Guess the format of a zip entry from the first few KB: timeline files open with their
+ * top-level array, everything else in a Takeout archive (Settings.json, other products) doesn't.
+ * @param {ImportSource} src
+ * @returns {Promise<DetectedFormat>}
+ */
+async function sniffSource(src){
+  const reader = (await openSource(src)).getReader();
+  try{
+    const head = await readHead(reader);
+    return detectImporter(makeProbe(src.name, head.chunks))?.id || "unknown";
+  } finally {
+    reader.cancel().catch(()=>{});
+  }
+}
+
+/**
+ * Find the importable JSON files inside zip archives.
+ * @param {File[]} zips
+ * @returns {Promise<ImportSource[]>}
+ */
+async function scanZips(zips){
+  /** @type {ImportSource[]} */
+  const candidates = [];
+  for(const file of zips){
+    for(const entry of await listZipEntries(file)){
+      if(isImportableName(entry.name) && entry.size>0){
+        candidates.push({ file, name:`${file.name}/${entry.name}`, size:entry.size, entry });
+      }
+    }
+  }
+
+  /** @type {ImportSource[]} */
+  const found = [];
+  for(let i=0;i<candidates.length;i++){
+    self.postMessage({ type:"progress", loaded:i, total:candidates.length, name:candidates[i].name, unit:"files" });
+    let format;
+    try{
+      format = await sniffSource(candidates[i]);
+    } catch {
+      format = "unknown";
+    }
+    if(format!=="unknown") found.push({ ...candidates[i], format });
+  }
+  return found;
+}
+
+self.addEventListener("message", async (e)=>{
+  const msg = e.data;
+  try{
+    if(msg?.type === "scan"){
+      self.postMessage({ type:"done", sources: await scanZips(msg.files) });
+    } else if(msg?.type === "import"){
+      self.postMessage({ type:"done", ...(await importSources(msg.sources)) });
+    }
+  } catch(err){
+    self.postMessage({ type:"error", message: String(err?.message || err) });
+  }
+});
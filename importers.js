@@ -0,0 +1,110 @@
+/* Timeline Trace (Local) - importer registry
+ * Every supported input format is one entry here. The import worker reads the first bytes of a
+ * file, asks the importers in order whether they recognise it, and hands the file to the first
+ * one that does. Adding a format = writing an Importer and registering it below.
+ *
+ * Two kinds of importers:
+ *  - JSON array importers (arrayKey + append): the file is streamed and every element of the
+ *    top-level array `arrayKey` is converted on its own, so huge exports never sit in memory whole.
+ *  - Whole-file importers (parse): get all bytes at once; fine for GPX/KML/FIT-sized files.
+ */
+
+import { appendTimelineObject, appendSemanticSegment, appendRecordsLocation } from "./parsers.js";
+import { gpxImporter, kmlImporter, geojsonImporter, fitImporter } from "./track-importers.js";
+import { segmentRawPoints } from "./segmentation.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").SkipReason} SkipReason */
+
+/**
+ * What detect() gets to look at.
+ * @typedef {Object} Probe
+ * @property {string} name file name (or path inside a zip)
+ * @property {Uint8Array} head the first few KB of the file
+ * @property {string} text head decoded as UTF-8 (may end mid-character)
+ */
+
+/**
+ * @typedef {Object} Importer
+ * @property {string} id stable id, stored per dataset (FormatMix key)
+ * @property {string} label shown in the format pill
+ * @property {string[]} extensions lower-case file extensions, with the dot
+ * @property {(probe:Probe)=>boolean} detect
+ * @property {string} [arrayKey] JSON array importers: top-level key to stream
+ * @property {(entry:any, out:Item[])=>SkipReason|void} [append] JSON array importers: convert one
+ *   element; returns why when it was dropped (counted in the import report)
+ * @property {string[]} [knownKeys] JSON array importers: other top-level keys of the format, which are
+ *   not converted (the import report lists them apart from keys it has never seen)
+ * @property {(items:Item[])=>Item[]} [finish] JSON array importers: post-process the whole file's items
+ * @property {(bytes:Uint8Array)=>Item[]} [parse] whole-file importers
+ */
+
+/** @param {string} key top-level array that identifies the format */
+function jsonArrayDetector(key){
+  const re = new RegExp(`"${key}"\\s*:\\s*\\[`);
+  return (/** @type {Probe} */ probe)=>re.test(probe.text);
+}
+
+/** @type {Importer[]} in detection priority order */
+export const IMPORTERS = [];
+
+/** @param {Importer} importer */
+export function registerImporter(importer){
+  if(IMPORTERS.some(i=>i.id===importer.id)) throw new Error(`Importer "${importer.id}" is already registered`);
+  IMPORTERS.push(importer);
+}
+
+/** @param {Probe} probe @returns {Importer|null} */
+export function detectImporter(probe){
+  return IMPORTERS.find(i=>i.detect(probe)) || null;
+}
+
+/** @param {string} id */
+export function importerById(id){
+  return IMPORTERS.find(i=>i.id===id) || null;
+}
+
+/** Whether a file name has an extension some importer handles */
+export function isImportableName(name){
+  const lower = name.toLowerCase();
+  return IMPORTERS.some(i=>i.extensions.some(ext=>lower.endsWith(ext)));
+}
+
+// 1) timelineObjects (Google Takeout "Semantic Location History" style)
+registerImporter({
+  id: "timelineObjects",
+  label: "timelineObjects",
+  extensions: [".json"],
+  detect: jsonArrayDetector("timelineObjects"),
+  arrayKey: "timelineObjects",
+  append: appendTimelineObject,
+});
+
+// 2) semanticSegments (new on-device export format)
+registerImporter({
+  id: "semanticSegments",
+  label: "semanticSegments",
+  extensions: [".json"],
+  detect: jsonArrayDetector("semanticSegments"),
+  arrayKey: "semanticSegments",
+  append: appendSemanticSegment,
+  knownKeys: ["rawSignals", "userLocationProfile"],
+});
+
+// 3) Records.json raw location history (locations[])
+registerImporter({
+  id: "recordsLocations",
+  label: "Records.json (locations[])",
+  extensions: [".json"],
+  detect: jsonArrayDetector("locations"),
+  arrayKey: "locations",
+  append: appendRecordsLocation,
+  // raw fixes → stays and trips, so old exports read like a semantic timeline
+  finish: segmentRawPoints,
+});
+
+// GPS loggers, bike computers and GIS tools
+registerImporter(gpxImporter);
+registerImporter(kmlImporter);
+registerImporter(geojsonImporter);
+registerImporter(fitImporter);
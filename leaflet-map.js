@@ -0,0 +1,154 @@
+/* Timeline Trace (Local) - Leaflet implementation of the map adapter (see map-adapter.js)
+ * Leaflet is a global loaded with defer from the CDN.
+ */
+
+import { createDayLayers } from "./map-render.js";
+import { createHeatLayer } from "./heatmap.js";
+import { createLocalTileLayer } from "./tile-files.js";
+
+/** @typedef {import("./map-adapter.js").MapAdapter} MapAdapter */
+/** @typedef {import("./map-adapter.js").MapAdapterOptions} MapAdapterOptions */
+/** @typedef {import("./map-adapter.js").Bounds} Bounds */
+
+/** How long to wait for the Leaflet script before giving up (slow or blocked CDN) */
+const LEAFLET_TIMEOUT_MS = 15000;
+
+/**
+ * Leaflet is loaded with defer; modules may run first. Rejects when the script fails to load
+ * (the error may have fired before this runs, so there is a deadline as well).
+ */
+function leafletReady(){
+  return new Promise((resolve, reject)=>{
+    const deadline = Date.now() + LEAFLET_TIMEOUT_MS;
+    let failed = false;
+    document.querySelector('script[src*="/leaflet.js"]')?.addEventListener("error", ()=>{ failed = true; }, { once: true });
+    const check = ()=>{
+      if(window.L) resolve(window.L);
+      else if(failed || Date.now()>deadline) reject(new Error("Leaflet could not be loaded"));
+      else setTimeout(check, 30);
+    };
+    check();
+  });
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {MapAdapterOptions} opts
+ * @returns {Promise<MapAdapter>}
+ */
+export async function createLeafletMap(container, opts){
+  const L = await leafletReady();
+  const className = container.className;
+  const map = L.map(container, { zoomControl: true });
+  map.setView([opts.center.lat, opts.center.lng], opts.zoom);
+  const days = createDayLayers(map, { popup: opts.popup, onItemClick: opts.onItemClick });
+
+  /** @type {any} */
+  let base = null;
+  /** @type {any} */
+  let heat = null;
+  let heatOptions = { radius: 18, intensity: 1 };
+  /** @type {any} */
+  let marker = null;
+  const zones = L.layerGroup().addTo(map);
+
+  const latLngBounds = (/** @type {Bounds} */ b)=>L.latLngBounds([b.south, b.west], [b.north, b.east]);
+  const view = ()=>{
+    const c = map.getCenter();
+    return { center: { lat: c.lat, lng: c.lng }, zoom: map.getZoom() };
+  };
+
+  return {
+    kind: "leaflet",
+
+    showDays(groups){
+      days.show(groups);
+    },
+
+    fitBounds(b){
+      map.fitBounds(latLngBounds(b), { animate: true });
+    },
+
+    focusPoint(p, minZoom){
+      map.setView([p.lat, p.lng], Math.max(map.getZoom(), minZoom), { animate: true });
+    },
+
+    setPlaybackMarker(p, follow){
+      if(!p){
+        if(marker) map.removeLayer(marker);
+        marker = null;
+        return;
+      }
+      if(!marker){
+        marker = L.circleMarker([p.lat, p.lng], {
+          radius: 8, color: "#fff", weight: 3, fillColor: "#f97316", fillOpacity: 1, interactive: false,
+        }).addTo(map);
+      } else {
+        marker.setLatLng([p.lat, p.lng]);
+      }
+      if(follow && !map.getBounds().pad(-0.1).contains([p.lat, p.lng])) map.panTo([p.lat, p.lng], { animate: true });
+    },
+
+    setBaseLayer(spec){
+      if(spec.type==="style") throw new Error("Vector styles need the MapLibre renderer");
+      const layer = spec.type==="file"
+        ? createLocalTileLayer(spec.source)
+        : L.tileLayer(spec.url, {
+          maxZoom: 19,
+          maxNativeZoom: spec.maxZoom,
+          attribution: spec.attribution,
+          crossOrigin: spec.crossOrigin ? "anonymous" : undefined,
+        });
+      if(base) map.removeLayer(base);
+      base = layer;
+      layer.addTo(map);
+    },
+
+    setHeat(points){
+      if(!points){
+        if(heat) map.removeLayer(heat);
+        return;
+      }
+      if(!heat) heat = createHeatLayer().setOptions(heatOptions);
+      if(!map.hasLayer(heat)) heat.addTo(map);
+      heat.setPoints(points);
+    },
+
+    setHeatOptions(o){
+      heatOptions = { ...heatOptions, ...o };
+      heat?.setOptions(heatOptions);
+    },
+
+    setZones(list){
+      zones.clearLayers();
+      for(const z of list){
+        L.circle([z.lat, z.lng], {
+          radius: z.radius, color: "#f59e0b", weight: 2, dashArray: "6 6", fillOpacity: 0.12, interactive: false,
+        }).addTo(zones);
+      }
+    },
+
+    onClick(fn){
+      map.on("click", (e)=>fn({ lat: e.latlng.lat, lng: e.latlng.lng }));
+    },
+
+    onViewChange(fn){
+      map.on("moveend", ()=>fn(view()));
+    },
+
+    getView(){
+      return view();
+    },
+
+    setView(v){
+      map.setView([v.center.lat, v.center.lng], v.zoom, { animate: false });
+    },
+
+    destroy(){
+      days.destroy();
+      map.remove();
+      container.className = className;
+      container.innerHTML = "";
+    },
+  };
+}
@@ -0,0 +1,110 @@
+/* Timeline Trace (Local) - map adapter
+ * app.js talks to the map only through this interface, so the rendering library can be
+ * swapped: Leaflet (leaflet-map.js, DOM/canvas) or MapLibre GL (maplibre-map.js, WebGL and
+ * vector styles). Implementations are loaded on demand; positions and bounds are plain objects.
+ */
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+/** @typedef {import("./heatmap.js").HeatPoints} HeatPoints */
+/** @typedef {import("./tile-files.js").TileSource} TileSource */
+
+/** @typedef {"leaflet"|"maplibre"} MapRenderer */
+
+/**
+ * One day to show. color null = the renderer's default path style.
+ * @typedef {{key:number, items:Item[], color:string|null}} DayGroup
+ */
+
+/** @typedef {{south:number, west:number, north:number, east:number}} Bounds */
+
+/**
+ * Center and zoom; zoom is in 256 px tile levels (Leaflet's) for every renderer.
+ * @typedef {{center:{lat:number, lng:number}, zoom:number}} MapView
+ */
+
+/**
+ * Map background.
+ * @typedef {{type:"url", url:string, attribution:string, maxZoom:number, crossOrigin:boolean}
+ *   | {type:"file", source:TileSource}
+ *   | {type:"style", url:string}} BaseLayerSpec
+ *   "style" (a MapLibre style.json URL) is only supported by MapLibre
+ */
+
+/**
+ * @typedef {Object} MapAdapterOptions
+ * @property {{lat:number, lng:number}} center
+ * @property {number} zoom
+ * @property {(it:Item)=>string} popup HTML for a visit's popup
+ * @property {(it:Item)=>void} [onItemClick] a path or visit was clicked on the map
+ */
+
+/**
+ * @typedef {Object} MapAdapter
+ * @property {MapRenderer} kind
+ * @property {(groups:DayGroup[])=>void} showDays draw exactly these days (paths, visits, raw points)
+ * @property {(b:Bounds)=>void} fitBounds
+ * @property {(p:{lat:number, lng:number}, minZoom:number)=>void} focusPoint center on p, zooming in to at least minZoom
+ * @property {(p:{lat:number, lng:number}|null, follow:boolean)=>void} setPlaybackMarker follow = pan when it nears the edge
+ * @property {(spec:BaseLayerSpec)=>void} setBaseLayer
+ * @property {(points:HeatPoints|null)=>void} setHeat null = hide the heatmap
+ * @property {(opts:{radius?:number, intensity?:number})=>void} setHeatOptions
+ * @property {(zones:{lat:number, lng:number, radius:number}[])=>void} setZones outline privacy zones (radius in meters); [] = none
+ * @property {(fn:(p:{lat:number, lng:number})=>void)=>void} onClick click on the map background
+ * @property {(fn:(view:MapView)=>void)=>void} onViewChange the map finished moving or zooming (also after fitBounds etc.)
+ * @property {()=>MapView} getView
+ * @property {(view:MapView)=>void} setView jump there without animation
+ * @property {()=>void} destroy remove the map and free the container
+ */
+
+export const MAP_RENDERERS = [
+  { id: "leaflet", label: "Leaflet" },
+  { id: "maplibre", label: "MapLibre GL (WebGL)" },
+];
+
+/**
+ * @param {MapRenderer} kind
+ * @param {HTMLElement} container
+ * @param {MapAdapterOptions} opts
+ * @returns {Promise<MapAdapter>}
+ */
+export async function createMapAdapter(kind, container, opts){
+  if(kind==="maplibre"){
+    const { createMapLibreMap } = await import("./maplibre-map.js");
+    return createMapLibreMap(container, opts);
+  }
+  const { createLeafletMap } = await import("./leaflet-map.js");
+  return createLeafletMap(container, opts);
+}
+
+/**
+ * Bounds of everything with a position in the items, or null.
+ * @param {Item[]} items
+ * @returns {Bounds|null}
+ */
+export function boundsOfItems(items){
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+  const add = (/** @type {LatLng} */ p)=>{
+    if(p.lat<south) south = p.lat;
+    if(p.lat>north) north = p.lat;
+    if(p.lng<west) west = p.lng;
+    if(p.lng>east) east = p.lng;
+  };
+  for(const it of items){
+    if(it.point) add(it.point);
+    for(const p of it.path) add(p);
+  }
+  return south<=north ? { south, west, north, east } : null;
+}
+
+/**
+ * Bounds grown by a ratio of their size on each side (like Leaflet's LatLngBounds.pad).
+ * @param {Bounds} b
+ * @param {number} ratio
+ * @returns {Bounds}
+ */
+export function padBounds(b, ratio){
+  const dLat = (b.north - b.south) * ratio;
+  const dLng = (b.east - b.west) * ratio;
+  return { south: b.south - dLat, west: b.west - dLng, north: b.north + dLat, east: b.east + dLng };
+}
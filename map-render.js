@@ -0,0 +1,274 @@
+/* Timeline Trace (Local) - day layers on a Leaflet map (used by leaflet-map.js)
+ * Draws the selected day(s) without one DOM node per point:
+ *  - paths and raw points share one canvas renderer
+ *  - paths are simplified for the current zoom (vertex importance is computed once per path)
+ *  - raw points are binned into clusters until there are few enough to draw one by one
+ *  - each day's layers are built once and kept, so stepping between days only swaps groups
+ */
+
+import { pathParts } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+/** @typedef {import("./map-adapter.js").DayGroup} DayGroup */
+
+const EARTH_CIRCUMFERENCE = 40075016.686;
+/** Keep path vertices that matter at this many screen pixels */
+const SIMPLIFY_PIXELS = 1;
+/** Raw points are drawn individually below this count in view (or from CLUSTER_MAX_ZOOM) */
+const RAW_DIRECT_LIMIT = 1500;
+const CLUSTER_MAX_ZOOM = 18;
+const CLUSTER_CELL_PX = 44;
+/** Built day groups kept around for quick back-and-forth navigation */
+const CACHE_DAYS = 16;
+
+/** @type {WeakMap<Item, {parts:LatLng[][], imp:Float64Array[]}>} per piece of the path (see pathParts) */
+const importanceCache = new WeakMap();
+
+/**
+ * Douglas–Peucker "importance" of each vertex: the largest tolerance (meters) at which it is
+ * still kept. Filtering by importance >= tolerance gives the DP simplification for any zoom.
+ * @param {LatLng[]} path
+ */
+function pathImportance(path){
+  const n = path.length;
+  const imp = new Float64Array(n);
+  if(n<=2){
+    imp.fill(Infinity);
+    return imp;
+  }
+  // local equirectangular projection in meters is plenty accurate for one path
+  const lat0 = path.reduce((s,p)=>s+p.lat, 0) / n * Math.PI / 180;
+  const k = EARTH_CIRCUMFERENCE / 360;
+  const xs = new Float64Array(n), ys = new Float64Array(n);
+  for(let i=0;i<n;i++){
+    xs[i] = path[i].lng * k * Math.cos(lat0);
+    ys[i] = path[i].lat * k;
+  }
+  imp[0] = imp[n-1] = Infinity;
+  /** @type {[number, number, number][]} first, last, parent importance */
+  const stack = [[0, n-1, Infinity]];
+  while(stack.length){
+    const [a, b, parent] = /** @type {[number, number, number]} */ (stack.pop());
+    if(b-a<2) continue;
+    const dx = xs[b]-xs[a], dy = ys[b]-ys[a];
+    const len2 = dx*dx + dy*dy;
+    let best = -1, bestD = -1;
+    for(let i=a+1;i<b;i++){
+      let t = len2 ? ((xs[i]-xs[a])*dx + (ys[i]-ys[a])*dy) / len2 : 0;
+      t = Math.max(0, Math.min(1, t));
+      const ex = xs[a] + t*dx - xs[i], ey = ys[a] + t*dy - ys[i];
+      const d = ex*ex + ey*ey;
+      if(d>bestD){ bestD = d; best = i; }
+    }
+    const d = Math.min(Math.sqrt(bestD), parent);
+    imp[best] = d;
+    stack.push([a, best, d], [best, b, d]);
+  }
+  return imp;
+}
+
+/** Path of an activity reduced to what is visible at the given tolerance; one line per piece */
+function simplifiedLatLngs(it, toleranceMeters){
+  let cached = importanceCache.get(it);
+  if(!cached){
+    const parts = pathParts(it).filter(p=>p.length>=2);
+    cached = { parts, imp: parts.map(pathImportance) };
+    importanceCache.set(it, cached);
+  }
+  return cached.parts.map((part, k)=>{
+    const imp = cached.imp[k];
+    const out = [];
+    for(let i=0;i<part.length;i++){
+      if(imp[i]>=toleranceMeters) out.push([part[i].lat, part[i].lng]);
+    }
+    return out;
+  });
+}
+
+/** Simplification tolerance for a zoom level, bucketed so small zoom changes reuse paths */
+function toleranceAt(zoom, lat){
+  const metersPerPixel = EARTH_CIRCUMFERENCE * Math.cos(lat * Math.PI / 180) / (256 * Math.pow(2, Math.round(zoom)));
+  return metersPerPixel * SIMPLIFY_PIXELS;
+}
+
+function mercX(lng){ return (lng + 180) / 360; }
+function mercY(lat){
+  const s = Math.sin(Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180);
+  return 0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI);
+}
+
+function sameItems(a, b){
+  if(a.length!==b.length) return false;
+  for(let i=0;i<a.length;i++) if(a[i]!==b[i]) return false;
+  return true;
+}
+
+/**
+ * @param {any} map Leaflet map
+ * @param {{popup:(it:Item)=>string, onItemClick?:(it:Item)=>void}} opts
+ */
+export function createDayLayers(map, opts){
+  const L = window.L;
+  const renderer = L.canvas({ padding: 0.5 });
+  const rawLayer = L.layerGroup().addTo(map);
+
+  /**
+   * @typedef {Object} BuiltDay
+   * @property {number} key
+   * @property {Item[]} items
+   * @property {string|null} color
+   * @property {any} group paths + visit markers
+   * @property {{poly:any, item:Item}[]} paths
+   * @property {{lat:number, lng:number, x:number, y:number}[]} raw
+   * @property {number} tolerance tolerance the paths were last simplified for
+   */
+  /** @type {Map<number, BuiltDay>} insertion order = least recently used first */
+  const cache = new Map();
+  /** @type {BuiltDay[]} */
+  let shown = [];
+
+  const styleOf = (/** @type {string|null} */ color)=>color ? { color } : { color: "#3388ff" };
+
+  /** @param {DayGroup} g @returns {BuiltDay} */
+  function build(g){
+    const group = L.featureGroup();
+    const paths = [];
+    const raw = [];
+    const tolerance = toleranceAt(map.getZoom(), map.getCenter().lat);
+    const click = (/** @type {Item} */ it)=>()=>opts.onItemClick?.(it);
+    for(const it of g.items){
+      if(it.kind==="activity"){
+        if(it.path && it.path.length>=2){
+          const poly = L.polyline(simplifiedLatLngs(it, tolerance), { renderer, weight: 5, opacity: 0.9, ...styleOf(g.color) });
+          poly.on("click", click(it));
+          poly.addTo(group);
+          paths.push({ poly, item: it });
+        }
+      } else if(it.kind==="visit"){
+        if(it.point){
+          const marker = L.marker([it.point.lat, it.point.lng]);
+          marker.bindPopup(()=>opts.popup(it)); // built on open, so it follows the UI language
+          marker.on("click", click(it));
+          marker.addTo(group);
+        }
+      } else if(it.kind==="rawpoint"){
+        if(it.point) raw.push({ lat: it.point.lat, lng: it.point.lng, x: mercX(it.point.lng), y: mercY(it.point.lat) });
+      }
+    }
+    return { key: g.key, items: g.items, color: g.color, group, paths, raw, tolerance };
+  }
+
+  function resimplify(){
+    const tolerance = toleranceAt(map.getZoom(), map.getCenter().lat);
+    for(const day of shown){
+      if(Math.abs(day.tolerance - tolerance) < tolerance*0.01) continue;
+      day.tolerance = tolerance;
+      for(const { poly, item } of day.paths) poly.setLatLngs(simplifiedLatLngs(item, tolerance));
+    }
+  }
+
+  /** Raw points of the shown days: direct when few are in view, else grid clusters */
+  function drawRaw(){
+    rawLayer.clearLayers();
+    const total = shown.reduce((s,d)=>s+d.raw.length, 0);
+    if(!total) return;
+    const zoom = map.getZoom();
+    const world = 256 * Math.pow(2, zoom);
+    const view = map.getPixelBounds();
+    const pad = CLUSTER_CELL_PX;
+    const minX = view.min.x - pad, minY = view.min.y - pad, maxX = view.max.x + pad, maxY = view.max.y + pad;
+
+    /** @type {{p:{lat:number,lng:number,x:number,y:number}, color:string|null}[]} */
+    const inView = [];
+    for(const day of shown){
+      for(const p of day.raw){
+        const px = p.x*world, py = p.y*world;
+        if(px<minX || px>maxX || py<minY || py>maxY) continue;
+        inView.push({ p, color: day.color });
+      }
+    }
+
+    const dot = (p, color)=>L.circleMarker([p.lat, p.lng], { renderer, radius: 2, opacity: 0.7, fillOpacity: 0.7, ...styleOf(color) });
+    if(inView.length<=RAW_DIRECT_LIMIT || zoom>=CLUSTER_MAX_ZOOM){
+      for(const { p, color } of inView) rawLayer.addLayer(dot(p, color));
+      return;
+    }
+
+    /** @type {Map<string, {n:number, lat:number, lng:number, bounds:any, first:{lat:number,lng:number}, color:string|null}>} */
+    const bins = new Map();
+    for(const { p, color } of inView){
+      const key = `${Math.floor(p.x*world/CLUSTER_CELL_PX)}:${Math.floor(p.y*world/CLUSTER_CELL_PX)}`;
+      const bin = bins.get(key);
+      if(bin){
+        bin.n++;
+        bin.lat += p.lat;
+        bin.lng += p.lng;
+        bin.bounds.extend([p.lat, p.lng]);
+      } else {
+        bins.set(key, { n: 1, lat: p.lat, lng: p.lng, bounds: L.latLngBounds([p.lat, p.lng], [p.lat, p.lng]), first: p, color });
+      }
+    }
+    for(const bin of bins.values()){
+      if(bin.n===1){
+        rawLayer.addLayer(dot(bin.first, bin.color));
+        continue;
+      }
+      const size = Math.round(22 + Math.min(22, Math.log10(bin.n)*8));
+      const marker = L.marker([bin.lat/bin.n, bin.lng/bin.n], {
+        icon: L.divIcon({ className: "cluster", html: `<div>${bin.n}</div>`, iconSize: [size, size] }),
+        keyboard: false,
+      });
+      marker.on("click", ()=>map.fitBounds(bin.bounds.pad(0.1)));
+      rawLayer.addLayer(marker);
+    }
+  }
+
+  map.on("zoomend", resimplify);
+  map.on("moveend", drawRaw);
+
+  return {
+    /**
+     * Show exactly these days. Days drawn before with the same items are reused.
+     * @param {DayGroup[]} groups
+     */
+    show(groups){
+      const next = [];
+      for(const g of groups){
+        let day = cache.get(g.key);
+        if(day && !sameItems(day.items, g.items)){
+          if(map.hasLayer(day.group)) map.removeLayer(day.group);
+          day = undefined;
+        }
+        if(!day) day = build(g);
+        if(day.color!==g.color){
+          day.color = g.color;
+          for(const { poly } of day.paths) poly.setStyle(styleOf(g.color));
+        }
+        cache.delete(g.key);
+        cache.set(g.key, day);
+        next.push(day);
+      }
+      const keep = new Set(next);
+      for(const day of shown) if(!keep.has(day)) map.removeLayer(day.group);
+      for(const day of next) if(!map.hasLayer(day.group)) day.group.addTo(map);
+      shown = next;
+
+      while(cache.size>CACHE_DAYS){
+        const [oldest] = cache.values();
+        if(keep.has(oldest)) break;
+        cache.delete(oldest.key);
+      }
+      resimplify();
+      drawRaw();
+    },
+
+    /** Stop listening to the map (before it is removed) */
+    destroy(){
+      map.off("zoomend", resimplify);
+      map.off("moveend", drawRaw);
+      cache.clear();
+      shown = [];
+    },
+  };
+}
@@ -0,0 +1,339 @@
+/* Timeline Trace (Local) - MapLibre GL implementation of the map adapter (see map-adapter.js)
+ * Everything is drawn by WebGL from GeoJSON sources: MapLibre simplifies paths per zoom and
+ * clusters raw points in its worker, which copes with far larger days than DOM markers.
+ * The library is only downloaded when this renderer is chosen.
+ */
+
+import { pathParts } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./map-adapter.js").MapAdapter} MapAdapter */
+/** @typedef {import("./map-adapter.js").MapAdapterOptions} MapAdapterOptions */
+/** @typedef {import("./map-adapter.js").BaseLayerSpec} BaseLayerSpec */
+/** @typedef {import("./heatmap.js").HeatPoints} HeatPoints */
+/** @typedef {import("./tile-files.js").TileSource} TileSource */
+
+const MAPLIBRE_URL = "https://unpkg.com/maplibre-gl@4.7.1/dist/";
+const DEFAULT_PATH_COLOR = "#3388ff";
+/** Our sources and layers; kept when the base style is replaced */
+const PREFIX = "tt-";
+/** Heat points are summed into cells of 1/2^HEAT_GRID_BITS of the world (~150 m) before upload */
+const HEAT_GRID_BITS = 18;
+const LOCAL_PROTOCOL = "ttlocal";
+/** The adapter speaks 256 px tile zoom levels (like Leaflet); MapLibre's are one lower for the same scale */
+const ZOOM_OFFSET = 1;
+// 1×1 transparent PNG for tiles the local file does not have
+const EMPTY_PNG = Uint8Array.from(atob("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII="), c=>c.charCodeAt(0));
+
+/** @type {Promise<any>|null} */
+let loading = null;
+
+function loadMapLibre(){
+  if(window.maplibregl) return Promise.resolve(window.maplibregl);
+  if(loading) return loading;
+  loading = new Promise((resolve, reject)=>{
+    const css = document.createElement("link");
+    css.rel = "stylesheet";
+    css.href = `${MAPLIBRE_URL}maplibre-gl.css`;
+    document.head.appendChild(css);
+    const script = document.createElement("script");
+    script.src = `${MAPLIBRE_URL}maplibre-gl.js`;
+    script.onload = ()=>resolve(window.maplibregl);
+    script.onerror = ()=>reject(new Error("MapLibre GL could not be loaded"));
+    document.head.appendChild(script);
+  });
+  loading.catch(()=>{ loading = null; });
+  return loading;
+}
+
+/** The local tile file currently served through the ttlocal:// protocol */
+/** @type {TileSource|null} */
+let localSource = null;
+let protocolAdded = false;
+
+/** @param {any} maplibregl */
+function addLocalProtocol(maplibregl){
+  if(protocolAdded) return;
+  protocolAdded = true;
+  maplibregl.addProtocol(LOCAL_PROTOCOL, async (params)=>{
+    const m = /(\d+)\/(\d+)\/(\d+)$/.exec(params.url);
+    const blob = m && localSource ? await localSource.getTile(Number(m[1]), Number(m[2]), Number(m[3])) : null;
+    return { data: blob ? await blob.arrayBuffer() : EMPTY_PNG.buffer.slice(0) };
+  });
+}
+
+/** @param {BaseLayerSpec} spec @returns {any} style object or URL */
+function baseStyle(spec){
+  if(spec.type==="style") return spec.url;
+  /** @type {any} */
+  let source;
+  if(spec.type==="file"){
+    const s = spec.source;
+    source = {
+      type: "raster",
+      tiles: [`${LOCAL_PROTOCOL}://tiles/{z}/{x}/{y}`],
+      tileSize: 256,
+      minzoom: s.minZoom,
+      maxzoom: s.maxZoom,
+      attribution: s.attribution,
+      ...(s.bounds ? { bounds: s.bounds } : {}),
+    };
+  } else {
+    // Leaflet-style templates: {s} subdomains and {r} retina suffix
+    const url = spec.url.replace("{r}", "");
+    source = {
+      type: "raster",
+      tiles: url.includes("{s}") ? ["a","b","c"].map(s=>url.replace("{s}", s)) : [url],
+      tileSize: 256,
+      maxzoom: spec.maxZoom,
+      attribution: spec.attribution,
+    };
+  }
+  return { version: 8, sources: { base: source }, layers: [{ id: "base", type: "raster", source: "base" }] };
+}
+
+const EMPTY = { type: "FeatureCollection", features: [] };
+
+/** Sources and layers for the overlays, bottom to top */
+function overlayStyle(){
+  return {
+    sources: {
+      [`${PREFIX}heat`]: { type: "geojson", data: EMPTY },
+      [`${PREFIX}paths`]: { type: "geojson", data: EMPTY },
+      [`${PREFIX}raw`]: { type: "geojson", data: EMPTY, cluster: true, clusterRadius: 44, clusterMaxZoom: 17 },
+      [`${PREFIX}visits`]: { type: "geojson", data: EMPTY },
+      [`${PREFIX}zones`]: { type: "geojson", data: EMPTY },
+      [`${PREFIX}playback`]: { type: "geojson", data: EMPTY },
+    },
+    layers: [
+      {
+        id: `${PREFIX}heat`, type: "heatmap", source: `${PREFIX}heat`, layout: { visibility: "none" },
+        paint: { "heatmap-weight": ["get", "w"], "heatmap-radius": 18, "heatmap-intensity": 1, "heatmap-opacity": 0.8 },
+      },
+      {
+        id: `${PREFIX}paths`, type: "line", source: `${PREFIX}paths`,
+        layout: { "line-join": "round", "line-cap": "round" },
+        paint: { "line-color": ["get", "color"], "line-width": 5, "line-opacity": 0.9 },
+      },
+      {
+        id: `${PREFIX}raw-points`, type: "circle", source: `${PREFIX}raw`, filter: ["!", ["has", "point_count"]],
+        paint: { "circle-radius": 2, "circle-color": ["get", "color"], "circle-opacity": 0.7 },
+      },
+      {
+        id: `${PREFIX}raw-clusters`, type: "circle", source: `${PREFIX}raw`, filter: ["has", "point_count"],
+        paint: {
+          "circle-radius": ["interpolate", ["linear"], ["log10", ["get", "point_count"]], 0, 11, 4, 22],
+          "circle-color": "rgba(11,87,208,.55)",
+          "circle-stroke-color": "rgba(255,255,255,.8)",
+          "circle-stroke-width": 1.5,
+        },
+      },
+      {
+        id: `${PREFIX}visits`, type: "circle", source: `${PREFIX}visits`,
+        paint: { "circle-radius": 7, "circle-color": ["get", "color"], "circle-stroke-color": "#fff", "circle-stroke-width": 2 },
+      },
+      { id: `${PREFIX}zones-fill`, type: "fill", source: `${PREFIX}zones`, paint: { "fill-color": "#f59e0b", "fill-opacity": 0.12 } },
+      {
+        id: `${PREFIX}zones-line`, type: "line", source: `${PREFIX}zones`,
+        paint: { "line-color": "#f59e0b", "line-width": 2, "line-dasharray": [3, 3] },
+      },
+      {
+        id: `${PREFIX}playback`, type: "circle", source: `${PREFIX}playback`,
+        paint: { "circle-radius": 8, "circle-color": "#f97316", "circle-stroke-color": "#fff", "circle-stroke-width": 3 },
+      },
+    ],
+  };
+}
+
+/**
+ * A circle on the ground as a GeoJSON polygon (MapLibre has no metric circles).
+ * @param {{lat:number, lng:number, radius:number}} z radius in meters
+ */
+function circleFeature(z){
+  const dLat = z.radius / 111320;
+  const dLng = dLat / Math.max(0.01, Math.cos(z.lat * Math.PI / 180));
+  const ring = [];
+  for(let i=0;i<=64;i++){
+    const a = i / 64 * 2 * Math.PI;
+    ring.push([z.lng + dLng*Math.cos(a), z.lat + dLat*Math.sin(a)]);
+  }
+  return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [ring] } };
+}
+
+/**
+ * HeatPoints (Mercator) as GeoJSON, summed per grid cell and with weights scaled to 0..1.
+ * @param {HeatPoints} points
+ */
+function heatFeatures(points){
+  const g = Math.pow(2, HEAT_GRID_BITS);
+  /** @type {Map<number, number>} */
+  const cells = new Map();
+  for(let i=0;i<points.count;i++){
+    const key = Math.floor(points.xs[i]*g) * g + Math.floor(points.ys[i]*g);
+    cells.set(key, (cells.get(key) || 0) + points.ws[i]);
+  }
+  let max = 0;
+  for(const w of cells.values()) if(w>max) max = w;
+  const norm = Math.log1p(max) || 1;
+  const features = [];
+  for(const [key, w] of cells){
+    const cx = Math.floor(key / g), cy = key - cx*g;
+    const lng = (cx+0.5) / g * 360 - 180;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2*(cy+0.5)/g))) * 180 / Math.PI;
+    features.push({ type: "Feature", properties: { w: Math.log1p(w) / norm }, geometry: { type: "Point", coordinates: [lng, lat] } });
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {MapAdapterOptions} opts
+ * @returns {Promise<MapAdapter>}
+ */
+export async function createMapLibreMap(container, opts){
+  const maplibregl = await loadMapLibre();
+  addLocalProtocol(maplibregl);
+  const overlays = overlayStyle();
+  const map = new maplibregl.Map({
+    container,
+    style: { version: 8, sources: overlays.sources, layers: overlays.layers },
+    center: [opts.center.lng, opts.center.lat],
+    zoom: opts.zoom - ZOOM_OFFSET,
+  });
+  map.addControl(new maplibregl.NavigationControl({ showCompass: false }), "top-left");
+  await new Promise((resolve)=>map.once("load", resolve));
+
+  /** @type {Item[]} items by the "i" property of the path/visit features */
+  let shownItems = [];
+  let heatOptions = { radius: 18, intensity: 1 };
+  const setData = (id, data)=>map.getSource(`${PREFIX}${id}`)?.setData(data);
+  const itemOf = (e)=>shownItems[e.features?.[0]?.properties?.i];
+
+  map.on("click", `${PREFIX}visits`, (e)=>{
+    const it = itemOf(e);
+    if(!it?.point) return;
+    new maplibregl.Popup().setLngLat([it.point.lng, it.point.lat]).setHTML(opts.popup(it)).addTo(map);
+    opts.onItemClick?.(it);
+  });
+  map.on("click", `${PREFIX}paths`, (e)=>{
+    const it = itemOf(e);
+    if(it) opts.onItemClick?.(it);
+  });
+  map.on("click", `${PREFIX}raw-clusters`, async (e)=>{
+    const f = e.features?.[0];
+    if(!f) return;
+    const zoom = await map.getSource(`${PREFIX}raw`).getClusterExpansionZoom(f.properties.cluster_id);
+    map.easeTo({ center: f.geometry.coordinates, zoom });
+  });
+  for(const id of ["visits", "paths", "raw-clusters"]){
+    map.on("mouseenter", `${PREFIX}${id}`, ()=>{ map.getCanvas().style.cursor = "pointer"; });
+    map.on("mouseleave", `${PREFIX}${id}`, ()=>{ map.getCanvas().style.cursor = ""; });
+  }
+
+  const view = ()=>{
+    const c = map.getCenter();
+    return { center: { lat: c.lat, lng: c.lng }, zoom: map.getZoom() + ZOOM_OFFSET };
+  };
+
+  const applyHeatOptions = ()=>{
+    if(!map.getLayer(`${PREFIX}heat`)) return;
+    map.setPaintProperty(`${PREFIX}heat`, "heatmap-radius", heatOptions.radius);
+    map.setPaintProperty(`${PREFIX}heat`, "heatmap-intensity", heatOptions.intensity);
+  };
+
+  return {
+    kind: "maplibre",
+
+    showDays(groups){
+      const paths = [], visits = [], raw = [];
+      shownItems = [];
+      for(const g of groups){
+        const color = g.color || DEFAULT_PATH_COLOR;
+        for(const it of g.items){
+          if(it.kind==="activity" && it.path.length>=2){
+            const lines = pathParts(it).filter(p=>p.length>=2).map(part=>part.map(p=>[p.lng, p.lat]));
+            paths.push({ type: "Feature", properties: { i: shownItems.length, color }, geometry: { type: "MultiLineString", coordinates: lines } });
+            shownItems.push(it);
+          } else if(it.kind==="visit" && it.point){
+            visits.push({ type: "Feature", properties: { i: shownItems.length, color }, geometry: { type: "Point", coordinates: [it.point.lng, it.point.lat] } });
+            shownItems.push(it);
+          } else if(it.kind==="rawpoint" && it.point){
+            raw.push({ type: "Feature", properties: { color }, geometry: { type: "Point", coordinates: [it.point.lng, it.point.lat] } });
+          }
+        }
+      }
+      setData("paths", { type: "FeatureCollection", features: paths });
+      setData("visits", { type: "FeatureCollection", features: visits });
+      setData("raw", { type: "FeatureCollection", features: raw });
+    },
+
+    fitBounds(b){
+      map.fitBounds([[b.west, b.south], [b.east, b.north]], { animate: true, maxZoom: 19 - ZOOM_OFFSET });
+    },
+
+    focusPoint(p, minZoom){
+      map.easeTo({ center: [p.lng, p.lat], zoom: Math.max(map.getZoom(), minZoom - ZOOM_OFFSET) });
+    },
+
+    setPlaybackMarker(p, follow){
+      setData("playback", p
+        ? { type: "Feature", properties: {}, geometry: { type: "Point", coordinates: [p.lng, p.lat] } }
+        : EMPTY);
+      if(!p || !follow) return;
+      const { x, y } = map.project([p.lng, p.lat]);
+      const w = container.clientWidth, h = container.clientHeight;
+      if(x<w*0.1 || x>w*0.9 || y<h*0.1 || y>h*0.9) map.panTo([p.lng, p.lat]);
+    },
+
+    setBaseLayer(spec){
+      if(spec.type==="file") localSource = spec.source;
+      // replace the style but carry our sources (with their current data) and layers over
+      map.setStyle(baseStyle(spec), {
+        diff: false,
+        transformStyle: (prev, next)=>{
+          if(!prev) return next;
+          const sources = { ...next.sources };
+          for(const [id, s] of Object.entries(prev.sources)) if(id.startsWith(PREFIX)) sources[id] = s;
+          return { ...next, sources, layers: [...next.layers, ...prev.layers.filter(l=>l.id.startsWith(PREFIX))] };
+        },
+      });
+      map.once("styledata", applyHeatOptions);
+    },
+
+    setHeat(points){
+      if(!map.getLayer(`${PREFIX}heat`)) return;
+      map.setLayoutProperty(`${PREFIX}heat`, "visibility", points ? "visible" : "none");
+      if(points) setData("heat", heatFeatures(points));
+    },
+
+    setHeatOptions(o){
+      heatOptions = { ...heatOptions, ...o };
+      applyHeatOptions();
+    },
+
+    setZones(list){
+      setData("zones", { type: "FeatureCollection", features: list.map(circleFeature) });
+    },
+
+    onClick(fn){
+      map.on("click", (e)=>fn({ lat: e.lngLat.lat, lng: e.lngLat.lng }));
+    },
+
+    onViewChange(fn){
+      map.on("moveend", ()=>fn(view()));
+    },
+
+    getView(){
+      return view();
+    },
+
+    setView(v){
+      map.jumpTo({ center: [v.center.lng, v.center.lat], zoom: v.zoom - ZOOM_OFFSET });
+    },
+
+    destroy(){
+      map.remove();
+      container.innerHTML = "";
+    },
+  };
+}
@@ -0,0 +1,494 @@
+/* Timeline Trace (Local) - Item model and Google Timeline parsers
+ * Shared by the UI thread and the import worker, so this module must not touch the DOM.
+ * The converters here are wired up as importers in importers.js.
+ */
+
+/** @typedef {{lat:number,lng:number,time?:Date}} LatLng time is only set on path points the export timestamps */
+/** @typedef {"activity"|"visit"|"rawpoint"} ItemKind */
+
+/**
+ * @typedef {Object} Item
+ * @property {ItemKind} kind
+ * @property {Date} start
+ * @property {Date|null} end
+ * @property {string} title
+ * @property {string} subtitle
+ * @property {string} emoji
+ * @property {LatLng|null} point
+ * @property {LatLng[]} path
+ * @property {number|null} distanceMeters
+ * @property {string|null} activityType
+ * @property {number|null} [tzOffsetMinutes] UTC offset where the item started, when the export says
+ * @property {number|null} [endTzOffsetMinutes] UTC offset at the end (differs after a flight etc)
+ * @property {string|null} [placeId] visits: Google place id, when the export has one
+ * @property {string|null} [semanticType] visits: Google's label for the place, e.g. "HOME", "INFERRED_WORK", "TYPE_HOME"
+ * @property {number|null} [accuracyMeters] rawpoints: reported accuracy radius
+ * @property {boolean} [edited] changed by a user edit (see edits.js)
+ * @property {string} [note] user note (see edits.js)
+ * @property {string} [sourceId] pieces of a split item: itemId() of the item that was split
+ * @property {boolean} [masked] renamed by a privacy zone (see privacy.js)
+ * @property {number[]} [pathBreaks] activities: indexes i where nothing is drawn from path[i-1] to
+ *   path[i] (a privacy zone cut the path there, see privacy.js and pathParts)
+ */
+
+/** @typedef {string} DetectedFormat id of the importer that read a file (see importers.js), or "unknown" */
+
+/** @typedef {Partial<Record<DetectedFormat, number>>} FormatMix number of source files per detected format */
+
+/**
+ * Why a converter dropped an export record (see import-report.js):
+ * noTime = no valid start time, noCoordinates = a raw fix without latitudeE7/longitudeE7,
+ * timelineMemory = a trip summary of the new export (not converted), unsupported = anything else
+ * @typedef {"noTime"|"noCoordinates"|"timelineMemory"|"unsupported"} SkipReason
+ */
+
+/** Parse "35.1234567°, 139.1234567°" or "35.123,139.123" etc. */
+export function parseLatLngString(s){
+  if(!s || typeof s !== "string") return null;
+  // remove degree sign and spaces
+  const cleaned = s.replace(/[°\s]/g, "");
+  // allow comma separated
+  const parts = cleaned.split(",");
+  if(parts.length >= 2){
+    const lat = Number(parts[0]);
+    const lng = Number(parts[1]);
+    if(Number.isFinite(lat) && Number.isFinite(lng)) return {lat, lng};
+  }
+  // fallback: find two floats via regex
+  const m = cleaned.match(/(-?\d+(?:\.\d+)?).*(-?\d+(?:\.\d+)?)/);
+  if(m){
+    const lat = Number(m[1]);
+    const lng = Number(m[2]);
+    if(Number.isFinite(lat) && Number.isFinite(lng)) return {lat, lng};
+  }
+  return null;
+}
+
+/** Great-circle distance in meters */
+export function haversineMeters(a, b){
+  const R = 6371008.8;
+  const toRad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * toRad;
+  const dLng = (b.lng - a.lng) * toRad;
+  const h = Math.sin(dLat/2)**2 + Math.cos(a.lat*toRad) * Math.cos(b.lat*toRad) * Math.sin(dLng/2)**2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** @param {LatLng[]} path */
+export function pathDistanceMeters(path){
+  let sum = 0;
+  for(let i=1;i<path.length;i++) sum += haversineMeters(path[i-1], path[i]);
+  return sum;
+}
+
+/**
+ * The pieces of an activity's path that are drawn (or exported) as lines: the whole path, unless
+ * pathBreaks cut it.
+ * @param {Item} it
+ * @returns {LatLng[][]}
+ */
+export function pathParts(it){
+  if(!it.pathBreaks?.length) return [it.path];
+  const parts = [];
+  let from = 0;
+  for(const b of it.pathBreaks){
+    parts.push(it.path.slice(from, b));
+    from = b;
+  }
+  parts.push(it.path.slice(from));
+  return parts;
+}
+
+/** "IN_PASSENGER_VEHICLE" -> "In Passenger Vehicle" */
+export function activityTitle(activityType){
+  return activityType ? activityType.replaceAll("_"," ").toLowerCase().replace(/\b\w/g, c=>c.toUpperCase()) : "移動";
+}
+
+export function distanceSubtitle(distanceMeters){
+  return Number.isFinite(distanceMeters)
+    ? (distanceMeters >= 1000 ? `${(distanceMeters/1000).toFixed(1)} km の移動` : `${Math.round(distanceMeters)} m の移動`)
+    : "移動";
+}
+
+function latE7ToNum(v){
+  const n = Number(v);
+  if(!Number.isFinite(n)) return null;
+  return n * 1e-7;
+}
+
+/**
+ * UTC offset in minutes: an explicit *TimezoneUtcOffsetMinutes field, else the "+09:00" suffix of
+ * the ISO timestamp. "Z" only says the time is in UTC, not where it happened, so it gives null.
+ */
+function offsetMinutes(explicit, isoString){
+  const n = explicit != null ? Number(explicit) : NaN;
+  if(Number.isFinite(n)) return n;
+  const m = typeof isoString === "string" ? isoString.match(/([+-])(\d{2}):?(\d{2})$/) : null;
+  if(!m) return null;
+  return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+}
+
+/** New/old timelineObjects date parser: ISO8601 string OR epoch(ms) string */
+function parseDateDual(isoString, msString){
+  if(typeof isoString === "string"){
+    const d = new Date(isoString);
+    if(!isNaN(d.getTime())) return d;
+  }
+  if(typeof msString === "string" || typeof msString === "number"){
+    const ms = Number(msString);
+    if(Number.isFinite(ms)){
+      const d = new Date(ms);
+      if(!isNaN(d.getTime())) return d;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {any} obj one element of timelineObjects[]
+ * @param {Item[]} items
+ * @returns {SkipReason|void} why nothing was added
+ */
+export function appendTimelineObject(obj, items){
+  const before = items.length;
+  if(obj && obj.activitySegment){
+    const seg = obj.activitySegment;
+
+    const dur = seg.duration || {};
+    const start = parseDateDual(dur.startTimestamp, dur.startTimestampMs);
+    const end = parseDateDual(dur.endTimestamp, dur.endTimestampMs);
+
+    // activityType / distance
+    const activityType = (seg.activityType && String(seg.activityType)) || null;
+    const distanceMeters = (seg.distance != null ? Number(seg.distance) : null);
+    const title = activityTitle(activityType);
+    const subtitle = distanceSubtitle(distanceMeters);
+
+    // path (waypoints)
+    /** @type {LatLng[]} */
+    let path = [];
+    const wps = seg.waypointPath?.waypoints;
+    if(Array.isArray(wps)){
+      for(const p of wps){
+        const lat = latE7ToNum(p?.latE7);
+        const lng = latE7ToNum(p?.lngE7);
+        if(lat != null && lng != null) path.push({lat,lng});
+      }
+    }
+
+    // start/end points fallback
+    const sLoc = seg.startLocation;
+    const eLoc = seg.endLocation;
+    const sLat = latE7ToNum(sLoc?.latitudeE7);
+    const sLng = latE7ToNum(sLoc?.longitudeE7);
+    const eLat = latE7ToNum(eLoc?.latitudeE7);
+    const eLng = latE7ToNum(eLoc?.longitudeE7);
+    if(path.length === 0){
+      if(sLat!=null && sLng!=null) path.push({lat:sLat,lng:sLng});
+      if(eLat!=null && eLng!=null) path.push({lat:eLat,lng:eLng});
+    }
+
+    const emoji = activityEmoji(activityType);
+
+    if(start){
+      items.push({
+        kind: "activity",
+        start,
+        end: end || null,
+        title,
+        subtitle,
+        emoji,
+        point: null,
+        path,
+        distanceMeters: Number.isFinite(distanceMeters) ? distanceMeters : null,
+        activityType,
+      });
+    }
+  }
+
+  if(obj && obj.placeVisit){
+    const v = obj.placeVisit;
+    const dur = v.duration || {};
+    const start = parseDateDual(dur.startTimestamp, dur.startTimestampMs);
+    const end = parseDateDual(dur.endTimestamp, dur.endTimestampMs);
+
+    const loc = v.location || {};
+    const name = (loc.name && String(loc.name)) || "不明な場所";
+    const address = (loc.address && String(loc.address)) || "住所不明";
+
+    const lat = latE7ToNum(loc.latitudeE7);
+    const lng = latE7ToNum(loc.longitudeE7);
+
+    if(start){
+      items.push({
+        kind: "visit",
+        start,
+        end: end || null,
+        title: name,
+        subtitle: address,
+        emoji: "📍",
+        point: (lat!=null && lng!=null) ? {lat,lng} : null,
+        path: [],
+        distanceMeters: null,
+        activityType: null,
+        placeId: typeof loc.placeId === "string" ? loc.placeId : null,
+        semanticType: typeof loc.semanticType === "string" ? loc.semanticType : null,
+      });
+    }
+  }
+
+  if(items.length===before) return obj?.activitySegment || obj?.placeVisit ? "noTime" : "unsupported";
+}
+
+/**
+ * @param {any} seg one element of semanticSegments[]
+ * @param {Item[]} items
+ * @returns {SkipReason|void} why nothing was added
+ */
+export function appendSemanticSegment(seg, items){
+  const start = (typeof seg?.startTime === "string") ? new Date(seg.startTime) : null;
+  const end = (typeof seg?.endTime === "string") ? new Date(seg.endTime) : null;
+  const startOK = start && !isNaN(start.getTime());
+
+  if(!startOK) return "noTime";
+
+  const tzOffsetMinutes = offsetMinutes(seg.startTimeTimezoneUtcOffsetMinutes, seg.startTime);
+  const endTzOffsetMinutes = offsetMinutes(seg.endTimeTimezoneUtcOffsetMinutes, seg.endTime);
+
+  // visit
+  if(seg.visit){
+    // Qiita references visit.topCandidate.placeLocation.latLng etc. citeturn1view0
+    const top = seg.visit?.topCandidate || {};
+    const placeLoc = top.placeLocation || top.placeLocationLatLng || top.placeLocation?.latLng;
+    const latLngStr = typeof top.placeLocation?.latLng === "string" ? top.placeLocation.latLng
+                    : typeof top.placeLocation === "string" ? top.placeLocation
+                    : typeof placeLoc === "string" ? placeLoc
+                    : null;
+    const point = parseLatLngString(latLngStr);
+
+    const name = pickFirstString(
+      top.placeName,
+      top.name,
+      top.placeId,
+      top.semanticType,
+      seg.visit?.topCandidate?.semanticType,
+      "Visit"
+    );
+    const addr = pickFirstString(
+      top.placeAddress,
+      top.address,
+      seg.visit?.address,
+      seg.visit?.hierarchyLevel != null ? `hierarchyLevel=${seg.visit.hierarchyLevel}` : null,
+      ""
+    );
+
+    items.push({
+      kind:"visit",
+      start,
+      end: (end && !isNaN(end.getTime())) ? end : null,
+      title: name,
+      subtitle: addr || "訪問",
+      emoji:"📍",
+      point,
+      path: [],
+      distanceMeters: null,
+      activityType: null,
+      tzOffsetMinutes,
+      endTzOffsetMinutes,
+      placeId: typeof top.placeId === "string" ? top.placeId : null,
+      semanticType: typeof top.semanticType === "string" ? top.semanticType : null,
+    });
+    return;
+  }
+
+  // activity
+  if(seg.activity){
+    const top = seg.activity?.topCandidate || {};
+    const type = pickFirstString(top.type, seg.activity?.type, "ACTIVITY");
+    const title = activityTitle(type);
+    const dist = seg.activity?.distanceMeters != null ? Number(seg.activity.distanceMeters) : null;
+    const subtitle = distanceSubtitle(dist);
+
+    const startPt = parseLatLngString(seg.activity?.start?.latLng);
+    const endPt = parseLatLngString(seg.activity?.end?.latLng);
+
+    /** @type {LatLng[]} */
+    const path = [];
+    if(Array.isArray(seg.timelinePath)){
+      for(const p of seg.timelinePath){
+        const pt = parseLatLngString(p?.point);
+        if(!pt) continue;
+        const t = typeof p.time === "string" ? new Date(p.time) : null;
+        if(t && !isNaN(t.getTime())) pt.time = t;
+        path.push(pt);
+      }
+    }
+
+    // fallback points if path missing
+    if(path.length === 0){
+      if(startPt) path.push(startPt);
+      if(endPt) path.push(endPt);
+    }
+
+    items.push({
+      kind:"activity",
+      start,
+      end: (end && !isNaN(end.getTime())) ? end : null,
+      title,
+      subtitle,
+      emoji: activityEmoji(type),
+      point: null,
+      path,
+      distanceMeters: Number.isFinite(dist) ? dist : null,
+      activityType: type || null,
+      tzOffsetMinutes,
+      endTzOffsetMinutes,
+    });
+    return;
+  }
+
+  // neither visit nor activity: timelineMemory (trip summaries) or something newer
+  return seg?.timelineMemory ? "timelineMemory" : "unsupported";
+}
+
+/** Records.json activity guesses → semantic-export activity types */
+const RECORD_ACTIVITY_TYPES = {
+  ON_FOOT: "WALKING",
+  WALKING: "WALKING",
+  RUNNING: "RUNNING",
+  ON_BICYCLE: "CYCLING",
+  IN_VEHICLE: "IN_PASSENGER_VEHICLE",
+  IN_ROAD_VEHICLE: "IN_PASSENGER_VEHICLE",
+  IN_FOUR_WHEELER_VEHICLE: "IN_PASSENGER_VEHICLE",
+  IN_CAR: "IN_PASSENGER_VEHICLE",
+  IN_BUS: "IN_BUS",
+  IN_RAIL_VEHICLE: "IN_TRAIN",
+  STILL: "STILL",
+};
+function recordActivityType(type){
+  return RECORD_ACTIVITY_TYPES[String(type).toUpperCase()] || null;
+}
+
+/**
+ * @param {any} loc one element of locations[]
+ * @param {Item[]} items
+ * @returns {SkipReason|void} why nothing was added
+ */
+export function appendRecordsLocation(loc, items){
+  // Records.json can be huge; one item per point here, segmentRawPoints() turns them into stays and trips.
+  const ms = loc?.timestampMs ?? loc?.timestampMS ?? loc?.timestamp ?? null;
+  const t = parseDateDual(null, ms);
+  if(!t) return "noTime";
+
+  const lat = latE7ToNum(loc?.latitudeE7);
+  const lng = latE7ToNum(loc?.longitudeE7);
+  if(lat==null || lng==null) return "noCoordinates";
+
+  const accuracy = Number(loc?.accuracy);
+  // most likely recorded activity guess, used to infer the mode of derived trips (segmentation.js)
+  const guess = Array.isArray(loc?.activity) ? loc.activity[0]?.activity?.[0]?.type : null;
+
+  items.push({
+    kind:"rawpoint",
+    start:t,
+    end:null,
+    title:"Location point",
+    subtitle:`accuracy=${loc?.accuracy ?? "?"}m`,
+    emoji:"•",
+    point:{lat,lng},
+    path:[],
+    distanceMeters:null,
+    activityType: guess ? recordActivityType(guess) : null,
+    accuracyMeters: Number.isFinite(accuracy) ? accuracy : null,
+  });
+}
+
+/** Two zero-length items closer than this are treated as the same record */
+const DUP_INSTANT_MS = 60 * 1000;
+/** Share of the shorter item's duration two segments must overlap to count as duplicates */
+const DUP_OVERLAP_RATIO = 0.8;
+
+/**
+ * Drop items that describe the same segment twice, e.g. when an old timelineObjects export and a
+ * newer semanticSegments export of the same months are loaded together. Of each duplicate pair the
+ * item carrying more detail is kept.
+ * @param {Item[]} items sorted by start
+ * @returns {Item[]} sorted by start
+ */
+export function dedupeItems(items){
+  /** @type {Item[]} */
+  const kept = [];
+  /** kept items, per kind, whose time range may still overlap the next item */
+  const open = { activity:/** @type {Item[]} */([]), visit:/** @type {Item[]} */([]), rawpoint:/** @type {Item[]} */([]) };
+  const dropped = new Set();
+
+  for(const it of items){
+    const s = it.start.getTime();
+    const bucket = open[it.kind];
+    // drop the items that ended too long ago first, so the index found below stays valid
+    for(let i=bucket.length-1;i>=0;i--){
+      const other = bucket[i];
+      if((other.end || other.start).getTime() + DUP_INSTANT_MS < s) bucket.splice(i, 1);
+    }
+    let dupOf = -1;
+    for(let i=bucket.length-1;i>=0 && dupOf<0;i--){
+      if(isDuplicate(bucket[i], it)) dupOf = i;
+    }
+
+    if(dupOf<0){
+      kept.push(it);
+      bucket.push(it);
+      continue;
+    }
+    const other = bucket[dupOf];
+    if(itemDetail(it) > itemDetail(other)){
+      dropped.add(other);
+      bucket[dupOf] = it;
+      kept.push(it);
+    }
+  }
+  return dropped.size ? kept.filter(it=>!dropped.has(it)) : kept;
+}
+
+/** @param {Item} a @param {Item} b same kind, a.start <= b.start */
+function isDuplicate(a, b){
+  if(a.kind==="rawpoint"){
+    return Math.abs(b.start.getTime()-a.start.getTime()) < 1000
+      && a.point && b.point
+      && Math.abs(a.point.lat-b.point.lat) < 1e-5 && Math.abs(a.point.lng-b.point.lng) < 1e-5;
+  }
+  const as = a.start.getTime(), ae = (a.end || a.start).getTime();
+  const bs = b.start.getTime(), be = (b.end || b.start).getTime();
+  const shorter = Math.min(ae-as, be-bs);
+  if(shorter<=0) return Math.abs(bs-as) <= DUP_INSTANT_MS;
+  const overlap = Math.min(ae,be) - Math.max(as,bs);
+  return overlap >= shorter * DUP_OVERLAP_RATIO;
+}
+
+/** Rough "how much does this item tell us" score used to pick between duplicates */
+function itemDetail(it){
+  return it.path.length
+    + (it.point ? 2 : 0)
+    + (it.distanceMeters != null ? 1 : 0)
+    + (it.end ? 1 : 0)
+    + (it.subtitle && it.subtitle !== "住所不明" ? 1 : 0);
+}
+
+function pickFirstString(...candidates){
+  for(const c of candidates){
+    if(typeof c === "string" && c.trim().length) return c.trim();
+  }
+  return "";
+}
+
+export function activityEmoji(activityType){
+  const t = (activityType || "").toUpperCase();
+  if(t.includes("WALK")) return "🚶";
+  if(t.includes("BIC") || t.includes("CYCLE")) return "🚴";
+  if(t.includes("TRAIN") || t.includes("SUBWAY") || t.includes("TRAM")) return "🚆";
+  if(t.includes("BUS")) return "🚌";
+  if(t.includes("FLY")) return "✈️";
+  if(t.includes("PASSENGER") || t.includes("CAR") || t.includes("VEHICLE")) return "🚗";
+  if(t.includes("STILL")) return "🧍";
+  return "➡️";
+}
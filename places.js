@@ -0,0 +1,122 @@
+/* Timeline Trace (Local) - places index
+ * Groups visit items into distinct places: by Google placeId when the export has one,
+ * otherwise by distance to a place already seen. Pure functions, no DOM.
+ */
+
+import { haversineMeters } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+
+/**
+ * @typedef {Object} Place
+ * @property {string} id placeId, or a generated "near:…" / "name:…" key
+ * @property {string} title most common name among its visits
+ * @property {string} subtitle address of the visit with that name
+ * @property {LatLng|null} point
+ * @property {Item[]} visits oldest first
+ * @property {number} dwellMs summed visit durations
+ * @property {Date} first start of the first visit
+ * @property {Date} last start of the last visit
+ */
+
+/** Visits closer than this to a place (without a placeId of their own) count as that place */
+export const PLACE_RADIUS_METERS = 75;
+
+// grid cell size in degrees of latitude; lng cells are widened by 1/cos(lat) so a cell is roughly square
+const CELL_DEG = PLACE_RADIUS_METERS / 111320;
+
+function cellOf(p){
+  const row = Math.floor(p.lat / CELL_DEG);
+  const lngDeg = CELL_DEG / Math.max(0.01, Math.cos(p.lat * Math.PI / 180));
+  return [row, Math.floor(p.lng / lngDeg)];
+}
+
+/**
+ * @param {Item[]} items any items; only visits are used
+ * @param {number} [radiusMeters]
+ * @returns {Place[]} most visited first
+ */
+export function buildPlaces(items, radiusMeters=PLACE_RADIUS_METERS){
+  /** @type {Map<string, {place:Place, names:Map<string, {count:number, subtitle:string}>}>} */
+  const byId = new Map();
+  /** @type {Map<string, Place[]>} places by grid cell, for the distance lookup */
+  const grid = new Map();
+
+  const addToGrid = (/** @type {Place} */ place)=>{
+    if(!place.point) return;
+    const [r,c] = cellOf(place.point);
+    const key = `${r}:${c}`;
+    const list = grid.get(key);
+    if(list) list.push(place);
+    else grid.set(key, [place]);
+  };
+  const nearest = (/** @type {LatLng} */ p)=>{
+    const [r,c] = cellOf(p);
+    /** @type {Place|null} */
+    let best = null;
+    let bestD = radiusMeters;
+    for(let dr=-1;dr<=1;dr++){
+      for(let dc=-1;dc<=1;dc++){
+        for(const place of grid.get(`${r+dr}:${c+dc}`) || []){
+          const d = haversineMeters(p, /** @type {LatLng} */ (place.point));
+          if(d<=bestD){ best = place; bestD = d; }
+        }
+      }
+    }
+    return best;
+  };
+  const add = (/** @type {string} */ id, /** @type {Item} */ it)=>{
+    let entry = byId.get(id);
+    if(!entry){
+      entry = {
+        place: { id, title: it.title, subtitle: it.subtitle, point: it.point, visits: [], dwellMs: 0, first: it.start, last: it.start },
+        names: new Map(),
+      };
+      byId.set(id, entry);
+      addToGrid(entry.place);
+    }
+    const { place, names } = entry;
+    place.visits.push(it);
+    if(it.end) place.dwellMs += Math.max(0, it.end.getTime() - it.start.getTime());
+    if(it.start<place.first) place.first = it.start;
+    if(it.start>place.last) place.last = it.start;
+    if(!place.point && it.point){
+      place.point = it.point;
+      addToGrid(place);
+    }
+    const n = names.get(it.title);
+    if(n) n.count++;
+    else names.set(it.title, { count: 1, subtitle: it.subtitle });
+  };
+
+  const visits = items.filter(it=>it.kind==="visit");
+  // placeId visits first, so nearby visits without one join the real place
+  for(const it of visits){
+    if(it.placeId) add(it.placeId, it);
+  }
+  for(const it of visits){
+    if(it.placeId) continue;
+    if(it.point){
+      const near = nearest(it.point);
+      add(near ? near.id : `near:${it.point.lat.toFixed(5)},${it.point.lng.toFixed(5)}`, it);
+    } else {
+      add(`name:${it.title}\n${it.subtitle}`, it);
+    }
+  }
+
+  const places = [];
+  for(const { place, names } of byId.values()){
+    let top = null;
+    for(const [title, n] of names){
+      if(!top || n.count>top[1].count) top = [title, n];
+    }
+    if(top){
+      place.title = top[0];
+      place.subtitle = top[1].subtitle;
+    }
+    place.visits.sort((a,b)=>a.start.getTime()-b.start.getTime());
+    places.push(place);
+  }
+  return places.sort((a,b)=>b.visits.length-a.visits.length || b.dwellMs-a.dwellMs);
+}
@@ -0,0 +1,131 @@
+/* Timeline Trace (Local) - day playback
+ * Flattens the items of a day into one time-ordered list of keyframes (where you were when),
+ * so a time slider can ask "where, and doing what, at time t". Pure functions, no DOM.
+ */
+
+import { haversineMeters } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+
+/**
+ * @typedef {Object} Track
+ * @property {Float64Array} times epoch ms, ascending
+ * @property {Float64Array} lats
+ * @property {Float64Array} lngs
+ * @property {Item[]} items item each keyframe came from
+ * @property {number} start
+ * @property {number} end
+ * @property {Item[]} spans items with a time span, by start (for "what is happening now")
+ */
+
+/**
+ * Times for every point of a path: recorded times where present; in between (and when the
+ * export has none at all) spread by distance between the item's start and end.
+ * @param {Item} it
+ * @returns {Float64Array}
+ */
+export function pathTimes(it){
+  const path = it.path;
+  const n = path.length;
+  const times = new Float64Array(n).fill(NaN);
+  path.forEach((p,i)=>{ if(p.time) times[i] = p.time.getTime(); });
+  if(isNaN(times[0])) times[0] = it.start.getTime();
+  if(isNaN(times[n-1])) times[n-1] = (it.end || it.start).getTime();
+
+  const cum = new Float64Array(n);
+  for(let i=1;i<n;i++) cum[i] = cum[i-1] + haversineMeters(path[i-1], path[i]);
+  let a = 0;
+  for(let i=1;i<n;i++){
+    if(isNaN(times[i])) continue;
+    // fill a+1 .. i-1 between the known times at a and i
+    const span = cum[i] - cum[a];
+    for(let j=a+1;j<i;j++){
+      const f = span>0 ? (cum[j]-cum[a]) / span : (j-a) / (i-a);
+      times[j] = times[a] + (times[i]-times[a]) * f;
+    }
+    a = i;
+  }
+  return times;
+}
+
+/**
+ * @param {Item[]} items items of the day(s), any order
+ * @returns {Track|null} null when nothing has a position
+ */
+export function buildTrack(items){
+  /** @type {{t:number, lat:number, lng:number, item:Item}[]} */
+  const frames = [];
+  for(const it of items){
+    if(it.kind==="activity" && it.path.length){
+      const times = pathTimes(it);
+      it.path.forEach((p,i)=>{
+        // across a privacy zone the marker waits at the edge it entered by instead of crossing it
+        if(it.pathBreaks?.includes(i)) frames.push({ t: times[i], lat: it.path[i-1].lat, lng: it.path[i-1].lng, item: it });
+        frames.push({ t: times[i], lat: p.lat, lng: p.lng, item: it });
+      });
+    } else if(it.point){
+      frames.push({ t: it.start.getTime(), lat: it.point.lat, lng: it.point.lng, item: it });
+      if(it.end) frames.push({ t: it.end.getTime(), lat: it.point.lat, lng: it.point.lng, item: it });
+    }
+  }
+  if(!frames.length) return null;
+  frames.sort((a,b)=>a.t-b.t);
+  const n = frames.length;
+  const track = {
+    times: new Float64Array(n),
+    lats: new Float64Array(n),
+    lngs: new Float64Array(n),
+    items: new Array(n),
+    start: frames[0].t,
+    end: frames[n-1].t,
+    spans: items.filter(it=>it.end && it.kind!=="rawpoint").sort((a,b)=>a.start.getTime()-b.start.getTime()),
+  };
+  frames.forEach((f,i)=>{
+    track.times[i] = f.t;
+    track.lats[i] = f.lat;
+    track.lngs[i] = f.lng;
+    track.items[i] = f.item;
+  });
+  return track;
+}
+
+/**
+ * Position at time t (held at the ends), and the item in progress at t if any.
+ * @param {Track} track
+ * @param {number} t epoch ms
+ * @returns {{lat:number, lng:number, item:Item|null}}
+ */
+export function sampleTrack(track, t){
+  const { times, lats, lngs } = track;
+  const n = times.length;
+  // last keyframe at or before t
+  let lo = 0, hi = n-1;
+  if(t<=times[0]) hi = 0;
+  else if(t>=times[n-1]) lo = hi = n-1;
+  else {
+    while(hi-lo>1){
+      const mid = (lo+hi) >> 1;
+      if(times[mid]<=t) lo = mid; else hi = mid;
+    }
+  }
+  let lat = lats[lo], lng = lngs[lo];
+  if(hi!==lo && times[hi]>times[lo]){
+    const f = (t-times[lo]) / (times[hi]-times[lo]);
+    lat += (lats[hi]-lat) * f;
+    lng += (lngs[hi]-lng) * f;
+  }
+
+  /** @type {Item|null} */
+  let item = null;
+  for(const it of track.spans){
+    if(it.start.getTime()>t) break;
+    if(/** @type {Date} */ (it.end).getTime()>=t) item = it;
+  }
+  if(!item){
+    const k = t<=times[0] ? 0 : lo;
+    const near = track.items[k];
+    if(near.kind==="rawpoint" && Math.abs(times[k]-t)<60000) item = near;
+  }
+  return { lat, lng, item };
+}
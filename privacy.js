@@ -0,0 +1,181 @@
+/* Timeline Trace (Local) - privacy zones
+ * Circles around sensitive places (home, work, ...), applied on top of the edited items before
+ * anything is drawn, listed or exported: visits inside a zone are dropped or renamed (and lose
+ * their position), raw points inside are dropped and paths are cut where they cross the zone
+ * edge. A path that passes through a zone becomes separate pieces (Item.pathBreaks), so no line
+ * is drawn between its entry and exit points. Pure functions, no DOM.
+ */
+
+import { haversineMeters } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+
+/**
+ * @typedef {Object} PrivacyZone
+ * @property {string} id
+ * @property {string} name shown instead of the place when mode is "rename"
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} radius meters
+ * @property {"hide"|"rename"} mode what happens to visits inside
+ */
+
+/**
+ * A place Google labelled HOME or WORK, as a zone candidate.
+ * @typedef {{label:"HOME"|"WORK", lat:number, lng:number, count:number}} LabeledPlace
+ */
+
+export const DEFAULT_ZONE_RADIUS = 300;
+
+/** Subtitle of a renamed visit (localized for display like the parsers' texts, see i18n.js) */
+export const PRIVATE_PLACE = "非公開の場所";
+
+/**
+ * @param {number} lat
+ * @param {number} lng
+ * @param {string} name
+ * @returns {PrivacyZone}
+ */
+export function newZone(lat, lng, name){
+  return {
+    id: `zone-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name, lat, lng,
+    radius: DEFAULT_ZONE_RADIUS,
+    mode: "rename",
+  };
+}
+
+/** @param {LatLng} p @param {PrivacyZone[]} zones @returns {PrivacyZone|null} */
+function zoneAt(p, zones){
+  for(const z of zones){
+    if(haversineMeters(p, z)<=z.radius) return z;
+  }
+  return null;
+}
+
+/**
+ * Point where the segment a→b crosses a zone edge, a inside and b outside (or the reverse).
+ * Bisection: zones can overlap, so there is no closed form for the edge of their union.
+ * @param {LatLng} a
+ * @param {LatLng} b
+ * @param {PrivacyZone[]} zones
+ * @returns {LatLng}
+ */
+function edgePoint(a, b, zones){
+  const aInside = !!zoneAt(a, zones);
+  let lo = 0, hi = 1;
+  for(let i=0;i<24;i++){
+    const mid = (lo + hi) / 2;
+    const p = { lat: a.lat + (b.lat - a.lat)*mid, lng: a.lng + (b.lng - a.lng)*mid };
+    if(!!zoneAt(p, zones)===aInside) lo = mid;
+    else hi = mid;
+  }
+  // the outside end of the final interval, so the point never lies inside
+  const t = aInside ? hi : lo;
+  return { lat: a.lat + (b.lat - a.lat)*t, lng: a.lng + (b.lng - a.lng)*t };
+}
+
+/**
+ * The pieces of a path outside the zones, each ending (or starting) where it crosses a zone edge.
+ * @param {LatLng[]} path
+ * @param {PrivacyZone[]} zones
+ * @returns {LatLng[][]|null} null when nothing is inside (keep the path as is); [] when all is
+ */
+function trimPath(path, zones){
+  const inside = path.map(p=>!!zoneAt(p, zones));
+  if(!inside.includes(true)) return null;
+  /** @type {LatLng[][]} */
+  const parts = [];
+  /** @type {LatLng[]} */
+  let part = [];
+  for(let i=0;i<path.length;i++){
+    if(i>0 && inside[i]!==inside[i-1]){
+      part.push(edgePoint(path[i-1], path[i], zones));
+      // entering a zone ends the piece; leaving one starts the next at the edge
+      if(inside[i]){
+        parts.push(part);
+        part = [];
+      }
+    }
+    if(!inside[i]) part.push(path[i]);
+  }
+  parts.push(part);
+  return parts.filter(p=>p.length>=2);
+}
+
+/**
+ * @param {Item[]} items
+ * @param {PrivacyZone[]} zones
+ * @returns {{items:Item[], masked:number}} masked = items dropped or changed
+ */
+export function maskItems(items, zones){
+  if(!zones.length) return { items, masked: 0 };
+  /** @type {Item[]} */
+  const out = [];
+  let masked = 0;
+  for(const it of items){
+    if(it.kind==="activity"){
+      const parts = it.path.length ? trimPath(it.path, zones) : null;
+      if(parts){
+        // no piece left: the whole trip was inside; it stays in the list without a line
+        /** @type {number[]} */
+        const pathBreaks = [];
+        let n = 0;
+        for(const part of parts){
+          if(n) pathBreaks.push(n);
+          n += part.length;
+        }
+        out.push({ ...it, path: parts.flat(), ...(pathBreaks.length ? { pathBreaks } : {}) });
+        masked++;
+      } else {
+        out.push(it);
+      }
+      continue;
+    }
+    const zone = it.point ? zoneAt(it.point, zones) : null;
+    if(!zone){
+      out.push(it);
+      continue;
+    }
+    masked++;
+    if(it.kind==="visit" && zone.mode==="rename"){
+      out.push({ ...it, title: zone.name || PRIVATE_PLACE, subtitle: PRIVATE_PLACE, emoji: "🔒", point: null, placeId: null, semanticType: null, masked: true });
+    }
+  }
+  return { items: out, masked };
+}
+
+/** "HOME" for HOME / INFERRED_HOME / TYPE_HOME, "WORK" likewise, else null */
+function placeLabel(semanticType){
+  if(!semanticType) return null;
+  if(/HOME$/.test(semanticType)) return "HOME";
+  if(/WORK$/.test(semanticType)) return "WORK";
+  return null;
+}
+
+/**
+ * Places Google labelled HOME / WORK, most visited first. Visits of one label are grouped by
+ * place id (or position), since people move house and change jobs.
+ * @param {Item[]} items
+ * @returns {LabeledPlace[]}
+ */
+export function labeledPlaces(items){
+  /** @type {Map<string, LabeledPlace>} */
+  const byKey = new Map();
+  for(const it of items){
+    const label = it.kind==="visit" && it.point ? placeLabel(it.semanticType) : null;
+    if(!label || !it.point) continue;
+    const key = `${label}:${it.placeId || `${it.point.lat.toFixed(3)},${it.point.lng.toFixed(3)}`}`;
+    const p = byKey.get(key);
+    if(p){
+      // running mean of the visit positions
+      p.count++;
+      p.lat += (it.point.lat - p.lat) / p.count;
+      p.lng += (it.point.lng - p.lng) / p.count;
+    } else {
+      byKey.set(key, { label, lat: it.point.lat, lng: it.point.lng, count: 1 });
+    }
+  }
+  return Array.from(byKey.values()).sort((a,b)=>b.count-a.count);
+}
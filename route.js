@@ -0,0 +1,122 @@
+/* Timeline Trace (Local) - URL hash routes
+ * The selection, map view and filter are mirrored into location.hash so a reload, a bookmark or
+ * the Back button returns to the same place:
+ *   #/day/2024-05-03?z=14&c=35.68,139.76
+ *   #/days/2024-05-01/2024-05-07?hide=rawpoint&min=10
+ * Only the route format lives here; app.js decides when to read and write it.
+ */
+
+/**
+ * @typedef {Object} ItemFilter
+ * @property {string[]} hiddenKinds ItemKind values to hide
+ * @property {string[]} hiddenTypes activityType values to hide ("" = activities without a type)
+ * @property {number} minMinutes hide visits/activities shorter than this (0 = off)
+ * @property {number} minMeters hide activities shorter than this (0 = off)
+ */
+
+/** @typedef {import("./map-adapter.js").MapView} MapView */
+
+/**
+ * @typedef {Object} Route
+ * @property {number|null} from YYYYMMDD of the selected day
+ * @property {number|null} to last day of a range; null = just `from`
+ * @property {MapView|null} view null = fit the map to the selection
+ * @property {ItemFilter} filter
+ */
+
+/** @returns {ItemFilter} */
+export function emptyFilter(){
+  return { hiddenKinds: [], hiddenTypes: [], minMinutes: 0, minMeters: 0 };
+}
+
+/** "2024-05-03" → 20240503, or null when it is not a real date */
+function parseDay(s){
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || "");
+  if(!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if(d.getMonth()!==Number(m[2]) - 1 || d.getDate()!==Number(m[3])) return null;
+  return Number(m[1])*10000 + Number(m[2])*100 + Number(m[3]);
+}
+
+/** 20240503 → "2024-05-03" */
+function formatDay(k){
+  return `${Math.floor(k/10000)}-${String(Math.floor(k/100)%100).padStart(2,"0")}-${String(k%100).padStart(2,"0")}`;
+}
+
+/** Comma-separated list (already decoded by URLSearchParams); "" stays an entry (activities without a type) */
+function parseList(s){
+  return s==null ? [] : s.split(",");
+}
+
+/** @param {string|null} s */
+function positive(s){
+  const n = Number(s);
+  return Number.isFinite(n) && n>0 ? n : 0;
+}
+
+/**
+ * @param {string} hash location.hash, with or without the leading "#"
+ * @returns {Route|null} null when the hash is not a route (empty, or an unknown path)
+ */
+export function parseRoute(hash){
+  const s = hash.replace(/^#/, "");
+  if(!s) return null;
+  const q = s.indexOf("?");
+  const path = (q<0 ? s : s.slice(0, q)).split("/").filter(Boolean);
+  const params = new URLSearchParams(q<0 ? "" : s.slice(q+1));
+
+  /** @type {Route} */
+  const route = { from: null, to: null, view: null, filter: emptyFilter() };
+  if(path[0]==="day" && path.length===2){
+    route.from = parseDay(path[1]);
+    if(route.from==null) return null;
+  } else if(path[0]==="days" && path.length===3){
+    const a = parseDay(path[1]);
+    const b = parseDay(path[2]);
+    if(a==null || b==null) return null;
+    route.from = Math.min(a, b);
+    route.to = a===b ? null : Math.max(a, b);
+  } else if(path.length){
+    return null;
+  }
+
+  const zoom = Number(params.get("z"));
+  const c = (params.get("c") || "").split(",").map(Number);
+  if(params.has("z") && Number.isFinite(zoom) && c.length===2 && c.every(Number.isFinite)
+    && Math.abs(c[0])<=90 && Math.abs(c[1])<=180){
+    route.view = { center: { lat: c[0], lng: c[1] }, zoom };
+  }
+
+  route.filter = {
+    hiddenKinds: parseList(params.get("hide")),
+    hiddenTypes: parseList(params.get("modes")),
+    minMinutes: positive(params.get("min")),
+    minMeters: positive(params.get("m")),
+  };
+  return route;
+}
+
+/**
+ * @param {Route} route
+ * @returns {string} "#/day/…" (starts with "#")
+ */
+export function formatRoute(route){
+  let path = "#/";
+  if(route.from!=null){
+    path = route.to!=null ? `#/days/${formatDay(route.from)}/${formatDay(route.to)}` : `#/day/${formatDay(route.from)}`;
+  }
+
+  // built by hand: URLSearchParams would escape the commas and make the links hard to read
+  /** @type {string[]} */
+  const params = [];
+  if(route.view){
+    const { center, zoom } = route.view;
+    params.push(`z=${Math.round(zoom*100)/100}`, `c=${Number(center.lat.toFixed(5))},${Number(center.lng.toFixed(5))}`);
+  }
+  const f = route.filter;
+  if(f.hiddenKinds.length) params.push(`hide=${f.hiddenKinds.map(encodeURIComponent).join(",")}`);
+  if(f.hiddenTypes.length) params.push(`modes=${f.hiddenTypes.map(encodeURIComponent).join(",")}`);
+  if(f.minMinutes>0) params.push(`min=${f.minMinutes}`);
+  if(f.minMeters>0) params.push(`m=${Math.round(f.minMeters)}`);
+  return params.length ? `${path}?${params.join("&")}` : path;
+}
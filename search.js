@@ -0,0 +1,95 @@
+/* Timeline Trace (Local) - search index
+ * Built once per dataset: the searchable text of every visit/activity (title, address, activity
+ * type) is normalized and de-duplicated, so a query only scans the distinct strings, not every
+ * item. Years of timeline have thousands of visits but only a few thousand distinct places.
+ */
+
+import { activityTitle } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {string[]} keys normalized "title \u0001 subtitle \u0001 activity" strings
+ * @property {number[][]} hits item indices (into the indexed array) per key
+ */
+
+/**
+ * Case-, width- and kana-insensitive form: NFKC, lower case, katakana → hiragana.
+ * @param {string} s
+ */
+export function normalizeText(s){
+  return String(s).normalize("NFKC").toLowerCase()
+    .replace(/[ァ-ヶ]/g, (c)=>String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+/** @param {Item} it */
+function searchText(it){
+  const type = it.activityType ? `${it.activityType.replaceAll("_"," ")} ${activityTitle(it.activityType)}` : "";
+  return normalizeText(`${it.title}\u0001${it.subtitle}\u0001${type}`);
+}
+
+/**
+ * Raw points are left out: thousands of "Location point" rows would only add noise.
+ * @param {Item[]} items
+ * @returns {SearchIndex}
+ */
+export function buildSearchIndex(items){
+  /** @type {Map<string, number[]>} */
+  const byKey = new Map();
+  for(let i=0;i<items.length;i++){
+    if(items[i].kind==="rawpoint") continue;
+    const key = searchText(items[i]);
+    const list = byKey.get(key);
+    if(list) list.push(i);
+    else byKey.set(key, [i]);
+  }
+  return { keys: Array.from(byKey.keys()), hits: Array.from(byKey.values()) };
+}
+
+/** @param {string} query @returns {string[]} normalized terms, all of which must match */
+export function queryTerms(query){
+  return normalizeText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @returns {number[]} matching item indices, ascending
+ */
+export function searchItems(index, query){
+  const terms = queryTerms(query);
+  if(!terms.length) return [];
+  /** @type {number[]} */
+  const out = [];
+  index.keys.forEach((key, k)=>{
+    if(terms.every(t=>key.includes(t))) for(const i of index.hits[k]) out.push(i);
+  });
+  return out.sort((a,b)=>a-b);
+}
+
+/**
+ * Where the terms occur in a display string, for highlighting. Only when normalizing kept the
+ * length (true for almost all names); otherwise nothing is highlighted rather than the wrong part.
+ * @param {string} text
+ * @param {string[]} terms from queryTerms()
+ * @returns {[number, number][]} sorted, non-overlapping [start, end) ranges
+ */
+export function matchRanges(text, terms){
+  const norm = normalizeText(text);
+  if(norm.length!==text.length) return [];
+  /** @type {[number, number][]} */
+  const ranges = [];
+  for(const t of terms){
+    for(let i=norm.indexOf(t); i>=0; i=norm.indexOf(t, i+t.length)) ranges.push([i, i+t.length]);
+  }
+  ranges.sort((a,b)=>a[0]-b[0]);
+  /** @type {[number, number][]} */
+  const merged = [];
+  for(const r of ranges){
+    const last = merged[merged.length-1];
+    if(last && r[0]<=last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push(r);
+  }
+  return merged;
+}
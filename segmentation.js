@@ -0,0 +1,202 @@
+/* Timeline Trace (Local) - stays and trips from raw location fixes
+ * Records.json only has timestamped points. This turns them into what the semantic exports
+ * already contain: visits where the phone stayed put, and activities (with path, distance and
+ * a guessed mode) for the movement between them. Pure functions, no DOM.
+ *
+ * Stay points follow the usual anchor-based detection: starting at a fix, collect following
+ * fixes within STAY_RADIUS_METERS; if they span at least STAY_MIN_MS it is a stay.
+ */
+
+import { haversineMeters, pathDistanceMeters, activityTitle, activityEmoji, distanceSubtitle } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+
+export const STAY_RADIUS_METERS = 100;
+export const STAY_MIN_MS = 10 * 60000;
+/** No fix for this long splits a trip (phone off, no signal). Stays may have gaps: an idle phone logs rarely */
+export const GAP_MS = 45 * 60000;
+/** Fixes less accurate than this are ignored */
+export const MAX_ACCURACY_METERS = 1000;
+/** A stay that resumes this soon after the previous one, in the same place, continues it (GPS jitter in between) */
+const JITTER_MS = 10 * 60000;
+
+/**
+ * Mode of a trip: the recorded activity guesses if the fixes have them, checked against the
+ * average speed (a "walk" at 60 km/h was a car), else speed alone.
+ * @param {Item[]} fixes
+ * @param {number} meters
+ * @param {number} ms
+ */
+function inferMode(fixes, meters, ms){
+  const kmh = ms>0 ? meters/1000 / (ms/3600000) : 0;
+  /** @type {Map<string, number>} */
+  const votes = new Map();
+  for(const f of fixes){
+    const t = f.activityType;
+    if(t && t!=="STILL") votes.set(t, (votes.get(t) || 0) + 1);
+  }
+  let voted = null, best = 0;
+  for(const [t,n] of votes){
+    if(n>best){ voted = t; best = n; }
+  }
+  if(kmh>=250) return "FLYING";
+  if(voted && !((voted==="WALKING" || voted==="RUNNING") && kmh>=15) && !(voted==="CYCLING" && kmh>=45)) return voted;
+  if(kmh<7) return "WALKING";
+  if(kmh<25) return "CYCLING";
+  return "IN_PASSENGER_VEHICLE";
+}
+
+/**
+ * A run of fixes at one place: [first, last] indexes (inclusive) and the running sums of the
+ * positions that make its centroid (jitter fixes glued in between are not counted).
+ * @typedef {{first:number, last:number, lat:number, lng:number, n:number}} StayRun
+ */
+
+/** @param {StayRun} s @returns {LatLng} */
+function centroid(s){
+  return { lat: s.lat/s.n, lng: s.lng/s.n };
+}
+
+/** @param {Item[]} fixes @param {LatLng} point centroid @returns {Item} */
+function stayItem(fixes, point){
+  return {
+    kind: "visit",
+    start: fixes[0].start,
+    end: fixes[fixes.length-1].start,
+    title: "滞在 (推定)",
+    subtitle: `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`,
+    emoji: "📍",
+    point,
+    path: [],
+    distanceMeters: null,
+    activityType: null,
+  };
+}
+
+/**
+ * @param {Item[]} fixes moving fixes in time order
+ * @param {LatLng|null} from centroid of the stay before
+ * @param {Date|null} fromTime end of the stay before
+ * @param {LatLng|null} to centroid of the stay after
+ * @param {Date|null} toTime start of the stay after
+ * @returns {Item}
+ */
+function tripItem(fixes, from, fromTime, to, toTime){
+  /** @type {LatLng[]} */
+  const path = fixes.map(f=>({ .../** @type {LatLng} */ (f.point), time: f.start }));
+  if(from) path.unshift({ ...from, time: /** @type {Date} */ (fromTime) });
+  if(to) path.push({ ...to, time: /** @type {Date} */ (toTime) });
+  const start = path[0].time || fixes[0].start;
+  const end = path[path.length-1].time || fixes[fixes.length-1].start;
+  const meters = pathDistanceMeters(path);
+  const mode = inferMode(fixes, meters, end.getTime()-start.getTime());
+  return {
+    kind: "activity",
+    start,
+    end,
+    title: activityTitle(mode),
+    subtitle: distanceSubtitle(meters),
+    emoji: activityEmoji(mode),
+    point: null,
+    path,
+    distanceMeters: meters,
+    activityType: mode,
+  };
+}
+
+/**
+ * Replace raw fixes with stays (visits) and trips (activities). Other items pass through.
+ * Fixes that are neither (too inaccurate, or a lone fix between long gaps) stay rawpoints.
+ * @param {Item[]} items
+ * @returns {Item[]}
+ */
+export function segmentRawPoints(items){
+  const isFix = (/** @type {Item} */ it)=>it.kind==="rawpoint" && !!it.point
+    && !(it.accuracyMeters!=null && it.accuracyMeters>MAX_ACCURACY_METERS);
+  const fixes = items.filter(isFix);
+  if(fixes.length<2) return items;
+  fixes.sort((a,b)=>a.start.getTime()-b.start.getTime());
+
+  /** @type {Item[]} */
+  const out = items.filter(it=>!isFix(it));
+
+  // 1) stays: runs of fixes
+  /** @type {StayRun[]} */
+  const stays = [];
+  let i = 0;
+  while(i<fixes.length){
+    const anchor = /** @type {LatLng} */ (fixes[i].point);
+    /** @type {StayRun} */
+    const run = { first: i, last: i, lat: anchor.lat, lng: anchor.lng, n: 1 };
+    let j = i + 1;
+    for(;j<fixes.length;j++){
+      const p = /** @type {LatLng} */ (fixes[j].point);
+      if(haversineMeters(anchor, p) > STAY_RADIUS_METERS) break;
+      run.lat += p.lat;
+      run.lng += p.lng;
+      run.n++;
+    }
+    run.last = j - 1;
+    if(fixes[j-1].start.getTime() - fixes[i].start.getTime() >= STAY_MIN_MS){
+      const prev = stays[stays.length-1];
+      // a stay interrupted by GPS jitter: glue it to the previous one (the jitter fixes go with it)
+      if(prev && fixes[i].start.getTime() - fixes[prev.last].start.getTime() <= JITTER_MS
+        && haversineMeters(centroid(prev), centroid(run)) <= STAY_RADIUS_METERS){
+        prev.last = run.last;
+        prev.lat += run.lat;
+        prev.lng += run.lng;
+        prev.n += run.n;
+      } else {
+        stays.push(run);
+      }
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  // 2) everything between stays is movement, split where the phone went quiet
+  /** @type {Item|null} */
+  let prevStay = null;
+  const emitTrips = (/** @type {Item[]} */ moving, /** @type {Item|null} */ nextStay)=>{
+    /** @type {Item[][]} */
+    const runs = [[]];
+    let last = prevStay ? /** @type {Date} */ (prevStay.end).getTime() : null;
+    for(const f of moving){
+      const t = f.start.getTime();
+      if(last!=null && t-last>GAP_MS && runs[runs.length-1].length) runs.push([]);
+      runs[runs.length-1].push(f);
+      last = t;
+    }
+    runs.forEach((run, n)=>{
+      if(!run.length) return;
+      const first = n===0, lastRun = n===runs.length-1;
+      const from = first && prevStay && run[0].start.getTime() - /** @type {Date} */ (prevStay.end).getTime() <= GAP_MS ? prevStay : null;
+      const to = lastRun && nextStay && nextStay.start.getTime() - run[run.length-1].start.getTime() <= GAP_MS ? nextStay : null;
+      if(run.length + (from ? 1 : 0) + (to ? 1 : 0) < 2){
+        for(const f of run) out.push(f);
+        return;
+      }
+      out.push(tripItem(run, from?.point || null, from?.end || null, to?.point || null, to?.start || null));
+    });
+  };
+
+  let cursor = 0;
+  for(const s of stays){
+    const a = s.first, b = s.last;
+    const stay = stayItem(fixes.slice(a, b+1), centroid(s));
+    const moving = fixes.slice(cursor, a);
+    if(moving.length) emitTrips(moving, stay);
+    else if(prevStay && stay.start.getTime() - /** @type {Date} */ (prevStay.end).getTime() <= GAP_MS){
+      // two stays back to back in different places: the move happened between two fixes
+      out.push(tripItem([], prevStay.point, prevStay.end, stay.point, stay.start));
+    }
+    out.push(stay);
+    prevStay = stay;
+    cursor = b + 1;
+  }
+  if(cursor<fixes.length) emitTrips(fixes.slice(cursor), null);
+
+  return out.sort((a,b)=>a.start.getTime()-b.start.getTime());
+}
@@ -0,0 +1,394 @@
+/* Timeline Trace (Local) - minimal SQLite reader
+ * Just enough of the SQLite file format to read tiles out of an MBTiles file in the browser,
+ * without loading the whole (often multi-GB) file: the schema, table b-trees by rowid, index
+ * b-trees by key, records and overflow pages. Read-only; pages are read on demand with
+ * Blob.slice(). WITHOUT ROWID tables and free-list details are not needed and not supported.
+ */
+
+/** @typedef {number|string|Uint8Array|null} SqlValue */
+
+/**
+ * @typedef {Object} SchemaEntry
+ * @property {"table"|"index"|"view"|"trigger"} type
+ * @property {string} name
+ * @property {string} table table an index belongs to
+ * @property {number} rootPage
+ * @property {string} sql
+ * @property {string[]} columns column names (tables) or indexed columns (indexes)
+ * @property {number} rowidColumn tables: position of the INTEGER PRIMARY KEY column, or -1
+ */
+
+const HEADER_MAGIC = "SQLite format 3\u0000";
+const PAGE_CACHE = 64;
+
+const PAGE_INTERIOR_INDEX = 2;
+const PAGE_INTERIOR_TABLE = 5;
+const PAGE_LEAF_INDEX = 10;
+const PAGE_LEAF_TABLE = 13;
+
+/**
+ * Big-endian varint (1-9 bytes).
+ * @param {DataView} view
+ * @param {number} pos
+ * @returns {[number, number]} value, bytes used
+ */
+function readVarint(view, pos){
+  let v = 0;
+  for(let i=0;i<8;i++){
+    const b = view.getUint8(pos+i);
+    v = v * 128 + (b & 0x7f);
+    if(!(b & 0x80)) return [v, i+1];
+  }
+  return [v * 256 + view.getUint8(pos+8), 9];
+}
+
+/** Byte length of a value of this serial type */
+function serialSize(t){
+  if(t>=12) return (t - (t%2 ? 13 : 12)) / 2;
+  return [0, 1, 2, 3, 4, 6, 8, 8, 0, 0, 0, 0][t];
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ * @param {number} t serial type
+ * @returns {SqlValue}
+ */
+function readValue(bytes, pos, t){
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  switch(t){
+    case 0: return null;
+    case 1: return view.getInt8(pos);
+    case 2: return view.getInt16(pos);
+    case 3: return (view.getInt8(pos) << 16) | view.getUint16(pos+1);
+    case 4: return view.getInt32(pos);
+    case 5: return view.getInt16(pos) * 0x100000000 + view.getUint32(pos+2);
+    case 6: return Number(view.getBigInt64(pos));
+    case 7: return view.getFloat64(pos);
+    case 8: return 0;
+    case 9: return 1;
+  }
+  const len = serialSize(t);
+  const slice = bytes.subarray(pos, pos+len);
+  return t%2 ? new TextDecoder().decode(slice) : slice;
+}
+
+/**
+ * Decode a record. Columns cut off (a payload read without its overflow) come back undefined.
+ * @param {Uint8Array} bytes
+ * @returns {(SqlValue|undefined)[]}
+ */
+function decodeRecord(bytes){
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const [headerSize, n] = readVarint(view, 0);
+  /** @type {number[]} */
+  const types = [];
+  for(let p=n; p<headerSize;){
+    const [t, used] = readVarint(view, p);
+    types.push(t);
+    p += used;
+  }
+  const out = [];
+  let pos = headerSize;
+  for(const t of types){
+    const len = serialSize(t);
+    out.push(pos+len<=bytes.length ? readValue(bytes, pos, t) : undefined);
+    pos += len;
+  }
+  return out;
+}
+
+/** SQLite's ordering across types: NULL < numbers < text < blob */
+function compareValues(a, b){
+  const rank = (v)=>v==null ? 0 : typeof v==="number" ? 1 : typeof v==="string" ? 2 : 3;
+  const ra = rank(a), rb = rank(b);
+  if(ra!==rb) return ra-rb;
+  if(ra===0) return 0;
+  if(ra===3){
+    const n = Math.min(a.length, b.length);
+    for(let i=0;i<n;i++) if(a[i]!==b[i]) return a[i]-b[i];
+    return a.length-b.length;
+  }
+  if(ra===2){
+    // BINARY collation: compare UTF-8 bytes, which for valid strings is code point order
+    const ea = new TextEncoder().encode(a), eb = new TextEncoder().encode(b);
+    return compareValues(ea, eb);
+  }
+  return a<b ? -1 : a>b ? 1 : 0;
+}
+
+/** Names inside the outermost parentheses of a CREATE statement, split at top-level commas */
+function parenthesizedParts(sql){
+  const open = sql.indexOf("(");
+  const close = sql.lastIndexOf(")");
+  if(open<0 || close<open) return [];
+  const parts = [];
+  let depth = 0, cur = "";
+  for(const c of sql.slice(open+1, close)){
+    if(c==="(") depth++;
+    else if(c===")") depth--;
+    if(c==="," && depth===0){
+      parts.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  parts.push(cur);
+  return parts.map(s=>s.trim()).filter(Boolean);
+}
+
+function unquote(name){
+  return name.replace(/^["'`[]|["'`\]]$/g, "");
+}
+
+/** @param {string} sql @returns {{columns:string[], rowidColumn:number}} */
+function tableColumns(sql){
+  const columns = [];
+  let rowidColumn = -1;
+  for(const def of parenthesizedParts(sql)){
+    const first = def.split(/\s+/)[0];
+    if(/^(constraint|primary|unique|check|foreign)$/i.test(first)) continue;
+    if(/^\S+\s+integer\s+primary\s+key/i.test(def)) rowidColumn = columns.length;
+    columns.push(unquote(first));
+  }
+  return { columns, rowidColumn };
+}
+
+/**
+ * Open an SQLite database file for reading.
+ * @param {Blob} blob
+ */
+export async function openSqlite(blob){
+  const head = new Uint8Array(await blob.slice(0, 100).arrayBuffer());
+  if(head.length<100 || new TextDecoder().decode(head.subarray(0, 16))!==HEADER_MAGIC){
+    throw new Error("Not an SQLite database");
+  }
+  const view = new DataView(head.buffer);
+  const rawPageSize = view.getUint16(16);
+  const pageSize = rawPageSize===1 ? 65536 : rawPageSize;
+  const usable = pageSize - view.getUint8(20);
+
+  /** @type {Map<number, Promise<Uint8Array>>} insertion order = least recently used first */
+  const cache = new Map();
+  /** @param {number} n 1-based page number */
+  function page(n){
+    let p = cache.get(n);
+    if(p) cache.delete(n);
+    else p = blob.slice((n-1)*pageSize, n*pageSize).arrayBuffer().then(b=>new Uint8Array(b));
+    cache.set(n, p);
+    if(cache.size>PAGE_CACHE) cache.delete(cache.keys().next().value);
+    return p;
+  }
+
+  /**
+   * Payload of a cell: the local part plus overflow pages when `full`.
+   * @param {Uint8Array} bytes page
+   * @param {number} pos start of the payload
+   * @param {number} size total payload size
+   * @param {boolean} isTable table leaf (other overflow thresholds than index cells)
+   * @param {boolean} full follow overflow pages
+   */
+  async function payload(bytes, pos, size, isTable, full){
+    const maxLocal = isTable ? usable - 35 : Math.floor((usable-12)*64/255) - 23;
+    if(size<=maxLocal) return bytes.subarray(pos, pos+size);
+    const minLocal = Math.floor((usable-12)*32/255) - 23;
+    const k = minLocal + (size-minLocal) % (usable-4);
+    const local = k<=maxLocal ? k : minLocal;
+    if(!full) return bytes.subarray(pos, pos+local);
+    const out = new Uint8Array(size);
+    out.set(bytes.subarray(pos, pos+local));
+    let next = new DataView(bytes.buffer, bytes.byteOffset).getUint32(pos+local);
+    let filled = local;
+    while(next && filled<size){
+      const ov = await page(next);
+      const n = Math.min(usable-4, size-filled);
+      out.set(ov.subarray(4, 4+n), filled);
+      filled += n;
+      next = new DataView(ov.buffer, ov.byteOffset).getUint32(0);
+    }
+    return out;
+  }
+
+  /** b-tree page header: type, cell pointers, right-most child */
+  async function node(n){
+    const bytes = await page(n);
+    const base = n===1 ? 100 : 0;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const type = view.getUint8(base);
+    const count = view.getUint16(base+3);
+    const interior = type===PAGE_INTERIOR_INDEX || type===PAGE_INTERIOR_TABLE;
+    const ptrs = base + (interior ? 12 : 8);
+    const cells = [];
+    for(let i=0;i<count;i++) cells.push(view.getUint16(ptrs + i*2));
+    return { bytes, view, type, cells, right: interior ? view.getUint32(base+8) : 0 };
+  }
+
+  /**
+   * Every row of a table b-tree, in rowid order.
+   * @param {number} root
+   * @param {boolean} full read whole payloads (else large values may come back undefined)
+   * @param {(rowid:number, values:(SqlValue|undefined)[])=>void} fn
+   */
+  async function scanTable(root, full, fn){
+    const nd = await node(root);
+    if(nd.type===PAGE_INTERIOR_TABLE){
+      for(const c of nd.cells) await scanTable(nd.view.getUint32(c), full, fn);
+      await scanTable(nd.right, full, fn);
+      return;
+    }
+    if(nd.type!==PAGE_LEAF_TABLE) throw new Error(`Unexpected SQLite page type ${nd.type}`);
+    for(const c of nd.cells){
+      const [size, a] = readVarint(nd.view, c);
+      const [rowid, b] = readVarint(nd.view, c+a);
+      fn(rowid, decodeRecord(await payload(nd.bytes, c+a+b, size, true, full)));
+    }
+  }
+
+  /** @param {number} root @param {number} rowid */
+  async function findRow(root, rowid){
+    let nd = await node(root);
+    while(nd.type===PAGE_INTERIOR_TABLE){
+      let child = nd.right;
+      for(const c of nd.cells){
+        const [key] = readVarint(nd.view, c+4);
+        if(rowid<=key){
+          child = nd.view.getUint32(c);
+          break;
+        }
+      }
+      nd = await node(child);
+    }
+    if(nd.type!==PAGE_LEAF_TABLE) throw new Error(`Unexpected SQLite page type ${nd.type}`);
+    for(const c of nd.cells){
+      const [size, a] = readVarint(nd.view, c);
+      const [id, b] = readVarint(nd.view, c+a);
+      if(id===rowid) return decodeRecord(await payload(nd.bytes, c+a+b, size, true, true));
+    }
+    return null;
+  }
+
+  /**
+   * First index entry whose leading columns equal key.
+   * @param {number} root
+   * @param {SqlValue[]} key
+   * @returns {Promise<(SqlValue|undefined)[]|null>} index record (last value = rowid)
+   */
+  async function findInIndex(root, key){
+    const cmp = (/** @type {(SqlValue|undefined)[]} */ rec)=>{
+      for(let i=0;i<key.length;i++){
+        const d = compareValues(rec[i], key[i]);
+        if(d) return d;
+      }
+      return 0;
+    };
+    let nd = await node(root);
+    while(nd.type===PAGE_INTERIOR_INDEX){
+      let child = nd.right;
+      for(const c of nd.cells){
+        const [size, a] = readVarint(nd.view, c+4);
+        const rec = decodeRecord(await payload(nd.bytes, c+4+a, size, false, true));
+        const d = cmp(rec);
+        if(d===0) return rec;
+        if(d>0){
+          child = nd.view.getUint32(c);
+          break;
+        }
+      }
+      nd = await node(child);
+    }
+    if(nd.type!==PAGE_LEAF_INDEX) throw new Error(`Unexpected SQLite page type ${nd.type}`);
+    for(const c of nd.cells){
+      const [size, a] = readVarint(nd.view, c);
+      const rec = decodeRecord(await payload(nd.bytes, c+a, size, false, true));
+      if(cmp(rec)===0) return rec;
+    }
+    return null;
+  }
+
+  /** @type {SchemaEntry[]} */
+  const schema = [];
+  await scanTable(1, true, (_, v)=>{
+    const [type, name, table, rootPage, sql] = /** @type {any[]} */ (v);
+    const cols = type==="table" && sql ? tableColumns(sql)
+      : type==="index" && sql ? { columns: parenthesizedParts(sql).map(s=>unquote(s.split(/\s+/)[0])), rowidColumn: -1 }
+      : { columns: [], rowidColumn: -1 };
+    schema.push({ type, name, table, rootPage, sql: sql || "", ...cols });
+  });
+
+  /** @param {string} name */
+  const tableEntry = (name)=>{
+    const t = schema.find(s=>s.type==="table" && s.name.toLowerCase()===name.toLowerCase());
+    if(!t) throw new Error(`No table ${name}`);
+    if(/without\s+rowid/i.test(t.sql)) throw new Error(`WITHOUT ROWID table ${name} is not supported`);
+    return t;
+  };
+  /** @param {SchemaEntry} t @param {number} rowid @param {(SqlValue|undefined)[]} values */
+  const toRow = (t, rowid, values)=>{
+    /** @type {Record<string, SqlValue|undefined>} */
+    const row = {};
+    t.columns.forEach((c,i)=>{ row[c] = i===t.rowidColumn ? rowid : values[i]; });
+    return row;
+  };
+  /** @type {Map<string, Map<string, number>>} lookups without an index: key → rowid, built once */
+  const scanned = new Map();
+
+  return {
+    schema,
+
+    /** @param {string} name */
+    hasTable(name){
+      return schema.some(s=>s.type==="table" && s.name.toLowerCase()===name.toLowerCase());
+    },
+
+    /**
+     * All rows of a (small) table.
+     * @param {string} name
+     * @returns {Promise<Record<string, SqlValue|undefined>[]>}
+     */
+    async all(name){
+      const t = tableEntry(name);
+      const out = [];
+      await scanTable(t.rootPage, true, (rowid, v)=>out.push(toRow(t, rowid, v)));
+      return out;
+    },
+
+    /**
+     * The row whose columns equal the given values. Uses an index on exactly those leading
+     * columns when there is one; otherwise the table is scanned once and kept as a lookup map.
+     * @param {string} name
+     * @param {Record<string, SqlValue>} where
+     * @returns {Promise<Record<string, SqlValue|undefined>|null>}
+     */
+    async find(name, where){
+      const t = tableEntry(name);
+      const cols = Object.keys(where);
+      const key = cols.map(c=>where[c]);
+      if(cols.length===1 && t.rowidColumn>=0 && t.columns[t.rowidColumn]===cols[0]){
+        const v = await findRow(t.rootPage, Number(key[0]));
+        return v ? toRow(t, Number(key[0]), v) : null;
+      }
+      const index = schema.find(s=>s.type==="index" && s.table.toLowerCase()===t.name.toLowerCase()
+        && s.rootPage && cols.every((c,i)=>s.columns[i]===c));
+      let rowid;
+      if(index){
+        const rec = await findInIndex(index.rootPage, key);
+        if(!rec) return null;
+        rowid = Number(rec[rec.length-1]);
+      } else {
+        const mapKey = `${t.name}\u0000${cols.join("\u0000")}`;
+        let map = scanned.get(mapKey);
+        if(!map){
+          const m = new Map();
+          const at = cols.map(c=>t.columns.indexOf(c));
+          await scanTable(t.rootPage, false, (id, v)=>m.set(JSON.stringify(at.map(i=>i===t.rowidColumn ? id : v[i])), id));
+          scanned.set(mapKey, map = m);
+        }
+        rowid = map.get(JSON.stringify(key));
+        if(rowid==null) return null;
+      }
+      const v = await findRow(t.rootPage, rowid);
+      return v ? toRow(t, rowid, v) : null;
+    },
+  };
+}
@@ -0,0 +1,212 @@
+/* Timeline Trace (Local) - statistics
+ * Per week / month / year aggregates for the statistics dialog. Pure functions, no DOM.
+ * The caller passes the day each item belongs to, so the numbers use the same
+ * (timezone-aware) days as the calendar.
+ */
+
+import { activityTitle } from "./parsers.js";
+import { csvText } from "./exporters.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {"week"|"month"|"year"} StatsPeriod */
+
+/** @typedef {{meters:number, count:number, ms:number}} ModeStats */
+/** @typedef {{title:string, subtitle:string, count:number, ms:number}} PlaceStats */
+/** @typedef {{dayKey:number, meters:number, movingMs:number, items:number}} DayStats */
+
+/**
+ * @typedef {Object} PeriodStats
+ * @property {string} key "2024-04-29" (week start) / "2024-05" / "2024"
+ * @property {number} firstDay dayKey of the first day of the period
+ * @property {number} lastDay dayKey of the last day of the period
+ * @property {Map<string, ModeStats>} modes activities by activityType ("" = unknown)
+ * @property {number} meters
+ * @property {number} movingMs time in activities
+ * @property {number} placeMs time in visits
+ * @property {Map<string, PlaceStats>} places visits by title + address
+ * @property {Map<number, DayStats>} days days with data only
+ */
+
+const DAY_MS = 86400000;
+
+function keyToUtc(k){
+  return Date.UTC(Math.floor(k/10000), Math.floor((k%10000)/100) - 1, k%100);
+}
+function utcToKey(t){
+  const d = new Date(t);
+  return d.getUTCFullYear()*10000 + (d.getUTCMonth()+1)*100 + d.getUTCDate();
+}
+function isoKey(k){
+  return `${Math.floor(k/10000)}-${String(Math.floor(k/100)%100).padStart(2,"0")}-${String(k%100).padStart(2,"0")}`;
+}
+
+/**
+ * First and last dayKey of the period a day falls in.
+ * @param {number} k dayKey
+ * @param {StatsPeriod} period
+ * @param {number} weekStart 0 = Sunday, 1 = Monday
+ * @returns {[number, number]}
+ */
+export function periodBounds(k, period, weekStart=1){
+  const y = Math.floor(k/10000);
+  if(period==="year") return [y*10000 + 101, y*10000 + 1231];
+  if(period==="month"){
+    const m = Math.floor((k%10000)/100);
+    return [y*10000 + m*100 + 1, utcToKey(Date.UTC(y, m, 0))];
+  }
+  const t = keyToUtc(k);
+  const back = (new Date(t).getUTCDay() - weekStart + 7) % 7;
+  const start = t - back*DAY_MS;
+  return [utcToKey(start), utcToKey(start + 6*DAY_MS)];
+}
+
+/** @param {number} firstDay @param {StatsPeriod} period */
+function periodKey(firstDay, period){
+  const iso = isoKey(firstDay);
+  return period==="year" ? iso.slice(0,4) : period==="month" ? iso.slice(0,7) : iso;
+}
+
+function durationMs(it){
+  return it.end ? Math.max(0, it.end.getTime() - it.start.getTime()) : 0;
+}
+
+/**
+ * @param {Item[]} items
+ * @param {ArrayLike<number>} itemDays dayKey of items[i]
+ * @param {StatsPeriod} period
+ * @param {number} [weekStart] 0 = Sunday, 1 = Monday
+ * @returns {PeriodStats[]} periods with data, oldest first
+ */
+export function computeStats(items, itemDays, period, weekStart=1){
+  /** @type {Map<number, PeriodStats>} */
+  const byStart = new Map();
+  for(let i=0;i<items.length;i++){
+    const it = items[i];
+    const k = itemDays[i];
+    const [firstDay, lastDay] = periodBounds(k, period, weekStart);
+    let ps = byStart.get(firstDay);
+    if(!ps){
+      ps = {
+        key: periodKey(firstDay, period), firstDay, lastDay,
+        modes: new Map(), meters: 0, movingMs: 0, placeMs: 0, places: new Map(), days: new Map(),
+      };
+      byStart.set(firstDay, ps);
+    }
+    let day = ps.days.get(k);
+    if(!day){
+      day = { dayKey: k, meters: 0, movingMs: 0, items: 0 };
+      ps.days.set(k, day);
+    }
+    day.items++;
+
+    const ms = durationMs(it);
+    if(it.kind==="activity"){
+      const meters = Number.isFinite(it.distanceMeters) ? /** @type {number} */ (it.distanceMeters) : 0;
+      const type = it.activityType || "";
+      let mode = ps.modes.get(type);
+      if(!mode){
+        mode = { meters: 0, count: 0, ms: 0 };
+        ps.modes.set(type, mode);
+      }
+      mode.meters += meters;
+      mode.count++;
+      mode.ms += ms;
+      ps.meters += meters;
+      ps.movingMs += ms;
+      day.meters += meters;
+      day.movingMs += ms;
+    } else if(it.kind==="visit"){
+      ps.placeMs += ms;
+      const pk = `${it.title}\n${it.subtitle}`;
+      let place = ps.places.get(pk);
+      if(!place){
+        place = { title: it.title, subtitle: it.subtitle, count: 0, ms: 0 };
+        ps.places.set(pk, place);
+      }
+      place.count++;
+      place.ms += ms;
+    }
+  }
+  return Array.from(byStart.values()).sort((a,b)=>a.firstDay-b.firstDay);
+}
+
+/**
+ * Distance and item count of every day with data (the year heat calendar).
+ * @param {Item[]} items
+ * @param {ArrayLike<number>} itemDays dayKey of items[i]
+ * @param {ArrayLike<number>} [include] 1 = count items[i] (e.g. it passes the filter); default all
+ * @returns {Map<number, DayStats>}
+ */
+export function dayTotals(items, itemDays, include){
+  /** @type {Map<number, DayStats>} */
+  const days = new Map();
+  for(let i=0;i<items.length;i++){
+    if(include && !include[i]) continue;
+    const it = items[i];
+    const k = itemDays[i];
+    let day = days.get(k);
+    if(!day){
+      day = { dayKey: k, meters: 0, movingMs: 0, items: 0 };
+      days.set(k, day);
+    }
+    day.items++;
+    if(it.kind==="activity"){
+      day.meters += Number.isFinite(it.distanceMeters) ? /** @type {number} */ (it.distanceMeters) : 0;
+      day.movingMs += durationMs(it);
+    }
+  }
+  return days;
+}
+
+/** @param {PeriodStats} ps @returns {[string, ModeStats][]} longest distance first */
+export function modeRows(ps){
+  return Array.from(ps.modes.entries()).sort((a,b)=>b[1].meters-a[1].meters || b[1].ms-a[1].ms);
+}
+
+/** @param {PeriodStats} ps @param {number} n */
+export function topPlaces(ps, n=10){
+  return Array.from(ps.places.values()).sort((a,b)=>b.count-a.count || b.ms-a.ms).slice(0, n);
+}
+
+/** Days with the longest distance, then the most items @param {PeriodStats} ps @param {number} n */
+export function busiestDays(ps, n=5){
+  return Array.from(ps.days.values()).sort((a,b)=>b.meters-a.meters || b.items-a.items).slice(0, n);
+}
+
+/** Every day of the period, including empty ones (for the daily chart) @param {PeriodStats} ps */
+export function dailySeries(ps){
+  /** @type {DayStats[]} */
+  const out = [];
+  for(let t=keyToUtc(ps.firstDay); t<=keyToUtc(ps.lastDay); t+=DAY_MS){
+    const k = utcToKey(t);
+    out.push(ps.days.get(k) || { dayKey: k, meters: 0, movingMs: 0, items: 0 });
+  }
+  return out;
+}
+
+/** Display name of an activityType key as used in PeriodStats.modes */
+export function modeLabel(type){
+  return type ? activityTitle(type) : "Unknown";
+}
+
+const hours = (ms)=>Math.round(ms/36000)/100;
+const km = (m)=>Math.round(m)/1000;
+
+/**
+ * Long-format CSV of every period: one row per mode, place and day, plus the moving/places totals.
+ * @param {PeriodStats[]} list
+ */
+export function statsCsv(list){
+  /** @type {(string|number|null)[][]} */
+  const rows = [["period","section","name","count","distance_km","hours"]];
+  for(const ps of list){
+    rows.push([ps.key, "total", "moving", null, km(ps.meters), hours(ps.movingMs)]);
+    rows.push([ps.key, "total", "places", null, null, hours(ps.placeMs)]);
+    for(const [type,m] of modeRows(ps)) rows.push([ps.key, "mode", type || "UNKNOWN", m.count, km(m.meters), hours(m.ms)]);
+    for(const p of topPlaces(ps, Infinity)) rows.push([ps.key, "place", p.title, p.count, null, hours(p.ms)]);
+    for(const d of Array.from(ps.days.values()).sort((a,b)=>a.dayKey-b.dayKey)){
+      rows.push([ps.key, "day", isoKey(d.dayKey), d.items, km(d.meters), hours(d.movingMs)]);
+    }
+  }
+  return csvText(rows);
+}
@@ -0,0 +1,162 @@
+/* Timeline Trace (Local) - IndexedDB dataset library
+ * Parsed items are kept in this browser only; nothing here talks to the network.
+ *
+ * Stores:
+ *  - datasets: DatasetMeta rows (small, listed by the library panel)
+ *  - items:    {id, items} per dataset (large, loaded only when a dataset is opened)
+ *  - meta:     key/value pairs such as the last opened dataset id
+ */
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").FormatMix} FormatMix */
+/** @typedef {import("./import-report.js").ImportReport} ImportReport */
+
+/**
+ * @typedef {Object} DatasetMeta
+ * @property {string} id
+ * @property {string} name
+ * @property {string} fileName
+ * @property {FormatMix} formats number of source files per format
+ * @property {number} itemCount
+ * @property {ImportReport|null} [report] what the import read and dropped (not kept by older versions)
+ * @property {number} createdAt epoch ms
+ * @property {number} updatedAt epoch ms
+ */
+
+const DB_NAME = "timeline-trace-local";
+const DB_VERSION = 1;
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+function openDb(){
+  if(dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve,reject)=>{
+    if(!("indexedDB" in self)){
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      if(!db.objectStoreNames.contains("datasets")) db.createObjectStore("datasets", { keyPath:"id" });
+      if(!db.objectStoreNames.contains("items")) db.createObjectStore("items", { keyPath:"id" });
+      if(!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    };
+    req.onsuccess = ()=>resolve(req.result);
+    req.onerror = ()=>reject(req.error);
+  });
+  // allow a retry after e.g. a blocked upgrade
+  dbPromise.catch(()=>{ dbPromise = null; });
+  return dbPromise;
+}
+
+/** @template T @param {IDBRequest<T>} req @returns {Promise<T>} */
+function requestDone(req){
+  return new Promise((resolve,reject)=>{
+    req.onsuccess = ()=>resolve(req.result);
+    req.onerror = ()=>reject(req.error);
+  });
+}
+
+/** @param {IDBTransaction} tx @returns {Promise<void>} */
+function txDone(tx){
+  return new Promise((resolve,reject)=>{
+    tx.oncomplete = ()=>resolve();
+    tx.onabort = ()=>reject(tx.error || new Error("Transaction aborted"));
+    tx.onerror = ()=>reject(tx.error);
+  });
+}
+
+function newId(){
+  if(self.crypto?.randomUUID) return self.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2,10)}`;
+}
+
+/** Rows saved before multi-file import only had a single detectedFormat */
+function normalizeMeta(meta){
+  if(!meta.formats) meta.formats = meta.detectedFormat ? { [meta.detectedFormat]: 1 } : {};
+  return meta;
+}
+
+/** @returns {Promise<DatasetMeta[]>} most recently used first */
+export async function listDatasets(){
+  const db = await openDb();
+  const rows = await requestDone(db.transaction("datasets").objectStore("datasets").getAll());
+  return rows.map(normalizeMeta).sort((a,b)=>b.updatedAt-a.updatedAt);
+}
+
+/**
+ * @param {{name:string, fileName:string, formats:FormatMix, items:Item[], report?:ImportReport}} data
+ * @returns {Promise<DatasetMeta>}
+ */
+export async function saveDataset(data){
+  const db = await openDb();
+  const now = Date.now();
+  /** @type {DatasetMeta} */
+  const meta = {
+    id: newId(),
+    name: data.name,
+    fileName: data.fileName,
+    formats: data.formats,
+    itemCount: data.items.length,
+    report: data.report || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const tx = db.transaction(["datasets","items"], "readwrite");
+  tx.objectStore("datasets").put(meta);
+  tx.objectStore("items").put({ id: meta.id, items: data.items });
+  await txDone(tx);
+  return meta;
+}
+
+/** @param {string} id @returns {Promise<{meta:DatasetMeta, items:Item[]}|null>} */
+export async function loadDataset(id){
+  const db = await openDb();
+  const tx = db.transaction(["datasets","items"], "readwrite");
+  const meta = await requestDone(tx.objectStore("datasets").get(id));
+  const row = await requestDone(tx.objectStore("items").get(id));
+  if(!meta || !row) return null;
+  // opening counts as use, so the library keeps recent datasets on top
+  meta.updatedAt = Date.now();
+  tx.objectStore("datasets").put(meta);
+  await txDone(tx);
+  return { meta: normalizeMeta(meta), items: row.items };
+}
+
+/** @param {string} id @param {string} name */
+export async function renameDataset(id, name){
+  const db = await openDb();
+  const tx = db.transaction("datasets", "readwrite");
+  const store = tx.objectStore("datasets");
+  const meta = await requestDone(store.get(id));
+  if(meta){
+    meta.name = name;
+    store.put(meta);
+  }
+  await txDone(tx);
+}
+
+/** @param {string} id */
+export async function deleteDataset(id){
+  const db = await openDb();
+  const tx = db.transaction(["datasets","items"], "readwrite");
+  tx.objectStore("datasets").delete(id);
+  tx.objectStore("items").delete(id);
+  await txDone(tx);
+}
+
+/** @param {string} key */
+export async function getMeta(key){
+  const db = await openDb();
+  return requestDone(db.transaction("meta").objectStore("meta").get(key));
+}
+
+/** @param {string} key @param {any} value */
+export async function setMeta(key, value){
+  const db = await openDb();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put(value, key);
+  await txDone(tx);
+}
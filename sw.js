@@ -1,13 +1,40 @@
 /* Timeline Trace (Local) - Service Worker
  * Scope is limited to this repo/subdirectory to avoid collisions with other PWAs.
- * This SW caches only the app shell (not user JSON).
+ * This SW caches the app shell (not user JSON) and, only when the user turns it on in the map
+ * settings, the map tiles that were viewed.
  */
 
-const PRECACHE = "timeline-trace-local-v2";
+const PRECACHE = "timeline-trace-local-v25";
 const APP_SHELL = [
   "./",
   "./index.html",
   "./app.js",
+  "./parsers.js",
+  "./importers.js",
+  "./track-importers.js",
+  "./segmentation.js",
+  "./import-worker.js",
+  "./store.js",
+  "./zip.js",
+  "./exporters.js",
+  "./stats.js",
+  "./charts.js",
+  "./places.js",
+  "./heatmap.js",
+  "./map-adapter.js",
+  "./leaflet-map.js",
+  "./maplibre-map.js",
+  "./map-render.js",
+  "./playback.js",
+  "./search.js",
+  "./edits.js",
+  "./i18n.js",
+  "./route.js",
+  "./privacy.js",
+  "./compare.js",
+  "./import-report.js",
+  "./sqlite.js",
+  "./tile-files.js",
   "./manifest.webmanifest",
   "./icon.svg",
   "./icon-192.png",
@@ -17,12 +44,43 @@ const APP_SHELL = [
   "./favicon-16.png",
 ];
 
+// Map libraries come from a CDN; kept once fetched so the app also starts offline
+// (MapLibre GL is only downloaded when it is picked as the renderer)
+const LIBRARY_PREFIXES = [
+  "https://unpkg.com/leaflet@1.9.4/dist/",
+  "https://unpkg.com/maplibre-gl@4.7.1/dist/",
+];
+
+// Tile URLs look like .../{z}/{x}/{y}.png (optionally @2x, or with a query string); vector
+// tiles for MapLibre styles end in .pbf / .mvt
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp|avif|pbf|mvt)$/i;
+
 // Build a scope-specific cache name to be extra safe when multiple PWAs are hosted.
 function cacheName() {
   // registration.scope ends with a trailing slash
   return `${PRECACHE}::${self.registration.scope}`;
 }
 
+// Viewed tiles. The page creates this cache to turn tile caching on and deletes it to turn it
+// off (app.js tileCacheName), so no setting has to be passed to the worker.
+function tileCacheName() {
+  return `timeline-trace-tiles::${self.registration.scope}`;
+}
+
+/**
+ * Cache-first from the given cache, storing what the network returns.
+ * @param {Request} req
+ * @param {string} name
+ */
+async function cacheFirst(req, name) {
+  const cache = await caches.open(name);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+  const res = await fetch(req);
+  if (res && (res.ok || res.type === "opaque")) cache.put(req, res.clone());
+  return res;
+}
+
 self.addEventListener("install", (event) => {
   event.waitUntil(
     (async () => {
@@ -52,8 +110,24 @@ self.addEventListener("fetch", (event) => {
   const req = event.request;
   const url = new URL(req.url);
 
-  // Only handle same-origin requests inside our scope; everything else passes through
-  if (url.origin !== self.location.origin) return;
+  if (url.origin !== self.location.origin) {
+    if (req.method !== "GET") return;
+    if (LIBRARY_PREFIXES.some((p) => url.href.startsWith(p))) {
+      event.respondWith(cacheFirst(req, cacheName()));
+      return;
+    }
+    // by URL only: Leaflet loads tiles as images, MapLibre with fetch() (empty destination)
+    if (TILE_PATH.test(url.pathname)) {
+      event.respondWith(
+        (async () => {
+          if (!(await caches.has(tileCacheName()))) return fetch(req);
+          return cacheFirst(req, tileCacheName());
+        })()
+      );
+    }
+    // everything else cross-origin passes through
+    return;
+  }
 
   // Important: NEVER cache or read local files. We only cache app shell assets.
   // File input JSON never goes through fetch(), so it is not intercepted here.
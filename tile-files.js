@@ -0,0 +1,258 @@
+/* Timeline Trace (Local) - map tiles from a local file
+ * Serves raster tiles straight out of a PMTiles (v3) or MBTiles file picked by the user, so the
+ * map needs no tile server at all. Only the parts of the file that are needed are read
+ * (File.slice), which keeps multi-GB tile sets usable.
+ */
+
+import { openSqlite } from "./sqlite.js";
+
+/**
+ * @typedef {Object} TileSource
+ * @property {"pmtiles"|"mbtiles"} kind
+ * @property {string} name
+ * @property {string} format "png" | "jpg" | "webp" | "avif" (raster formats only)
+ * @property {number} minZoom
+ * @property {number} maxZoom
+ * @property {[number, number, number, number]|null} bounds west, south, east, north
+ * @property {string} attribution
+ * @property {(z:number, x:number, y:number)=>Promise<Blob|null>} getTile null = no tile there
+ */
+
+const RASTER_MIME = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", webp: "image/webp", avif: "image/avif" };
+
+/** @param {string} format */
+function rasterFormat(format){
+  const f = format.toLowerCase();
+  if(f==="pbf" || f==="mvt") throw new Error("Vector tiles (MVT) cannot be shown here; use a raster (png/jpg/webp) tile file");
+  if(!(f in RASTER_MIME)) throw new Error(`Unsupported tile format: ${format}`);
+  return f==="jpeg" ? "jpg" : f;
+}
+
+// ---- PMTiles v3 ----
+
+const PM_COMPRESSION = { 1: null, 2: "gzip" };
+const PM_TILE_TYPES = { 1: "mvt", 2: "png", 3: "jpg", 4: "webp", 5: "avif" };
+
+/** Little-endian varint */
+function readVarint(bytes, pos){
+  let v = 0, mul = 1, b;
+  do{
+    b = bytes[pos.p++];
+    v += (b & 0x7f) * mul;
+    mul *= 128;
+  } while(b & 0x80);
+  return v;
+}
+
+/** @param {Uint8Array} bytes @param {number|null|undefined} compression */
+async function decompress(bytes, compression){
+  if(compression===1 || compression===0) return bytes;
+  const method = PM_COMPRESSION[compression];
+  if(!method) throw new Error(`Unsupported PMTiles compression ${compression}`);
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(method));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Tile id of z/x/y: tiles of all lower zooms first, then the Hilbert curve index within z.
+ * @param {number} z @param {number} x @param {number} y
+ */
+export function pmtilesTileId(z, x, y){
+  let acc = (Math.pow(4, z) - 1) / 3;
+  const n = Math.pow(2, z);
+  let d = 0;
+  for(let s=n/2; s>=1; s/=2){
+    const rx = (x & s) ? 1 : 0;
+    const ry = (y & s) ? 1 : 0;
+    d += s * s * ((3*rx) ^ ry);
+    if(ry===0){
+      if(rx===1){
+        x = n-1-x;
+        y = n-1-y;
+      }
+      [x, y] = [y, x];
+    }
+  }
+  return acc + d;
+}
+
+/** @typedef {{tileId:number, offset:number, length:number, runLength:number}} DirEntry */
+
+/** @param {Uint8Array} bytes @returns {DirEntry[]} */
+function parseDirectory(bytes){
+  const pos = { p: 0 };
+  const n = readVarint(bytes, pos);
+  /** @type {DirEntry[]} */
+  const entries = [];
+  let id = 0;
+  for(let i=0;i<n;i++){
+    id += readVarint(bytes, pos);
+    entries.push({ tileId: id, offset: 0, length: 0, runLength: 1 });
+  }
+  for(const e of entries) e.runLength = readVarint(bytes, pos);
+  for(const e of entries) e.length = readVarint(bytes, pos);
+  entries.forEach((e,i)=>{
+    const v = readVarint(bytes, pos);
+    e.offset = v===0 && i>0 ? entries[i-1].offset + entries[i-1].length : v-1;
+  });
+  return entries;
+}
+
+/** Last entry with tileId <= id, if it covers id (or points to a leaf directory) */
+function findEntry(entries, id){
+  let lo = 0, hi = entries.length-1, found = -1;
+  while(lo<=hi){
+    const mid = (lo+hi) >> 1;
+    if(entries[mid].tileId<=id){
+      found = mid;
+      lo = mid+1;
+    } else {
+      hi = mid-1;
+    }
+  }
+  if(found<0) return null;
+  const e = entries[found];
+  if(e.runLength===0) return e;
+  return id - e.tileId < e.runLength ? e : null;
+}
+
+/** @param {Blob} file @param {string} name @returns {Promise<TileSource>} */
+async function openPmtiles(file, name){
+  const head = new DataView(await file.slice(0, 127).arrayBuffer());
+  const u64 = (pos)=>head.getUint32(pos, true) + head.getUint32(pos+4, true) * 0x100000000;
+  if(head.byteLength<127 || head.getUint8(7)!==3) throw new Error("Only PMTiles version 3 is supported");
+  const rootOffset = u64(8), rootLength = u64(16);
+  const metaOffset = u64(24), metaLength = u64(32);
+  const leafOffset = u64(40);
+  const dataOffset = u64(56);
+  const internal = head.getUint8(97);
+  const tileCompression = head.getUint8(98);
+  const format = rasterFormat(PM_TILE_TYPES[head.getUint8(99)] || "unknown");
+  if(tileCompression!==1 && tileCompression!==0) throw new Error("Compressed raster tiles are not supported");
+  const e7 = (pos)=>head.getInt32(pos, true) / 1e7;
+
+  const read = async (offset, length)=>new Uint8Array(await file.slice(offset, offset+length).arrayBuffer());
+  const root = parseDirectory(await decompress(await read(rootOffset, rootLength), internal));
+  /** @type {Map<number, Promise<DirEntry[]>>} */
+  const leaves = new Map();
+
+  let meta = {};
+  try{
+    meta = JSON.parse(new TextDecoder().decode(await decompress(await read(metaOffset, metaLength), internal)));
+  } catch {
+    // metadata is optional
+  }
+
+  return {
+    kind: "pmtiles",
+    name: meta.name || name,
+    format,
+    minZoom: head.getUint8(100),
+    maxZoom: head.getUint8(101),
+    bounds: [e7(102), e7(106), e7(110), e7(114)],
+    attribution: meta.attribution || "",
+    async getTile(z, x, y){
+      const id = pmtilesTileId(z, x, y);
+      let dir = root;
+      // root → leaf directories; the spec allows a few levels
+      for(let depth=0; depth<4; depth++){
+        const e = findEntry(dir, id);
+        if(!e) return null;
+        if(e.runLength>0) return file.slice(dataOffset + e.offset, dataOffset + e.offset + e.length, RASTER_MIME[format]);
+        let leaf = leaves.get(e.offset);
+        if(!leaf){
+          leaf = read(leafOffset + e.offset, e.length).then(b=>decompress(b, internal)).then(parseDirectory);
+          leaves.set(e.offset, leaf);
+        }
+        dir = await leaf;
+      }
+      return null;
+    },
+  };
+}
+
+// ---- MBTiles (SQLite) ----
+
+/** @param {Blob} file @param {string} name @returns {Promise<TileSource>} */
+async function openMbtiles(file, name){
+  const db = await openSqlite(file);
+  /** @type {Record<string, string>} */
+  const meta = {};
+  if(db.hasTable("metadata")){
+    for(const row of await db.all("metadata")) if(typeof row.name==="string") meta[row.name] = String(row.value ?? "");
+  }
+  const format = rasterFormat(meta.format || "png");
+  // "tiles" is either a table or, in deduplicated files, a view over map + images
+  const split = !db.hasTable("tiles") && db.hasTable("map") && db.hasTable("images");
+  if(!split && !db.hasTable("tiles")) throw new Error("Not an MBTiles file (no tiles table)");
+  const bounds = (meta.bounds || "").split(",").map(Number);
+
+  return {
+    kind: "mbtiles",
+    name: meta.name || name,
+    format,
+    minZoom: meta.minzoom ? Number(meta.minzoom) : 0,
+    maxZoom: meta.maxzoom ? Number(meta.maxzoom) : 19,
+    bounds: bounds.length===4 && bounds.every(Number.isFinite) ? /** @type {[number,number,number,number]} */ (bounds) : null,
+    attribution: meta.attribution || "",
+    async getTile(z, x, y){
+      // MBTiles rows count from the bottom (TMS)
+      const where = { zoom_level: z, tile_column: x, tile_row: Math.pow(2, z) - 1 - y };
+      let data;
+      if(split){
+        const m = await db.find("map", where);
+        const img = m && m.tile_id!=null ? await db.find("images", { tile_id: m.tile_id }) : null;
+        data = img?.tile_data;
+      } else {
+        data = (await db.find("tiles", where))?.tile_data;
+      }
+      return data instanceof Uint8Array ? new Blob([data], { type: RASTER_MIME[format] }) : null;
+    },
+  };
+}
+
+/**
+ * Open a local tile file by its extension (or, failing that, its first bytes).
+ * @param {File} file
+ * @returns {Promise<TileSource>}
+ */
+export async function openTileFile(file){
+  const magic = new TextDecoder().decode(await file.slice(0, 7).arrayBuffer());
+  const base = file.name.replace(/\.[^.]+$/, "");
+  if(magic==="PMTiles" || /\.pmtiles$/i.test(file.name)) return openPmtiles(file, base);
+  return openMbtiles(file, base);
+}
+
+/**
+ * Leaflet layer drawing tiles from a TileSource.
+ * @param {TileSource} source
+ */
+export function createLocalTileLayer(source){
+  const L = window.L;
+  const Layer = L.GridLayer.extend({
+    createTile(coords, done){
+      const img = document.createElement("img");
+      img.alt = "";
+      source.getTile(coords.z, coords.x, coords.y).then((blob)=>{
+        if(!blob){
+          done(null, img);
+          return;
+        }
+        const url = URL.createObjectURL(blob);
+        img.onload = ()=>{ URL.revokeObjectURL(url); done(null, img); };
+        img.onerror = ()=>{ URL.revokeObjectURL(url); done(new Error("Broken tile"), img); };
+        img.src = url;
+      }, (e)=>done(e, img));
+      return img;
+    },
+  });
+  const bounds = source.bounds ? L.latLngBounds([source.bounds[1], source.bounds[0]], [source.bounds[3], source.bounds[2]]) : undefined;
+  return new Layer({
+    minZoom: 0,
+    maxZoom: 22,
+    maxNativeZoom: source.maxZoom,
+    minNativeZoom: source.minZoom,
+    attribution: source.attribution,
+    bounds,
+  });
+}
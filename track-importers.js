@@ -0,0 +1,546 @@
+/* Timeline Trace (Local) - GPS track importers
+ * GPX, KML, GeoJSON and FIT (bike computers / watches) converted to the same Item model as
+ * the Google exports. Runs in the import worker, where DOMParser is not available, so XML
+ * is read with a small tolerant parser below.
+ */
+
+import { activityEmoji, activityTitle, distanceSubtitle, pathDistanceMeters } from "./parsers.js";
+
+/** @typedef {import("./parsers.js").Item} Item */
+/** @typedef {import("./parsers.js").LatLng} LatLng */
+/** @typedef {import("./importers.js").Importer} Importer */
+
+/* ---------- shared item builders ---------- */
+
+/** GPX <type>, KML categories, FIT sports -> Google-style activity types */
+const ACTIVITY_ALIASES = {
+  RUN: "RUNNING",
+  WALK: "WALKING",
+  HIKE: "HIKING",
+  BIKE: "CYCLING",
+  BIKING: "CYCLING",
+  RIDE: "CYCLING",
+  DRIVE: "IN_PASSENGER_VEHICLE",
+  DRIVING: "IN_PASSENGER_VEHICLE",
+  CAR: "IN_PASSENGER_VEHICLE",
+};
+
+function normalizeActivityType(s){
+  if(typeof s !== "string" || !s.trim()) return null;
+  const t = s.trim().toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_|_$/g, "");
+  return ACTIVITY_ALIASES[t] || t || null;
+}
+
+function toDate(v){
+  if(v == null || v === "") return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * @param {{path:LatLng[], start?:Date|null, end?:Date|null, activityType?:string|null, distanceMeters?:number|null, name?:string}} a
+ * @returns {Item|null} null when no time is known (items must sit on a day)
+ */
+function trackItem(a){
+  const start = a.start || a.path.find(p=>p.time)?.time || null;
+  if(!start || !a.path.length) return null;
+  let end = a.end || null;
+  if(!end){
+    for(let i=a.path.length-1;i>=0;i--){
+      if(a.path[i].time){ end = a.path[i].time; break; }
+    }
+  }
+  const activityType = a.activityType || "TRACK";
+  const distanceMeters = Number.isFinite(a.distanceMeters) ? /** @type {number} */ (a.distanceMeters)
+    : (a.path.length>=2 ? pathDistanceMeters(a.path) : null);
+  return {
+    kind: "activity",
+    start,
+    end: end && end.getTime()!==start.getTime() ? end : null,
+    title: a.name || activityTitle(activityType),
+    subtitle: distanceSubtitle(distanceMeters),
+    emoji: activityEmoji(activityType),
+    point: null,
+    path: a.path,
+    distanceMeters,
+    activityType,
+  };
+}
+
+/** @param {{point:LatLng, start:Date|null, end?:Date|null, name?:string, address?:string}} a @returns {Item|null} */
+function placeItem(a){
+  if(!a.start) return null;
+  return {
+    kind: "visit",
+    start: a.start,
+    end: a.end || null,
+    title: a.name || "Waypoint",
+    subtitle: a.address || "",
+    emoji: "📍",
+    point: { lat:a.point.lat, lng:a.point.lng },
+    path: [],
+    distanceMeters: null,
+    activityType: null,
+  };
+}
+
+function validLatLng(lat, lng){
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat)<=90 && Math.abs(lng)<=180;
+}
+
+/* ---------- minimal XML ---------- */
+
+/**
+ * @typedef {Object} XmlNode
+ * @property {string} name local name (namespace prefix dropped)
+ * @property {Record<string,string>} attrs
+ * @property {XmlNode[]} children
+ * @property {string} text concatenated character data
+ */
+
+const XML_ENTITIES = { amp:"&", lt:"<", gt:">", quot:"\"", apos:"'" };
+
+function decodeEntities(s){
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e)=>{
+    if(e[0]==="#") return String.fromCodePoint(e[1]==="x"||e[1]==="X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return XML_ENTITIES[e] ?? m;
+  });
+}
+
+function localName(qname){
+  const i = qname.indexOf(":");
+  return i<0 ? qname : qname.slice(i+1);
+}
+
+/**
+ * Tolerant XML reader: good enough for GPX/KML, not a validating parser.
+ * @param {string} text
+ * @returns {XmlNode} synthetic root
+ */
+function parseXml(text){
+  /** @type {XmlNode} */
+  const root = { name:"#root", attrs:{}, children:[], text:"" };
+  const stack = [root];
+  const re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  const attrRe = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while((m = re.exec(text))){
+    const top = stack[stack.length-1];
+    if(m[1] != null){
+      top.text += m[1];
+    } else if(m[2] != null){
+      const name = localName(m[2]);
+      // pop to the matching open tag; ignore stray closers
+      for(let i=stack.length-1;i>0;i--){
+        if(stack[i].name===name){ stack.length = i; break; }
+      }
+    } else if(m[3] != null){
+      /** @type {XmlNode} */
+      const node = { name:localName(m[3]), attrs:{}, children:[], text:"" };
+      let a;
+      attrRe.lastIndex = 0;
+      while((a = attrRe.exec(m[4]))) node.attrs[localName(a[1])] = decodeEntities(a[3] ?? a[4] ?? "");
+      top.children.push(node);
+      if(!m[5]) stack.push(node);
+    } else if(m[6] != null){
+      top.text += decodeEntities(m[6]);
+    }
+  }
+  return root;
+}
+
+/** @param {XmlNode} node @param {string} name */
+function child(node, name){
+  return node.children.find(c=>c.name===name) || null;
+}
+/** @param {XmlNode} node @param {string} name */
+function childText(node, name){
+  const c = child(node, name);
+  return c ? c.text.trim() : "";
+}
+/** All descendants with this name, document order (does not descend into matches) @param {XmlNode} node @param {string} name */
+function findAll(node, name, out = []){
+  for(const c of node.children){
+    if(c.name===name) out.push(c);
+    else findAll(c, name, out);
+  }
+  return out;
+}
+
+function bytesToText(bytes){
+  return new TextDecoder().decode(bytes);
+}
+
+/* ---------- GPX ---------- */
+
+/** @param {Uint8Array} bytes @returns {Item[]} */
+function parseGpx(bytes){
+  const doc = parseXml(bytesToText(bytes));
+  /** @type {Item[]} */
+  const items = [];
+
+  for(const wpt of findAll(doc, "wpt")){
+    const lat = Number(wpt.attrs.lat), lng = Number(wpt.attrs.lon);
+    if(!validLatLng(lat, lng)) continue;
+    const it = placeItem({
+      point: {lat, lng},
+      start: toDate(childText(wpt, "time")),
+      name: childText(wpt, "name"),
+      address: childText(wpt, "desc") || childText(wpt, "cmt"),
+    });
+    if(it) items.push(it);
+  }
+
+  for(const trk of [...findAll(doc, "trk"), ...findAll(doc, "rte")]){
+    const name = childText(trk, "name");
+    const activityType = normalizeActivityType(childText(trk, "type"));
+    const segs = trk.name==="rte" ? [trk] : findAll(trk, "trkseg");
+    for(const seg of segs){
+      /** @type {LatLng[]} */
+      const path = [];
+      for(const pt of findAll(seg, trk.name==="rte" ? "rtept" : "trkpt")){
+        const lat = Number(pt.attrs.lat), lng = Number(pt.attrs.lon);
+        if(!validLatLng(lat, lng)) continue;
+        /** @type {LatLng} */
+        const p = {lat, lng};
+        const t = toDate(childText(pt, "time"));
+        if(t) p.time = t;
+        path.push(p);
+      }
+      const it = trackItem({ path, activityType, name });
+      if(it) items.push(it);
+    }
+  }
+  return items;
+}
+
+/* ---------- KML ---------- */
+
+/** "lng,lat[,alt] lng,lat ..." */
+function parseKmlCoordinates(s){
+  /** @type {LatLng[]} */
+  const out = [];
+  for(const tuple of s.trim().split(/\s+/)){
+    const [lng, lat] = tuple.split(",").map(Number);
+    if(validLatLng(lat, lng)) out.push({lat, lng});
+  }
+  return out;
+}
+
+/** @param {XmlNode} pm */
+function kmlExtendedData(pm){
+  /** @type {Record<string,string>} */
+  const data = {};
+  const ext = child(pm, "ExtendedData");
+  if(!ext) return data;
+  for(const d of findAll(ext, "Data")){
+    if(d.attrs.name) data[d.attrs.name] = childText(d, "value");
+  }
+  return data;
+}
+
+/** @param {Uint8Array} bytes @returns {Item[]} */
+function parseKml(bytes){
+  const doc = parseXml(bytesToText(bytes));
+  /** @type {Item[]} */
+  const items = [];
+
+  for(const pm of findAll(doc, "Placemark")){
+    const name = childText(pm, "name");
+    const data = kmlExtendedData(pm);
+    const span = child(pm, "TimeSpan");
+    const stamp = child(pm, "TimeStamp");
+    const start = toDate(span ? childText(span, "begin") : stamp ? childText(stamp, "when") : "");
+    const end = span ? toDate(childText(span, "end")) : null;
+    const activityType = normalizeActivityType(data.activityType || data.Category || data.category || "");
+    const distance = data.distanceMeters != null ? Number(data.distanceMeters) : (data.Distance != null ? Number(data.Distance) : null);
+
+    // gx:Track carries one <when> per <gx:coord>
+    for(const track of findAll(pm, "Track")){
+      const whens = track.children.filter(c=>c.name==="when").map(c=>toDate(c.text.trim()));
+      const coords = track.children.filter(c=>c.name==="coord");
+      /** @type {LatLng[]} */
+      const path = [];
+      coords.forEach((c,i)=>{
+        const [lng, lat] = c.text.trim().split(/\s+/).map(Number);
+        if(!validLatLng(lat, lng)) return;
+        /** @type {LatLng} */
+        const p = {lat, lng};
+        if(whens[i]) p.time = whens[i];
+        path.push(p);
+      });
+      const it = trackItem({ path, start, end, activityType, distanceMeters: distance, name });
+      if(it) items.push(it);
+    }
+
+    for(const line of findAll(pm, "LineString")){
+      const path = parseKmlCoordinates(childText(line, "coordinates"));
+      const it = trackItem({ path, start, end, activityType, distanceMeters: distance, name });
+      if(it) items.push(it);
+    }
+
+    for(const pt of findAll(pm, "Point")){
+      const [point] = parseKmlCoordinates(childText(pt, "coordinates"));
+      if(!point) continue;
+      const it = placeItem({ point, start, end, name, address: childText(pm, "address") || childText(pm, "description") });
+      if(it) items.push(it);
+    }
+  }
+  return items;
+}
+
+/* ---------- GeoJSON ---------- */
+
+/** [lng,lat,...] -> LatLng */
+function geoPos(c){
+  if(!Array.isArray(c)) return null;
+  const lng = Number(c[0]), lat = Number(c[1]);
+  return validLatLng(lat, lng) ? {lat, lng} : null;
+}
+
+/** @param {Uint8Array} bytes @returns {Item[]} */
+function parseGeoJson(bytes){
+  const json = JSON.parse(bytesToText(bytes));
+  const features = json?.type==="FeatureCollection" ? (json.features || [])
+    : json?.type==="Feature" ? [json]
+    : json?.type ? [{ type:"Feature", geometry:json, properties:{} }]
+    : [];
+  /** @type {Item[]} */
+  const items = [];
+
+  for(const f of features){
+    const g = f?.geometry;
+    if(!g) continue;
+    const props = f.properties || {};
+    const start = toDate(props.start ?? props.startTime ?? props.time ?? props.timestamp ?? props.begin);
+    const end = toDate(props.end ?? props.endTime);
+    const name = typeof props.title==="string" ? props.title : (typeof props.name==="string" ? props.name : "");
+    // coordTimes is the togeojson / Strava convention (also written by our own export)
+    const times = props.coordTimes ?? props.times ?? null;
+
+    if(g.type==="Point"){
+      const point = geoPos(g.coordinates);
+      if(!point) continue;
+      if(props.kind==="rawpoint"){
+        if(!start) continue;
+        items.push({
+          kind:"rawpoint", start, end:null, title: name || "Location point", subtitle: props.subtitle || "",
+          emoji:"•", point, path:[], distanceMeters:null, activityType:null,
+        });
+        continue;
+      }
+      const it = placeItem({ point, start, end, name, address: props.address || props.subtitle || props.description || "" });
+      if(it) items.push(it);
+    } else if(g.type==="LineString" || g.type==="MultiLineString"){
+      const lines = g.type==="LineString" ? [g.coordinates] : g.coordinates;
+      const lineTimes = g.type==="LineString" ? [times] : (Array.isArray(times) ? times : []);
+      lines.forEach((line,li)=>{
+        if(!Array.isArray(line)) return;
+        /** @type {LatLng[]} */
+        const path = [];
+        line.forEach((c,i)=>{
+          const p = geoPos(c);
+          if(!p) return;
+          const t = toDate(lineTimes[li]?.[i]);
+          if(t) p.time = t;
+          path.push(p);
+        });
+        const it = trackItem({
+          path,
+          start: li===0 ? start : null,
+          end: li===lines.length-1 ? end : null,
+          activityType: normalizeActivityType(props.activityType || props.type || props.activity || ""),
+          distanceMeters: lines.length===1 && props.distanceMeters!=null ? Number(props.distanceMeters) : null,
+          name,
+        });
+        if(it) items.push(it);
+      });
+    }
+  }
+  return items;
+}
+
+/* ---------- FIT ---------- */
+
+/** Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z) */
+const FIT_EPOCH_S = 631065600;
+const SEMICIRCLE_DEG = 180 / 2 ** 31;
+const FIT_MSG_SESSION = 18;
+const FIT_MSG_RECORD = 20;
+
+/** FIT "sport" enum values we can map */
+const FIT_SPORTS = {
+  1:"RUNNING", 2:"CYCLING", 5:"SWIMMING", 11:"WALKING", 17:"HIKING", 13:"SKIING",
+  15:"ROWING", 16:"MOUNTAINEERING", 22:"MOTORCYCLING", 12:"CROSS_COUNTRY_SKIING",
+};
+
+/**
+ * Decode the record (trackpoint) and session messages of a FIT file.
+ * Only the integer fields we need are read; everything else is skipped by size.
+ * @param {Uint8Array} bytes
+ */
+function decodeFit(bytes){
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = view.getUint8(0);
+  const dataEnd = Math.min(bytes.byteLength, headerSize + view.getUint32(4, true));
+  /** @type {Record<number, {global:number, little:boolean, fields:{num:number,size:number,base:number}[], devSize:number}>} */
+  const defs = {};
+  /** @type {{time:number, lat:number|null, lng:number|null, distance:number|null}[]} */
+  const records = [];
+  /** @type {{start:number|null, end:number|null, sport:number|null, distance:number|null}[]} */
+  const sessions = [];
+  let lastTimestamp = 0;
+  let p = headerSize;
+
+  const readInt = (pos, size, base, little)=>{
+    const signed = [1,3,5].includes(base & 0x1f);
+    if(size===1) return signed ? view.getInt8(pos) : view.getUint8(pos);
+    if(size===2) return signed ? view.getInt16(pos, little) : view.getUint16(pos, little);
+    if(size===4) return signed ? view.getInt32(pos, little) : view.getUint32(pos, little);
+    return null;
+  };
+  const invalid = (v, size, base)=>{
+    if(v==null) return true;
+    const signed = [1,3,5].includes(base & 0x1f);
+    if(signed) return v === (size===1 ? 0x7f : size===2 ? 0x7fff : 0x7fffffff);
+    return v === (size===1 ? 0xff : size===2 ? 0xffff : 0xffffffff);
+  };
+
+  while(p < dataEnd){
+    const header = view.getUint8(p++);
+    let local, timeOffset = -1;
+    if(header & 0x80){
+      // compressed timestamp header
+      local = (header >> 5) & 0x03;
+      timeOffset = header & 0x1f;
+    } else if(header & 0x40){
+      // definition message
+      const little = view.getUint8(p+1)===0;
+      const global = view.getUint16(p+2, little);
+      const n = view.getUint8(p+4);
+      p += 5;
+      const fields = [];
+      for(let i=0;i<n;i++, p+=3) fields.push({ num:view.getUint8(p), size:view.getUint8(p+1), base:view.getUint8(p+2) });
+      let devSize = 0;
+      if(header & 0x20){
+        const nd = view.getUint8(p++);
+        for(let i=0;i<nd;i++, p+=3) devSize += view.getUint8(p+1);
+      }
+      defs[header & 0x0f] = { global, little, fields, devSize };
+      continue;
+    } else {
+      local = header & 0x0f;
+    }
+
+    const def = defs[local];
+    if(!def) throw new Error("Broken FIT file (data before definition)");
+    /** @type {Record<number, number|null>} */
+    const v = {};
+    for(const f of def.fields){
+      if(f.size<=4){
+        const x = readInt(p, f.size, f.base, def.little);
+        v[f.num] = invalid(x, f.size, f.base) ? null : x;
+      }
+      p += f.size;
+    }
+    p += def.devSize;
+
+    if(v[253]!=null) lastTimestamp = /** @type {number} */ (v[253]);
+    if(timeOffset>=0){
+      // arithmetic instead of bit ops: FIT timestamps are uint32
+      const low = lastTimestamp % 32;
+      let t = lastTimestamp - low + timeOffset;
+      if(timeOffset < low) t += 32;
+      lastTimestamp = t;
+      v[253] = t;
+    }
+
+    if(def.global===FIT_MSG_RECORD && v[253]!=null){
+      records.push({
+        time: /** @type {number} */ (v[253]),
+        lat: v[0]!=null ? /** @type {number} */ (v[0]) * SEMICIRCLE_DEG : null,
+        lng: v[1]!=null ? /** @type {number} */ (v[1]) * SEMICIRCLE_DEG : null,
+        distance: v[5]!=null ? /** @type {number} */ (v[5]) / 100 : null,
+      });
+    } else if(def.global===FIT_MSG_SESSION){
+      sessions.push({
+        start: v[2] ?? null,
+        end: v[253] ?? null,
+        sport: v[5] ?? null,
+        distance: v[9]!=null ? /** @type {number} */ (v[9]) / 100 : null,
+      });
+    }
+  }
+  return { records, sessions };
+}
+
+const fitDate = (t)=>new Date((t + FIT_EPOCH_S) * 1000);
+
+/** @param {Uint8Array} bytes @returns {Item[]} */
+function parseFit(bytes){
+  const { records, sessions } = decodeFit(bytes);
+  const ranges = sessions.length
+    ? sessions.map(s=>({ ...s, start: s.start ?? records[0]?.time ?? null }))
+    : [{ start:null, end:null, sport:null, distance:null }];
+  /** @type {Item[]} */
+  const items = [];
+
+  for(const r of ranges){
+    const inRange = records.filter(rec=>(r.start==null || rec.time>=r.start) && (r.end==null || rec.time<=r.end));
+    /** @type {LatLng[]} */
+    const path = [];
+    for(const rec of inRange){
+      if(rec.lat!=null && rec.lng!=null && validLatLng(rec.lat, rec.lng)) path.push({ lat:rec.lat, lng:rec.lng, time:fitDate(rec.time) });
+    }
+    const lastDist = inRange.length ? inRange[inRange.length-1].distance : null;
+    const it = trackItem({
+      path,
+      start: r.start!=null ? fitDate(r.start) : null,
+      end: r.end!=null ? fitDate(r.end) : null,
+      activityType: (r.sport!=null && FIT_SPORTS[r.sport]) || null,
+      distanceMeters: r.distance ?? lastDist,
+    });
+    if(it) items.push(it);
+  }
+  return items;
+}
+
+/* ---------- importer entries ---------- */
+
+/** @type {Importer} */
+export const gpxImporter = {
+  id: "gpx",
+  label: "GPX",
+  extensions: [".gpx"],
+  detect: (probe)=>/<gpx[\s>]/.test(probe.text),
+  parse: parseGpx,
+};
+
+/** @type {Importer} */
+export const kmlImporter = {
+  id: "kml",
+  label: "KML",
+  extensions: [".kml"],
+  detect: (probe)=>/<kml[\s>]/.test(probe.text),
+  parse: parseKml,
+};
+
+/** @type {Importer} */
+export const geojsonImporter = {
+  id: "geojson",
+  label: "GeoJSON",
+  extensions: [".geojson", ".json"],
+  detect: (probe)=>probe.text.trimStart().startsWith("{")
+    && /"type"\s*:\s*"(FeatureCollection|Feature|LineString|MultiLineString|Point)"/.test(probe.text),
+  parse: parseGeoJson,
+};
+
+/** @type {Importer} */
+export const fitImporter = {
+  id: "fit",
+  label: "FIT",
+  extensions: [".fit"],
+  detect: (probe)=>probe.head.length>=12
+    && probe.head[8]===0x2e && probe.head[9]===0x46 && probe.head[10]===0x49 && probe.head[11]===0x54, // ".FIT"
+  parse: parseFit,
+};
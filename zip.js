@@ -0,0 +1,116 @@
+/* Timeline Trace (Local) - minimal zip reader
+ * Just enough of the zip format to pull JSON files out of a Google Takeout archive in the
+ * browser: central directory listing (incl. ZIP64 for the multi-GB Takeout parts), stored
+ * and deflated entries. Entries are exposed as byte streams so they can be parsed incrementally.
+ */
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name path inside the archive
+ * @property {number} method 0 = stored, 8 = deflate
+ * @property {number} compressedSize
+ * @property {number} size uncompressed size
+ * @property {number} localHeaderOffset
+ */
+
+const SIG_EOCD = 0x06054b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+const SIG_ZIP64_EOCD = 0x06064b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+const U32_MAX = 0xffffffff;
+
+/** @param {Blob} blob @param {number} start @param {number} end */
+async function readBytes(blob, start, end){
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/** Little-endian 64-bit read; Takeout offsets stay well below 2^53 */
+function getU64(view, pos){
+  return view.getUint32(pos, true) + view.getUint32(pos+4, true) * 0x100000000;
+}
+
+/**
+ * List the files in a zip archive (directories are skipped).
+ * @param {Blob} blob
+ * @returns {Promise<ZipEntry[]>}
+ */
+export async function listZipEntries(blob){
+  // End of central directory record: 22 bytes + up to 64 KiB of comment at the very end
+  const tailStart = Math.max(0, blob.size - (22 + 0xffff));
+  const tail = await readBytes(blob, tailStart, blob.size);
+  let eocd = -1;
+  for(let i=tail.byteLength-22;i>=0;i--){
+    if(tail.getUint32(i, true)===SIG_EOCD){ eocd = i; break; }
+  }
+  if(eocd<0) throw new Error("Not a zip file (end of central directory not found)");
+
+  let count = tail.getUint16(eocd+10, true);
+  let cdSize = tail.getUint32(eocd+12, true);
+  let cdOffset = tail.getUint32(eocd+16, true);
+
+  if(cdOffset===U32_MAX || cdSize===U32_MAX || count===0xffff){
+    const loc = eocd - 20;
+    if(loc<0 || tail.getUint32(loc, true)!==SIG_ZIP64_LOCATOR) throw new Error("Broken ZIP64 archive");
+    const z64Offset = getU64(tail, loc+8);
+    const z64 = await readBytes(blob, z64Offset, z64Offset+56);
+    if(z64.getUint32(0, true)!==SIG_ZIP64_EOCD) throw new Error("Broken ZIP64 archive");
+    count = getU64(z64, 32);
+    cdSize = getU64(z64, 40);
+    cdOffset = getU64(z64, 48);
+  }
+
+  const cd = await readBytes(blob, cdOffset, cdOffset+cdSize);
+  const decoder = new TextDecoder();
+  /** @type {ZipEntry[]} */
+  const entries = [];
+  let p = 0;
+  for(let n=0;n<count && p+46<=cd.byteLength;n++){
+    if(cd.getUint32(p, true)!==SIG_CENTRAL) throw new Error("Broken zip central directory");
+    const method = cd.getUint16(p+10, true);
+    let compressedSize = cd.getUint32(p+20, true);
+    let size = cd.getUint32(p+24, true);
+    const nameLen = cd.getUint16(p+28, true);
+    const extraLen = cd.getUint16(p+30, true);
+    const commentLen = cd.getUint16(p+32, true);
+    let localHeaderOffset = cd.getUint32(p+42, true);
+    const name = decoder.decode(new Uint8Array(cd.buffer, cd.byteOffset+p+46, nameLen));
+
+    // ZIP64 extended information: only the fields that overflowed are present, in this order
+    let e = p + 46 + nameLen;
+    const extraEnd = e + extraLen;
+    while(e+4<=extraEnd){
+      const id = cd.getUint16(e, true);
+      const len = cd.getUint16(e+2, true);
+      if(id===0x0001){
+        let q = e + 4;
+        if(size===U32_MAX){ size = getU64(cd, q); q += 8; }
+        if(compressedSize===U32_MAX){ compressedSize = getU64(cd, q); q += 8; }
+        if(localHeaderOffset===U32_MAX){ localHeaderOffset = getU64(cd, q); }
+      }
+      e += 4 + len;
+    }
+
+    if(!name.endsWith("/")) entries.push({ name, method, compressedSize, size, localHeaderOffset });
+    p = extraEnd + commentLen;
+  }
+  return entries;
+}
+
+/**
+ * Open one entry as a stream of uncompressed bytes.
+ * @param {Blob} blob
+ * @param {ZipEntry} entry
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function openZipEntry(blob, entry){
+  const head = await readBytes(blob, entry.localHeaderOffset, entry.localHeaderOffset+30);
+  if(head.getUint32(0, true)!==SIG_LOCAL) throw new Error(`Broken zip entry: ${entry.name}`);
+  // the local header may carry a different extra field than the central directory
+  const dataStart = entry.localHeaderOffset + 30 + head.getUint16(26, true) + head.getUint16(28, true);
+  const raw = blob.slice(dataStart, dataStart + entry.compressedSize).stream();
+
+  if(entry.method===0) return raw;
+  if(entry.method===8) return raw.pipeThrough(new DecompressionStream("deflate-raw"));
+  throw new Error(`Unsupported zip compression method ${entry.method}: ${entry.name}`);
+}